@@ -0,0 +1,44 @@
+-- Late fee on one invoice in a single transaction.
+-- Run once against the Supabase/Postgres database (SQL editor or psql), after
+-- sql/billing_tables.sql.
+-- Called from src/services/lateFeeService.js via db.rpc('apply_late_fee', ...).
+-- The in-memory backend runs a JS port (src/db/memoryFunctions.js); keep both in step.
+
+-- Charges p_fee on an issued invoice that has no late fee yet: adds it to the
+-- total, records late_fee_amount and inserts the late_fee line item.
+-- The update only matches while late_fee_amount is null and locks the row, so
+-- concurrent runs (route and daily job) charge an invoice once.
+--
+-- Returns the updated invoice, or null when it was already charged or is not issued.
+create or replace function apply_late_fee(
+  p_invoice_id bigint,
+  p_fee numeric,
+  p_description text,
+  p_reference_id bigint default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_invoice jsonb;
+begin
+  update invoices
+     set total_amount = round(total_amount + p_fee, 2),
+         late_fee_amount = p_fee,
+         late_fee_applied_at = now(),
+         updated_at = now()
+   where invoice_id = p_invoice_id
+     and status = 'issued'
+     and late_fee_amount is null
+  returning to_jsonb(invoices.*) into v_invoice;
+
+  if v_invoice is null then
+    return null;
+  end if;
+
+  insert into invoice_line_items (invoice_id, item_type, reference_id, description, amount)
+  values (p_invoice_id, 'late_fee', p_reference_id, p_description, p_fee);
+
+  return v_invoice;
+end;
+$$;
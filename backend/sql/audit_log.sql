@@ -0,0 +1,25 @@
+-- Audit log table.
+-- Run once against the Supabase/Postgres database (SQL editor or psql), before
+-- the function files. Safe to re-run: everything is "if not exists".
+-- The in-memory backend mirrors the ids in src/db/tables.js.
+
+-- Append-only: one row per create, update or delete, written by
+-- src/services/auditService.js. actor_* come from the JWT; before/after hold
+-- the row values around the change (null on the create/delete side), and
+-- organization_id/owner_id are copied from the row so reads can be scoped.
+create table if not exists audit_log (
+  audit_id bigserial primary key,
+  actor_user_id bigint,
+  actor_email text,
+  actor_role text,
+  action text not null,                    -- create | update | delete
+  entity text not null,                    -- table name
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  organization_id bigint,
+  owner_id bigint,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_entity_idx on audit_log (entity, entity_id, created_at);
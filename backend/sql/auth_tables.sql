@@ -0,0 +1,40 @@
+-- Auth tables: refresh token sessions, one-time tokens and the password
+-- login columns on users.
+-- Run once against the Supabase/Postgres database (SQL editor or psql), after
+-- the users table exists. Safe to re-run: everything is "if not exists".
+-- The in-memory backend mirrors the ids in src/db/tables.js.
+
+-- One row per session. Only the sha256 of the refresh token is stored; a
+-- refresh revokes the row and points replaced_by at the new session, so a
+-- reused (already rotated) token can be told apart from an unknown one.
+create table if not exists refresh_tokens (
+  session_id bigserial primary key,
+  user_id bigint not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  replaced_by bigint references refresh_tokens (session_id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_user_idx on refresh_tokens (user_id);
+
+-- Email/password login: password_hash is null for Google and magic-link only
+-- accounts; a password account can't sign in until email_verified_at is set.
+alter table users
+  add column if not exists password_hash text,
+  add column if not exists email_verified_at timestamptz;
+
+-- One-time tokens (sha256 only), used once before expires_at.
+-- purpose: verify_email | password_reset | magic_link. user_id is null for a
+-- magic link to an email without an account yet.
+create table if not exists auth_tokens (
+  token_id bigserial primary key,
+  purpose text not null,
+  email text not null,
+  user_id bigint,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,114 @@
+-- Billing tables: tariffs, invoices, invoice line items, payments, the
+-- security deposit ledger and the late-fee rule on general_setup.
+-- Run once against the Supabase/Postgres database (SQL editor or psql), before
+-- the function files. Safe to re-run: everything is "if not exists".
+-- The in-memory backend mirrors the ids and defaults in src/db/tables.js.
+
+-- Slab tariffs, versioned like tenants: a new version reuses tariff_id with
+-- tariff_version + 1, so the id comes from a sequence rather than the key.
+create sequence if not exists tariffs_tariff_id_seq;
+
+create table if not exists tariffs (
+  tariff_id bigint not null default nextval('tariffs_tariff_id_seq'),
+  tariff_version integer not null default 1,
+  organization_id bigint,
+  owner_id bigint,
+  name text,
+  fixed_charge numeric(12, 2) not null default 0,
+  slabs jsonb not null,                    -- [{ "up_to": 100 | null, "rate": 5 }]
+  start_date date not null,
+  end_date date,
+  status text not null default 'active',   -- active | inactive
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (tariff_id, tariff_version)
+);
+
+-- One invoice per tenant and month while issued; late_fee_amount is set once
+-- when a late fee is charged.
+create table if not exists invoices (
+  invoice_id bigserial primary key,
+  tenant_id bigint not null,
+  tenant_version integer,
+  organization_id bigint,
+  owner_id bigint,
+  month date not null,
+  total_amount numeric(12, 2) not null default 0,
+  status text not null default 'issued',
+  late_fee_amount numeric(12, 2),
+  late_fee_applied_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists invoices_issued_month_key
+  on invoices (tenant_id, month) where status = 'issued';
+
+-- item_type: rent | maintenance | water | electricity | late_fee.
+-- reference_id points at the source row (rent_id, reading_id, ...).
+create table if not exists invoice_line_items (
+  line_item_id bigserial primary key,
+  invoice_id bigint not null references invoices (invoice_id) on delete cascade,
+  item_type text not null,
+  reference_id bigint,
+  meter_id bigint,
+  description text,
+  previous_reading numeric,
+  current_reading numeric,
+  units numeric,
+  rate numeric,
+  charge_breakdown jsonb,
+  amount numeric(12, 2) not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invoice_line_items_invoice_idx on invoice_line_items (invoice_id);
+
+-- method 'deposit' marks dues paid from the security deposit.
+create table if not exists payments (
+  payment_id bigserial primary key,
+  tenant_id bigint not null,
+  organization_id bigint,
+  owner_id bigint,
+  invoice_id bigint references invoices (invoice_id),
+  amount numeric(12, 2) not null check (amount > 0),
+  paid_on date not null,
+  method text,
+  reference text,
+  notes text,
+  status text not null default 'received', -- received | reversed
+  reversal_reason text,
+  reversed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists payments_tenant_idx on payments (tenant_id);
+
+-- Late-fee rule per general_setup row: bills are due on due_day of the next
+-- month plus grace_days; late_fee_type flat | percentage of the outstanding.
+alter table general_setup
+  add column if not exists due_day integer check (due_day between 1 and 28),
+  add column if not exists grace_days integer not null default 0 check (grace_days >= 0),
+  add column if not exists late_fee_type text check (late_fee_type in ('flat', 'percentage')),
+  add column if not exists late_fee_value numeric(12, 2) check (late_fee_value >= 0);
+
+-- Security deposit ledger, tied to the stable tenant_id (it spans versions and
+-- outlives exit). held = receipt + top_up - deduction - refund, checked by
+-- record_deposit_transaction; an unpaid_dues deduction links its 'deposit' payment.
+create table if not exists deposit_transactions (
+  transaction_id bigserial primary key,
+  tenant_id bigint not null,
+  organization_id bigint,
+  owner_id bigint,
+  type text not null check (type in ('receipt', 'top_up', 'deduction', 'refund')),
+  amount numeric(12, 2) not null check (amount > 0),
+  reason text check (reason in ('damages', 'unpaid_dues', 'other')),
+  description text,
+  payment_id bigint references payments (payment_id),
+  transacted_on date not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists deposit_transactions_tenant_idx on deposit_transactions (tenant_id);
@@ -0,0 +1,56 @@
+-- Tenant exit in a single transaction.
+-- Run once against the Supabase/Postgres database (SQL editor or psql).
+-- Called from src/services/tenantExitService.js via db.rpc('exit_tenant', ...).
+-- The in-memory backend runs a JS port (src/db/memoryFunctions.js); keep both in step.
+
+-- Closes every active power_meters, rent_history, water_history,
+-- maintenance_history and unit_occupancies row of the tenant and then the
+-- active tenant version, all with p_end_date. The tenant row is locked, so
+-- concurrent exits close it once; any error rolls everything back.
+--
+-- Returns {"tenant": <closed version>, "closed": {<table>: [<closed rows>]}}
+create or replace function exit_tenant(
+  p_tenant_id bigint,
+  p_end_date date
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_current tenants%rowtype;
+  v_table text;
+  v_rows jsonb;
+  v_closed jsonb := '{}'::jsonb;
+  v_tenant jsonb;
+begin
+  select * into v_current
+    from tenants
+   where tenant_id = p_tenant_id and status = 'active'
+   order by tenant_version desc
+   limit 1
+   for update;
+  if not found then
+    raise exception 'Active tenant not found' using errcode = 'P0002';
+  end if;
+
+  foreach v_table in array array['power_meters', 'rent_history', 'water_history', 'maintenance_history', 'unit_occupancies'] loop
+    execute format(
+      'with closed as (
+         update %1$I set status = ''inactive'', end_date = $1, updated_at = now()
+          where tenant_id = $2 and status = ''active''
+         returning *
+       )
+       select coalesce(jsonb_agg(to_jsonb(closed.*)), ''[]''::jsonb) from closed',
+      v_table
+    ) into v_rows using p_end_date, p_tenant_id;
+    v_closed := v_closed || jsonb_build_object(v_table, v_rows);
+  end loop;
+
+  update tenants
+     set status = 'inactive', end_date = p_end_date, updated_at = now()
+   where tenant_id = p_tenant_id and tenant_version = v_current.tenant_version
+  returning to_jsonb(tenants.*) into v_tenant;
+
+  return jsonb_build_object('tenant', v_tenant, 'closed', v_closed);
+end;
+$$;
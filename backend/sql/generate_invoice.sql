@@ -0,0 +1,53 @@
+-- Invoice generation in a single transaction.
+-- Run once against the Supabase/Postgres database, after billing_tables.sql
+-- and version_tenant.sql (it reuses insert_jsonb_row from there).
+-- Called from src/services/invoiceService.js via db.rpc('generate_invoice', ...)
+-- and from move_out_tenant.
+-- The in-memory backend runs a JS port (src/db/memoryFunctions.js); keep both in step.
+
+-- Inserts an issued invoice and its line items together. One issued invoice
+-- per tenant and month: the check below gives the usual error and the unique
+-- index invoices_issued_month_key (billing_tables.sql) settles concurrent calls.
+--
+-- p_invoice:    invoices row (tenant_id, month, total_amount, ...)
+-- p_line_items: invoice_line_items rows (invoice_id is set here)
+--
+-- Errors: the month is already invoiced → PT409.
+--
+-- Returns the invoice row with "line_items": [<rows>]
+create or replace function generate_invoice(
+  p_invoice jsonb,
+  p_line_items jsonb default '[]'::jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_invoice jsonb;
+  v_item jsonb;
+  v_items jsonb := '[]'::jsonb;
+begin
+  if exists (
+    select 1 from invoices
+     where tenant_id = (p_invoice ->> 'tenant_id')::bigint
+       and month = (p_invoice ->> 'month')::date
+       and status = 'issued'
+  ) then
+    raise exception 'Invoice already generated for %', p_invoice ->> 'month' using errcode = 'PT409';
+  end if;
+
+  begin
+    v_invoice := insert_jsonb_row('invoices', p_invoice || jsonb_build_object('status', 'issued'));
+  exception when unique_violation then
+    raise exception 'Invoice already generated for %', p_invoice ->> 'month' using errcode = 'PT409';
+  end;
+
+  for v_item in select value from jsonb_array_elements(coalesce(p_line_items, '[]'::jsonb)) loop
+    v_items := v_items || jsonb_build_array(
+      insert_jsonb_row('invoice_line_items', v_item || jsonb_build_object('invoice_id', v_invoice -> 'invoice_id'))
+    );
+  end loop;
+
+  return v_invoice || jsonb_build_object('line_items', v_items);
+end;
+$$;
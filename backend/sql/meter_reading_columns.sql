@@ -0,0 +1,35 @@
+-- Power meter and monthly reading columns: slab tariff charges, meter
+-- replacement and rollover, and reading anomalies.
+-- Run once against the Supabase/Postgres database (SQL editor or psql), after
+-- billing_tables.sql and before the function files. Safe to re-run: everything
+-- is "if not exists".
+
+-- Slab tariffs: a meter may bill through a tariff (tariffs.tariff_id; no
+-- foreign key, as the key includes tariff_version). Each reading stores its
+-- units and charge, with the per-slab breakdown when a tariff applied.
+alter table power_meters
+  add column if not exists tariff_id bigint;
+
+alter table monthly_readings
+  add column if not exists units_consumed numeric,
+  add column if not exists charge_amount numeric(12, 2),
+  add column if not exists charge_breakdown jsonb;
+
+-- Meter replacement and rollover: meter_digits sizes the display so a reading
+-- below the previous one counts as a rollover; a replaced meter links to its
+-- successor both ways, and its last reading is the final one.
+alter table power_meters
+  add column if not exists meter_digits integer check (meter_digits between 1 and 9),
+  add column if not exists replaces_meter_id bigint,
+  add column if not exists replaced_by_meter_id bigint;
+
+alter table monthly_readings
+  add column if not exists is_rollover boolean not null default false,
+  add column if not exists is_final_reading boolean not null default false;
+
+-- Reading anomalies: a confirmed negative consumption or usage far from the
+-- meter's rolling average is flagged, with the reason, until reviewed.
+alter table monthly_readings
+  add column if not exists is_anomaly boolean not null default false,
+  add column if not exists anomaly_reason text,
+  add column if not exists anomaly_reviewed boolean not null default false;
@@ -0,0 +1,149 @@
+-- Tenant move-out in a single transaction.
+-- Run once against the Supabase/Postgres database, after version_tenant.sql,
+-- generate_invoice.sql, exit_tenant.sql and record_deposit_transaction.sql (it
+-- calls insert_jsonb_row, generate_invoice, exit_tenant and record_deposit_transaction).
+-- Called from src/services/moveOutService.js via db.rpc('move_out_tenant', ...).
+-- The in-memory backend runs a JS port (src/db/memoryFunctions.js); keep both in step.
+
+-- Stores the final readings and the final invoice of p_month, exits the tenant
+-- from p_end_date and settles the held deposit: outstanding dues first (an
+-- unpaid_dues deduction with its 'deposit' payment), then each deduction as far
+-- as the deposit goes, then the rest is refunded, all on p_settled_on.
+-- The active tenant is locked first; any error rolls everything back, so a
+-- failed move-out leaves no reading, invoice, exit or ledger entry behind.
+--
+-- p_readings:   monthly_readings rows of the final readings
+-- p_invoice:    invoices row of the final invoice
+-- p_line_items: invoice_line_items rows; an item with "reading_index" gets the
+--               reading_id of p_readings[reading_index] as reference_id
+-- p_deductions: [{"description": ..., "reason": ..., "amount": ...}]
+--
+-- Errors: a meter already read for p_month → PT400; an invoiced month → PT409.
+--
+-- Returns {"readings": [...], "invoice": <row with line_items>, "exit": <exit_tenant result>,
+--          "balance": {"billed", "paid"}, "deposit": {"held", "applied_to_dues",
+--          "deductions": [{..., "from_deposit"}], "refunded_deposit"},
+--          "transactions": [<record_deposit_transaction results>]}
+create or replace function move_out_tenant(
+  p_tenant_id bigint,
+  p_month date,
+  p_end_date date,
+  p_readings jsonb,
+  p_invoice jsonb,
+  p_line_items jsonb,
+  p_deductions jsonb,
+  p_settled_on date
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_row jsonb;
+  v_readings jsonb := '[]'::jsonb;
+  v_invoice jsonb;
+  v_items jsonb := '[]'::jsonb;
+  v_exit jsonb;
+  v_scope jsonb;
+  v_billed numeric;
+  v_paid numeric;
+  v_held numeric;
+  v_remaining numeric;
+  v_covered numeric;
+  v_applied numeric;
+  v_settled jsonb := '[]'::jsonb;
+  v_transactions jsonb := '[]'::jsonb;
+begin
+  perform 1 from tenants
+   where tenant_id = p_tenant_id and status = 'active'
+   for update;
+  if not found then
+    raise exception 'Active tenant not found' using errcode = 'P0002';
+  end if;
+
+  for v_row in select value from jsonb_array_elements(coalesce(p_readings, '[]'::jsonb)) loop
+    if exists (
+      select 1 from monthly_readings
+       where meter_id = (v_row ->> 'meter_id')::bigint and month = p_month
+    ) then
+      raise exception 'Meter % already has a reading for %', v_row ->> 'meter_id', p_month using errcode = 'PT400';
+    end if;
+    v_readings := v_readings || jsonb_build_array(insert_jsonb_row('monthly_readings', v_row));
+  end loop;
+
+  for v_row in select value from jsonb_array_elements(coalesce(p_line_items, '[]'::jsonb)) loop
+    if v_row ? 'reading_index' then
+      v_row := (v_row - 'reading_index')
+        || jsonb_build_object('reference_id', v_readings -> (v_row ->> 'reading_index')::int -> 'reading_id');
+    end if;
+    v_items := v_items || jsonb_build_array(v_row);
+  end loop;
+  v_invoice := generate_invoice(p_invoice, v_items);
+
+  v_exit := exit_tenant(p_tenant_id, p_end_date);
+  v_scope := jsonb_build_object(
+    'tenant_id', p_tenant_id,
+    'organization_id', v_exit -> 'tenant' -> 'organization_id',
+    'owner_id', v_exit -> 'tenant' -> 'owner_id'
+  );
+
+  select coalesce(sum(total_amount), 0) into v_billed
+    from invoices where tenant_id = p_tenant_id and status = 'issued';
+  select coalesce(sum(amount), 0) into v_paid
+    from payments where tenant_id = p_tenant_id and status = 'received';
+  select coalesce(sum(case when type in ('receipt', 'top_up') then amount else -amount end), 0) into v_held
+    from deposit_transactions where tenant_id = p_tenant_id;
+  v_remaining := v_held;
+
+  v_applied := least(greatest(v_billed - v_paid, 0), v_remaining);
+  if v_applied > 0 then
+    v_transactions := v_transactions || jsonb_build_array(record_deposit_transaction(
+      v_scope || jsonb_build_object(
+        'type', 'deduction', 'amount', v_applied, 'reason', 'unpaid_dues',
+        'description', 'Dues at move-out', 'transacted_on', p_settled_on
+      ),
+      v_scope || jsonb_build_object(
+        'invoice_id', null, 'amount', v_applied, 'paid_on', p_settled_on,
+        'method', 'deposit', 'notes', 'Dues at move-out', 'status', 'received'
+      )
+    ));
+    v_remaining := v_remaining - v_applied;
+  end if;
+
+  for v_row in select value from jsonb_array_elements(coalesce(p_deductions, '[]'::jsonb)) loop
+    v_covered := least((v_row ->> 'amount')::numeric, v_remaining);
+    if v_covered > 0 then
+      v_transactions := v_transactions || jsonb_build_array(record_deposit_transaction(
+        v_scope || jsonb_build_object(
+          'type', 'deduction', 'amount', v_covered, 'reason', v_row -> 'reason',
+          'description', v_row -> 'description', 'transacted_on', p_settled_on
+        )
+      ));
+      v_remaining := v_remaining - v_covered;
+    end if;
+    v_settled := v_settled || jsonb_build_array(v_row || jsonb_build_object('from_deposit', greatest(v_covered, 0)));
+  end loop;
+
+  if v_remaining > 0 then
+    v_transactions := v_transactions || jsonb_build_array(record_deposit_transaction(
+      v_scope || jsonb_build_object(
+        'type', 'refund', 'amount', v_remaining, 'reason', null,
+        'description', 'Deposit refund at move-out', 'transacted_on', p_settled_on
+      )
+    ));
+  end if;
+
+  return jsonb_build_object(
+    'readings', v_readings,
+    'invoice', v_invoice,
+    'exit', v_exit,
+    'balance', jsonb_build_object('billed', v_billed, 'paid', v_paid),
+    'deposit', jsonb_build_object(
+      'held', v_held,
+      'applied_to_dues', v_applied,
+      'deductions', v_settled,
+      'refunded_deposit', v_remaining
+    ),
+    'transactions', v_transactions
+  );
+end;
+$$;
@@ -0,0 +1,75 @@
+-- Tenant onboarding in a single transaction.
+-- Run once against the Supabase/Postgres database, after version_tenant.sql
+-- (it reuses insert_jsonb_row from there).
+-- Called from src/services/tenantVersioning.js via db.rpc('onboard_tenant', ...).
+-- The in-memory backend runs a JS port (src/db/memoryFunctions.js); keep both in step.
+
+-- Inserts version 1 of a tenant and then its components. Any error rolls
+-- everything back, so no tenant is left half onboarded.
+--
+-- p_tenant:     column values of the tenant (name, owner_id, start_date, counters, ...)
+-- p_operations: ordered list of inserts, in the version_tenant format
+--   {"action": "insert", "table": "...", "key": "...", "row": {...},
+--    "ref": {"column": "meter_id", "from": "<key of an earlier insert>"}}
+--   Rows get tenant_id and the tenant's organization_id/owner_id stamped
+--   automatically; component rows also get tenant_version 1
+--   (unit_occupancies and deposit_transactions are not versioned).
+--
+-- Returns {"tenant": <version 1>, "results": {<key>: <row>}}
+create or replace function onboard_tenant(
+  p_tenant jsonb,
+  p_operations jsonb default '[]'::jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_tenant jsonb;
+  v_op jsonb;
+  v_table text;
+  v_row jsonb;
+  v_result jsonb;
+  v_results jsonb := '{}'::jsonb;
+begin
+  v_tenant := insert_jsonb_row('tenants', p_tenant || jsonb_build_object(
+    'tenant_version', 1,
+    'end_date', null,
+    'status', 'active',
+    'created_at', now(),
+    'updated_at', now()
+  ));
+
+  for v_op in select value from jsonb_array_elements(coalesce(p_operations, '[]'::jsonb)) loop
+    v_table := v_op ->> 'table';
+    if v_table not in (
+      'power_meters', 'rent_history', 'water_history', 'maintenance_history', 'monthly_readings',
+      'unit_occupancies', 'deposit_transactions'
+    ) then
+      raise exception 'Table % cannot be written by onboard_tenant', v_table;
+    end if;
+    if v_op ->> 'action' <> 'insert' then
+      raise exception 'Unknown operation %', v_op ->> 'action';
+    end if;
+
+    v_row := (v_op -> 'row') || jsonb_build_object(
+      'tenant_id', v_tenant -> 'tenant_id',
+      'organization_id', v_tenant -> 'organization_id',
+      'owner_id', v_tenant -> 'owner_id'
+    );
+    if v_table not in ('unit_occupancies', 'deposit_transactions') then
+      v_row := v_row || jsonb_build_object('tenant_version', 1);
+    end if;
+    if v_op ? 'ref' then
+      v_row := v_row || jsonb_build_object(
+        v_op -> 'ref' ->> 'column',
+        v_results -> (v_op -> 'ref' ->> 'from') -> (v_op -> 'ref' ->> 'column')
+      );
+    end if;
+
+    v_result := insert_jsonb_row(v_table, v_row);
+    v_results := v_results || jsonb_build_object(coalesce(v_op ->> 'key', v_table), v_result);
+  end loop;
+
+  return jsonb_build_object('tenant', v_tenant, 'results', v_results);
+end;
+$$;
@@ -0,0 +1,58 @@
+-- Property tables: properties (buildings), their units (flats, shops) and
+-- unit occupancies, plus the unit of a power meter.
+-- Run once against the Supabase/Postgres database (SQL editor or psql), before
+-- the function files. Safe to re-run: everything is "if not exists".
+-- The in-memory backend mirrors the ids and defaults in src/db/tables.js.
+
+-- organization_id/owner_id are stamped on each row (units copy them from the
+-- property) so reads can be scoped without a join.
+create table if not exists properties (
+  property_id bigserial primary key,
+  organization_id bigint,
+  owner_id bigint,
+  name text not null,
+  address text,
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists units (
+  unit_id bigserial primary key,
+  property_id bigint not null references properties (property_id),
+  organization_id bigint,
+  owner_id bigint,
+  name text not null,
+  unit_type text check (unit_type in ('flat', 'shop', 'office', 'other')),
+  floor integer,
+  description text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists units_property_idx on units (property_id);
+
+-- A tenant in a unit from start_date until end_date (exclusive), tied to the
+-- stable tenant_id. Vacating or exiting closes the row (status inactive).
+create table if not exists unit_occupancies (
+  occupancy_id bigserial primary key,
+  unit_id bigint not null references units (unit_id),
+  tenant_id bigint not null,
+  organization_id bigint,
+  owner_id bigint,
+  start_date date not null,
+  end_date date,
+  status text not null default 'active',   -- active | inactive
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One active occupancy per unit: settles concurrent move-ins that both passed
+-- the overlap check in src/services/unitService.js.
+create unique index if not exists unit_occupancies_active_unit_key
+  on unit_occupancies (unit_id) where status = 'active';
+
+create index if not exists unit_occupancies_tenant_idx on unit_occupancies (tenant_id);
+
+alter table power_meters
+  add column if not exists unit_id bigint references units (unit_id);
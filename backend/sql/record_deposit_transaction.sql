@@ -0,0 +1,69 @@
+-- Deposit ledger entry in a single transaction.
+-- Run once against the Supabase/Postgres database, after version_tenant.sql
+-- (it reuses insert_jsonb_row from there).
+-- Called from src/services/depositService.js via db.rpc('record_deposit_transaction', ...).
+-- The in-memory backend runs a JS port (src/db/memoryFunctions.js); keep both in step.
+
+-- Checks the tenant's deposit ledger and inserts p_transaction (and p_payment,
+-- for a deduction of unpaid dues) under a lock on the tenant's rows, so
+-- concurrent calls can't record two receipts or overdraw the held deposit.
+--
+-- p_transaction: deposit_transactions row (tenant_id, type, amount, ...)
+-- p_payment:     payments row (method 'deposit') or null; the transaction
+--                gets its payment_id
+--
+-- Errors: a second receipt → PT409; a top_up before the receipt, or a
+-- deduction/refund above the held amount → PT400.
+--
+-- Returns {"transaction": <row>, "payment": <row or null>}
+create or replace function record_deposit_transaction(
+  p_transaction jsonb,
+  p_payment jsonb default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_tenant_id bigint := (p_transaction ->> 'tenant_id')::bigint;
+  v_type text := p_transaction ->> 'type';
+  v_amount numeric := (p_transaction ->> 'amount')::numeric;
+  v_has_receipt boolean;
+  v_held numeric;
+  v_payment jsonb;
+  v_transaction jsonb;
+begin
+  -- Every version of the tenant: the ledger spans versions and outlives exit
+  perform 1 from tenants where tenant_id = v_tenant_id for update;
+  if not found then
+    raise exception 'Tenant not found' using errcode = 'P0002';
+  end if;
+
+  select coalesce(bool_or(type = 'receipt'), false),
+         coalesce(sum(case when type in ('receipt', 'top_up') then amount else -amount end), 0)
+    into v_has_receipt, v_held
+    from deposit_transactions
+   where tenant_id = v_tenant_id;
+
+  if v_type = 'receipt' and v_has_receipt then
+    raise exception 'Deposit already received; record a top_up instead' using errcode = 'PT409';
+  end if;
+  if v_type = 'top_up' and not v_has_receipt then
+    raise exception 'Record the deposit receipt first' using errcode = 'PT400';
+  end if;
+  if v_type not in ('receipt', 'top_up') and v_amount > v_held then
+    raise exception '% of % exceeds the held deposit (%)',
+      case when v_type = 'refund' then 'Refund' else 'Deduction' end, trim_scale(v_amount), trim_scale(v_held)
+      using errcode = 'PT400';
+  end if;
+
+  if p_payment is not null then
+    v_payment := insert_jsonb_row('payments', p_payment);
+  end if;
+  v_transaction := insert_jsonb_row(
+    'deposit_transactions',
+    p_transaction || jsonb_build_object('payment_id', v_payment -> 'payment_id')
+  );
+
+  return jsonb_build_object('transaction', v_transaction, 'payment', v_payment);
+end;
+$$;
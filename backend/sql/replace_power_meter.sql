@@ -0,0 +1,59 @@
+-- Power meter replacement in a single transaction.
+-- Run once against the Supabase/Postgres database, after meter_reading_columns.sql
+-- (the replacement columns) and version_tenant.sql (it reuses insert_jsonb_row from there).
+-- Called from src/routes/powerMeters.js via db.rpc('replace_power_meter', ...).
+-- The in-memory backend runs a JS port (src/db/memoryFunctions.js); keep both in step.
+
+-- Records the old meter's final reading for p_month, inserts the new meter,
+-- retires the old one from p_month (linked both ways) and seeds the new
+-- meter's baseline reading. The old meter row is locked, so a meter is
+-- replaced once; any error rolls everything back.
+--
+-- p_final_reading: monthly_readings row of the old meter (meter_id is set here)
+-- p_new_meter:     power_meters row of the new meter (replaces_meter_id is set here)
+-- p_baseline:      monthly_readings row of the new meter (meter_id is set here)
+--
+-- Returns {"old_meter": <retired meter>, "final_reading": <row>, "meter": <new meter>, "baseline": <row>}
+create or replace function replace_power_meter(
+  p_meter_id bigint,
+  p_month date,
+  p_final_reading jsonb,
+  p_new_meter jsonb,
+  p_baseline jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_final jsonb;
+  v_meter jsonb;
+  v_old jsonb;
+  v_baseline jsonb;
+begin
+  perform 1 from power_meters
+   where meter_id = p_meter_id and status = 'active'
+   for update;
+  if not found then
+    raise exception 'Active meter not found' using errcode = 'P0002';
+  end if;
+
+  if exists (select 1 from monthly_readings where meter_id = p_meter_id and month = p_month) then
+    raise exception 'Old meter already has a reading for %', p_month using errcode = 'PT400';
+  end if;
+
+  v_final := insert_jsonb_row('monthly_readings', p_final_reading || jsonb_build_object('meter_id', p_meter_id));
+  v_meter := insert_jsonb_row('power_meters', p_new_meter || jsonb_build_object('replaces_meter_id', p_meter_id));
+
+  update power_meters
+     set status = 'inactive',
+         end_date = p_month,
+         replaced_by_meter_id = (v_meter ->> 'meter_id')::bigint,
+         updated_at = now()
+   where meter_id = p_meter_id
+  returning to_jsonb(power_meters.*) into v_old;
+
+  v_baseline := insert_jsonb_row('monthly_readings', p_baseline || jsonb_build_object('meter_id', v_meter -> 'meter_id'));
+
+  return jsonb_build_object('old_meter', v_old, 'final_reading', v_final, 'meter', v_meter, 'baseline', v_baseline);
+end;
+$$;
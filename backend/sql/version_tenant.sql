@@ -0,0 +1,134 @@
+-- Tenant versioning in a single transaction.
+-- Run once against the Supabase/Postgres database (SQL editor or psql).
+-- Called from src/services/tenantVersioning.js via db.rpc('version_tenant', ...).
+-- The in-memory backend runs a JS port (src/db/memoryFunctions.js); keep both in step.
+-- sql/onboard_tenant.sql builds on insert_jsonb_row below; run it after this file.
+
+-- Inserts a jsonb object as a row of p_table and returns the stored row.
+-- Only the keys present in p_row are written, so column defaults (ids, timestamps) still apply.
+create or replace function insert_jsonb_row(p_table text, p_row jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_columns text;
+  v_result jsonb;
+begin
+  select string_agg(quote_ident(key), ', ') into v_columns from jsonb_object_keys(p_row) as key;
+
+  execute format(
+    'insert into %1$I (%2$s) select %2$s from jsonb_populate_record(null::%1$I, $1) returning to_jsonb(%1$I.*)',
+    p_table, v_columns
+  ) into v_result using p_row;
+
+  return v_result;
+end;
+$$;
+
+-- Deactivates the active tenant version, inserts the next version and applies
+-- component operations. Any error rolls everything back, leaving the previous
+-- version active.
+--
+-- p_tenant_changes: column values for the new version (e.g. {"water_required": true})
+-- p_increments:     counters to adjust, floored at 0 (e.g. {"power_meter_count": -1})
+-- p_operations:     ordered list of
+--   {"action": "insert", "table": "...", "key": "...", "row": {...},
+--    "ref": {"column": "meter_id", "from": "<key of an earlier insert>"}}
+--   {"action": "close", "table": "...", "key": "...", "id_column": "...", "id": ...}
+--   Inserted rows get tenant_id, the new tenant_version and the tenant's
+--   organization_id/owner_id stamped automatically.
+--
+-- Returns {"tenant": <new version>, "previous": <old version>, "results": {<key>: <row>}}
+create or replace function version_tenant(
+  p_tenant_id bigint,
+  p_effective_date date,
+  p_tenant_changes jsonb default '{}'::jsonb,
+  p_increments jsonb default '{}'::jsonb,
+  p_operations jsonb default '[]'::jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_current tenants%rowtype;
+  v_previous jsonb;
+  v_new jsonb;
+  v_counter record;
+  v_op jsonb;
+  v_table text;
+  v_row jsonb;
+  v_result jsonb;
+  v_results jsonb := '{}'::jsonb;
+begin
+  select * into v_current
+    from tenants
+   where tenant_id = p_tenant_id and status = 'active'
+   order by tenant_version desc
+   limit 1
+   for update;
+  if not found then
+    raise exception 'Active tenant not found' using errcode = 'P0002';
+  end if;
+
+  update tenants
+     set status = 'inactive', end_date = p_effective_date, updated_at = now()
+   where tenant_id = p_tenant_id and tenant_version = v_current.tenant_version
+  returning to_jsonb(tenants.*) into v_previous;
+
+  v_new := to_jsonb(v_current) || coalesce(p_tenant_changes, '{}'::jsonb);
+  for v_counter in select key, value from jsonb_each(coalesce(p_increments, '{}'::jsonb)) loop
+    v_new := v_new || jsonb_build_object(
+      v_counter.key,
+      greatest(coalesce((to_jsonb(v_current) ->> v_counter.key)::int, 0) + (v_counter.value #>> '{}')::int, 0)
+    );
+  end loop;
+  v_new := v_new || jsonb_build_object(
+    'tenant_id', p_tenant_id,
+    'tenant_version', v_current.tenant_version + 1,
+    'start_date', coalesce(p_tenant_changes ->> 'start_date', p_effective_date::text),
+    'end_date', null,
+    'status', 'active',
+    'created_at', now(),
+    'updated_at', now()
+  );
+  v_new := insert_jsonb_row('tenants', v_new);
+
+  for v_op in select value from jsonb_array_elements(coalesce(p_operations, '[]'::jsonb)) loop
+    v_table := v_op ->> 'table';
+    if v_table not in ('power_meters', 'rent_history', 'water_history', 'maintenance_history', 'monthly_readings') then
+      raise exception 'Table % cannot be written by version_tenant', v_table;
+    end if;
+
+    if v_op ->> 'action' = 'insert' then
+      v_row := (v_op -> 'row') || jsonb_build_object(
+        'tenant_id', p_tenant_id,
+        'tenant_version', v_new -> 'tenant_version',
+        'organization_id', v_current.organization_id,
+        'owner_id', v_current.owner_id
+      );
+      if v_op ? 'ref' then
+        v_row := v_row || jsonb_build_object(
+          v_op -> 'ref' ->> 'column',
+          v_results -> (v_op -> 'ref' ->> 'from') -> (v_op -> 'ref' ->> 'column')
+        );
+      end if;
+      v_result := insert_jsonb_row(v_table, v_row);
+    elsif v_op ->> 'action' = 'close' then
+      execute format(
+        'update %1$I set status = ''inactive'', end_date = $1, updated_at = now()
+          where %2$I::text = $2 and status = ''active'' returning to_jsonb(%1$I.*)',
+        v_table, v_op ->> 'id_column'
+      ) into v_result using p_effective_date, v_op ->> 'id';
+      if v_result is null then
+        raise exception 'Active % row % not found', v_table, v_op ->> 'id' using errcode = 'P0002';
+      end if;
+    else
+      raise exception 'Unknown operation %', v_op ->> 'action';
+    end if;
+
+    v_results := v_results || jsonb_build_object(coalesce(v_op ->> 'key', v_table), v_result);
+  end loop;
+
+  return jsonb_build_object('tenant', v_new, 'previous', v_previous, 'results', v_results);
+end;
+$$;
@@ -0,0 +1,52 @@
+import express from 'express';
+import cors from 'cors';
+import ownersRouter from './routes/owners.js';
+import propertiesRouter from './routes/properties.js';
+import unitsRouter from './routes/units.js';
+import tenantsRouter from './routes/tenants.js';
+import powerMetersRouter from './routes/powerMeters.js';
+import rentHistoryRouter from './routes/rentHistory.js';
+import waterHistoryRouter from './routes/waterHistory.js';
+import maintenanceHistoryRouter from './routes/maintenanceHistory.js';
+import generalSetupRouter from './routes/generalSetup.js';
+import monthlyReadingRouter from './routes/monthlyReading.js';
+import invoicesRouter from './routes/invoices.js';
+import paymentsRouter from './routes/payments.js';
+import depositsRouter from './routes/deposits.js';
+import tariffsRouter from './routes/tariffs.js';
+import authRouter from './routes/auth.js';
+import invitationsRouter from './routes/invitations.js';
+import auditRouter from './routes/audit.js';
+import { requireAuth, requireRole, requireRoleScope, requireWriteRole } from './middlewares/auth.js';
+
+const app = express();
+app.use(cors());
+app.use(express.json());
+
+// Public: login; invitations authenticate per route
+app.use('/auth', authRouter);
+app.use('/invitations', invitationsRouter);
+
+// Signed in with the scope claims of the role; queries are limited to that scope
+const scoped = [requireAuth, requireRoleScope];
+
+// Everyone signed in can read; tenants are read-only
+const dataWriters = requireWriteRole('owner', 'orgadmin');
+
+app.use('/owners', scoped, ownersRouter);
+app.use('/properties', scoped, dataWriters, propertiesRouter);
+app.use('/units', scoped, dataWriters, unitsRouter);
+app.use('/tenants', scoped, dataWriters, tenantsRouter);
+app.use('/power-meters', scoped, dataWriters, powerMetersRouter);
+app.use('/rent-history', scoped, dataWriters, rentHistoryRouter);
+app.use('/water-history', scoped, dataWriters, waterHistoryRouter);
+app.use('/maintenance-history', scoped, dataWriters, maintenanceHistoryRouter);
+app.use('/general-setup', scoped, dataWriters, generalSetupRouter);
+app.use('/monthly-reading', scoped, dataWriters, monthlyReadingRouter);
+app.use('/invoices', scoped, dataWriters, invoicesRouter);
+app.use('/payments', scoped, dataWriters, paymentsRouter);
+app.use('/deposits', scoped, dataWriters, depositsRouter);
+app.use('/tariffs', scoped, dataWriters, tariffsRouter);
+app.use('/audit', scoped, requireRole('owner', 'orgadmin'), auditRouter);
+
+export default app;
@@ -1,11 +1,31 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { createPostgresBackend } from './db/postgresBackend.js';
+import { createMemoryBackend } from './db/memoryBackend.js';
 
 dotenv.config();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+/**
+ * ✅ Storage backend, picked by DB_DRIVER
+ * - supabase (default): SUPABASE_URL + SUPABASE_KEY
+ * - postgres: DATABASE_URL, talks to Postgres directly through pg
+ * - memory: in-process tables, no database needed (local runs, tests)
+ * - All three expose the supabase-js client surface; code outside src/db and
+ *   src/repositories should go through the repositories
+ */
+function createDb(driver = process.env.DB_DRIVER || 'supabase') {
+  switch (driver) {
+    case 'supabase':
+      return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+    case 'postgres':
+      return createPostgresBackend({ connectionString: process.env.DATABASE_URL });
+    case 'memory':
+      return createMemoryBackend();
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}" (expected supabase, postgres or memory)`);
+  }
+}
 
-export default supabase;
+const db = createDb();
+
+export default db;
@@ -0,0 +1,180 @@
+import { QueryBuilder, parseColumns } from './queryBuilder.js';
+import { TABLES } from './tables.js';
+import { MEMORY_FUNCTIONS, dbError } from './memoryFunctions.js';
+
+/**
+ * Stored values behave like JSON columns: dates become ISO strings and
+ * objects are copied, so callers never share references with the store
+ */
+function toStored(value) {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+/**
+ * Compares like Postgres would after casting: numerically when both sides
+ * are numbers, otherwise as text (ISO dates/timestamps sort as text)
+ */
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matches(row, { column, operator, value }) {
+  const actual = row[column] ?? null;
+  switch (operator) {
+    case 'is':
+      return value === null ? actual === null : actual === value;
+    case 'in':
+      return actual !== null && value.some((candidate) => compare(actual, candidate) === 0);
+    case 'ilike':
+      return actual !== null && likeToRegExp(value).test(actual);
+  }
+  // Comparisons with NULL are never true in SQL
+  if (actual === null || value === null || value === undefined) return false;
+  const result = compare(actual, value instanceof Date ? value.toISOString() : value);
+  switch (operator) {
+    case 'eq': return result === 0;
+    case 'neq': return result !== 0;
+    case 'gt': return result > 0;
+    case 'gte': return result >= 0;
+    case 'lt': return result < 0;
+    case 'lte': return result <= 0;
+    default: throw dbError(`Unsupported filter "${operator}"`, '42883');
+  }
+}
+
+function sortRows(rows, order) {
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending } of order) {
+      const left = a[column] ?? null;
+      const right = b[column] ?? null;
+      if (left === right) continue;
+      // Postgres puts NULLs last ascending and first descending
+      if (left === null) return ascending ? 1 : -1;
+      if (right === null) return ascending ? -1 : 1;
+      const result = compare(left, right);
+      if (result !== 0) return ascending ? result : -result;
+    }
+    return 0;
+  });
+}
+
+function project(row, columns) {
+  if (!columns) return toStored(row);
+  return Object.fromEntries(columns.map((column) => [column, toStored(row[column] ?? null)]));
+}
+
+/**
+ * ✅ In-memory storage backend
+ * - Same client surface as supabase-js (from(...) query chains and rpc)
+ * - Tables start empty; ids come from per-table sequences (src/db/tables.js)
+ * - rpc runs the JS ports of the SQL functions in src/db/memoryFunctions.js;
+ *   a failing function restores the store, like a rolled back transaction
+ * - Meant for local runs and tests: data lives only as long as the process
+ */
+export function createMemoryBackend() {
+  let tables = {};
+  let sequences = {};
+
+  function tableRows(table) {
+    if (!TABLES[table]) throw dbError(`relation "${table}" does not exist`, '42P01');
+    tables[table] = tables[table] || [];
+    return tables[table];
+  }
+
+  function insertRow(table, values) {
+    const rows = tableRows(table);
+    const { idColumn, defaults = {} } = TABLES[table];
+    const row = { ...defaults, created_at: new Date().toISOString(), ...toStored(values) };
+
+    if (row[idColumn] == null) {
+      sequences[table] = (sequences[table] || 0) + 1;
+      row[idColumn] = sequences[table];
+    } else if (isNumeric(row[idColumn])) {
+      sequences[table] = Math.max(sequences[table] || 0, Number(row[idColumn]));
+    }
+
+    rows.push(row);
+    return row;
+  }
+
+  function updateRow(row, values) {
+    Object.assign(row, toStored(values));
+    return row;
+  }
+
+  function findRows(table, filters = []) {
+    return tableRows(table).filter((row) => filters.every((filter) => matches(row, filter)));
+  }
+
+  const store = { insertRow, updateRow, findRows, tableRows };
+
+  async function execute(plan) {
+    const columns = parseColumns(plan.columns);
+
+    if (plan.action === 'insert') {
+      const inserted = plan.values.map((values) => insertRow(plan.table, values));
+      return { rows: inserted.map((row) => project(row, columns)) };
+    }
+
+    const found = findRows(plan.table, plan.filters);
+
+    if (plan.action === 'update') {
+      return { rows: found.map((row) => project(updateRow(row, plan.values), columns)) };
+    }
+    if (plan.action === 'delete') {
+      tables[plan.table] = tableRows(plan.table).filter((row) => !found.includes(row));
+      return { rows: found.map((row) => project(row, columns)) };
+    }
+
+    let rows = sortRows(found, plan.order);
+    const count = plan.count ? rows.length : null;
+    if (plan.offset != null) rows = rows.slice(plan.offset);
+    if (plan.limit != null) rows = rows.slice(0, plan.limit);
+    return { rows: rows.map((row) => project(row, columns)), count };
+  }
+
+  return {
+    driver: 'memory',
+
+    from(table) {
+      return new QueryBuilder(table, execute);
+    },
+
+    async rpc(name, params = {}) {
+      const fn = MEMORY_FUNCTIONS[name];
+      if (!fn) return { data: null, error: { message: `function ${name} does not exist`, code: '42883' } };
+
+      const snapshot = structuredClone({ tables, sequences });
+      try {
+        return { data: toStored(fn(store, params)), error: null };
+      } catch (err) {
+        ({ tables, sequences } = snapshot);
+        return { data: null, error: { message: err.message, code: err.code } };
+      }
+    },
+
+    /**
+     * Empties every table and sequence (test isolation)
+     */
+    reset() {
+      tables = {};
+      sequences = {};
+    }
+  };
+}
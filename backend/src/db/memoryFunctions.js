@@ -0,0 +1,411 @@
+/**
+ * JS ports of the SQL functions in sql/, used by the in-memory backend's rpc.
+ * They receive the backend's store ({ findRows, insertRow, updateRow }) and the
+ * rpc params, and must stay in step with their SQL counterparts.
+ */
+
+const VERSIONED_COMPONENT_TABLES = ['power_meters', 'rent_history', 'water_history', 'maintenance_history', 'monthly_readings'];
+// Tables tied to the stable tenant_id only
+const UNVERSIONED_TENANT_TABLES = ['unit_occupancies', 'deposit_transactions'];
+const ONBOARDING_TABLES = [...VERSIONED_COMPONENT_TABLES, ...UNVERSIONED_TENANT_TABLES];
+// Tables closed with the tenant on exit
+const EXIT_TABLES = ['power_meters', 'rent_history', 'water_history', 'maintenance_history', 'unit_occupancies'];
+
+/**
+ * Errors carry a Postgres-like code so callers can map them (e.g. P0002 → 404)
+ */
+export function dbError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Inserts the row of an insert operation with the stamped columns, resolving
+ * its ref against the rows inserted earlier in the same call
+ */
+function insertOperation(store, operation, stamp, results) {
+  const row = { ...operation.row, ...stamp };
+  if (operation.ref) {
+    row[operation.ref.column] = results[operation.ref.from]?.[operation.ref.column] ?? null;
+  }
+  return store.insertRow(operation.table, row);
+}
+
+/**
+ * ✅ version_tenant (sql/version_tenant.sql)
+ * - Deactivates the active version, inserts the next one with changes and
+ *   floored increments, then applies the insert/close operations in order
+ * - Returns { tenant, previous, results }
+ */
+function versionTenant(store, {
+  p_tenant_id: tenantId,
+  p_effective_date: effectiveDate,
+  p_tenant_changes: changes = {},
+  p_increments: increments = {},
+  p_operations: operations = []
+}) {
+  const [current] = store
+    .findRows('tenants', [
+      { column: 'tenant_id', operator: 'eq', value: tenantId },
+      { column: 'status', operator: 'eq', value: 'active' }
+    ])
+    .sort((a, b) => b.tenant_version - a.tenant_version);
+  if (!current) throw dbError('Active tenant not found', 'P0002');
+
+  const now = new Date().toISOString();
+  const next = { ...current, ...(changes || {}) };
+  Object.entries(increments || {}).forEach(([column, delta]) => {
+    next[column] = Math.max((Number(current[column]) || 0) + Number(delta), 0);
+  });
+  Object.assign(next, {
+    tenant_id: current.tenant_id,
+    tenant_version: current.tenant_version + 1,
+    start_date: changes?.start_date ?? effectiveDate,
+    end_date: null,
+    status: 'active',
+    created_at: now,
+    updated_at: now
+  });
+
+  const previous = { ...store.updateRow(current, { status: 'inactive', end_date: effectiveDate, updated_at: now }) };
+  const tenant = store.insertRow('tenants', next);
+
+  const results = {};
+  (operations || []).forEach((operation) => {
+    const { action, table } = operation;
+    if (!VERSIONED_COMPONENT_TABLES.includes(table)) {
+      throw dbError(`Table ${table} cannot be written by version_tenant`, 'P0001');
+    }
+
+    let result;
+    if (action === 'insert') {
+      result = insertOperation(store, operation, {
+        tenant_id: tenant.tenant_id,
+        tenant_version: tenant.tenant_version,
+        organization_id: current.organization_id ?? null,
+        owner_id: current.owner_id ?? null
+      }, results);
+    } else if (action === 'close') {
+      const [row] = store.findRows(table, [
+        { column: operation.id_column, operator: 'eq', value: operation.id },
+        { column: 'status', operator: 'eq', value: 'active' }
+      ]);
+      if (!row) throw dbError(`Active ${table} row ${operation.id} not found`, 'P0002');
+      result = store.updateRow(row, { status: 'inactive', end_date: effectiveDate, updated_at: now });
+    } else {
+      throw dbError(`Unknown operation ${action}`, 'P0001');
+    }
+
+    results[operation.key || table] = { ...result };
+  });
+
+  return { tenant: { ...tenant }, previous, results };
+}
+
+/**
+ * ✅ onboard_tenant (sql/onboard_tenant.sql)
+ * - Inserts version 1 of the tenant, then the component inserts in order
+ * - Returns { tenant, results }
+ */
+function onboardTenant(store, { p_tenant: tenantRow, p_operations: operations = [] }) {
+  const now = new Date().toISOString();
+  const tenant = store.insertRow('tenants', {
+    ...tenantRow,
+    tenant_version: 1,
+    end_date: null,
+    status: 'active',
+    created_at: now,
+    updated_at: now
+  });
+
+  const results = {};
+  (operations || []).forEach((operation) => {
+    const { action, table } = operation;
+    if (!ONBOARDING_TABLES.includes(table)) {
+      throw dbError(`Table ${table} cannot be written by onboard_tenant`, 'P0001');
+    }
+    if (action !== 'insert') throw dbError(`Unknown operation ${action}`, 'P0001');
+
+    const result = insertOperation(store, operation, {
+      tenant_id: tenant.tenant_id,
+      organization_id: tenant.organization_id ?? null,
+      owner_id: tenant.owner_id ?? null,
+      ...(!UNVERSIONED_TENANT_TABLES.includes(table) && { tenant_version: 1 })
+    }, results);
+    results[operation.key || table] = { ...result };
+  });
+
+  return { tenant: { ...tenant }, results };
+}
+
+/**
+ * ✅ apply_late_fee (sql/apply_late_fee.sql)
+ * - Charges the fee on an issued invoice without a late fee and adds the
+ *   late_fee line item
+ * - Returns the updated invoice, or null when it was already charged
+ */
+function applyLateFee(store, {
+  p_invoice_id: invoiceId,
+  p_fee: fee,
+  p_description: description,
+  p_reference_id: referenceId = null
+}) {
+  const [invoice] = store.findRows('invoices', [
+    { column: 'invoice_id', operator: 'eq', value: invoiceId },
+    { column: 'status', operator: 'eq', value: 'issued' },
+    { column: 'late_fee_amount', operator: 'is', value: null }
+  ]);
+  if (!invoice) return null;
+
+  const now = new Date().toISOString();
+  store.updateRow(invoice, {
+    total_amount: Math.round((Number(invoice.total_amount) + Number(fee)) * 100) / 100,
+    late_fee_amount: fee,
+    late_fee_applied_at: now,
+    updated_at: now
+  });
+  store.insertRow('invoice_line_items', {
+    invoice_id: invoiceId,
+    item_type: 'late_fee',
+    reference_id: referenceId,
+    description,
+    amount: fee
+  });
+  return { ...invoice };
+}
+
+/**
+ * ✅ generate_invoice (sql/generate_invoice.sql)
+ * - Inserts an issued invoice and its line items, one issued invoice per
+ *   tenant and month
+ * - Returns the invoice with line_items
+ */
+function generateInvoice(store, { p_invoice: invoiceRow, p_line_items: lineItemRows = [] }) {
+  const invoiced = store.findRows('invoices', [
+    { column: 'tenant_id', operator: 'eq', value: invoiceRow.tenant_id },
+    { column: 'month', operator: 'eq', value: invoiceRow.month },
+    { column: 'status', operator: 'eq', value: 'issued' }
+  ]);
+  if (invoiced.length > 0) throw dbError(`Invoice already generated for ${invoiceRow.month}`, 'PT409');
+
+  const invoice = store.insertRow('invoices', { ...invoiceRow, status: 'issued' });
+  const lineItems = (lineItemRows || []).map((item) => ({
+    ...store.insertRow('invoice_line_items', { ...item, invoice_id: invoice.invoice_id })
+  }));
+  return { ...invoice, line_items: lineItems };
+}
+
+/**
+ * ✅ replace_power_meter (sql/replace_power_meter.sql)
+ * - Inserts the old meter's final reading and the new meter, retires the old
+ *   meter from the month and seeds the new meter's baseline
+ * - Returns { old_meter, final_reading, meter, baseline }
+ */
+function replacePowerMeter(store, {
+  p_meter_id: meterId,
+  p_month: month,
+  p_final_reading: finalRow,
+  p_new_meter: meterRow,
+  p_baseline: baselineRow
+}) {
+  const [oldMeter] = store.findRows('power_meters', [
+    { column: 'meter_id', operator: 'eq', value: meterId },
+    { column: 'status', operator: 'eq', value: 'active' }
+  ]);
+  if (!oldMeter) throw dbError('Active meter not found', 'P0002');
+
+  const monthReadings = store.findRows('monthly_readings', [
+    { column: 'meter_id', operator: 'eq', value: meterId },
+    { column: 'month', operator: 'eq', value: month }
+  ]);
+  if (monthReadings.length > 0) throw dbError(`Old meter already has a reading for ${month}`, 'PT400');
+
+  const finalReading = store.insertRow('monthly_readings', { ...finalRow, meter_id: meterId });
+  const meter = store.insertRow('power_meters', { ...meterRow, replaces_meter_id: meterId });
+  store.updateRow(oldMeter, {
+    status: 'inactive',
+    end_date: month,
+    replaced_by_meter_id: meter.meter_id,
+    updated_at: new Date().toISOString()
+  });
+  const baseline = store.insertRow('monthly_readings', { ...baselineRow, meter_id: meter.meter_id });
+
+  return { old_meter: { ...oldMeter }, final_reading: { ...finalReading }, meter: { ...meter }, baseline: { ...baseline } };
+}
+
+/**
+ * ✅ exit_tenant (sql/exit_tenant.sql)
+ * - Closes the tenant's active components and then the active tenant version
+ * - Returns { tenant, closed: { <table>: [rows] } }
+ */
+function exitTenant(store, { p_tenant_id: tenantId, p_end_date: endDate }) {
+  const [current] = store
+    .findRows('tenants', [
+      { column: 'tenant_id', operator: 'eq', value: tenantId },
+      { column: 'status', operator: 'eq', value: 'active' }
+    ])
+    .sort((a, b) => b.tenant_version - a.tenant_version);
+  if (!current) throw dbError('Active tenant not found', 'P0002');
+
+  const now = new Date().toISOString();
+  const closed = Object.fromEntries(EXIT_TABLES.map((table) => [
+    table,
+    store
+      .findRows(table, [
+        { column: 'tenant_id', operator: 'eq', value: tenantId },
+        { column: 'status', operator: 'eq', value: 'active' }
+      ])
+      .map((row) => ({ ...store.updateRow(row, { status: 'inactive', end_date: endDate, updated_at: now }) }))
+  ]));
+
+  const tenant = store.updateRow(current, { status: 'inactive', end_date: endDate, updated_at: now });
+  return { tenant: { ...tenant }, closed };
+}
+
+/**
+ * ✅ record_deposit_transaction (sql/record_deposit_transaction.sql)
+ * - Checks the tenant's deposit ledger, then inserts the payment (if any) and
+ *   the transaction linked to it
+ * - Returns { transaction, payment }
+ */
+function recordDepositTransaction(store, { p_transaction: transactionRow, p_payment: paymentRow = null }) {
+  const tenantId = transactionRow.tenant_id;
+  const { type } = transactionRow;
+  const amount = Number(transactionRow.amount);
+  if (store.findRows('tenants', [{ column: 'tenant_id', operator: 'eq', value: tenantId }]).length === 0) {
+    throw dbError('Tenant not found', 'P0002');
+  }
+
+  const ledger = store.findRows('deposit_transactions', [{ column: 'tenant_id', operator: 'eq', value: tenantId }]);
+  const hasReceipt = ledger.some((transaction) => transaction.type === 'receipt');
+  const held = Math.round(ledger.reduce((sum, transaction) => (
+    sum + (['receipt', 'top_up'].includes(transaction.type) ? 1 : -1) * Number(transaction.amount)
+  ), 0) * 100) / 100;
+
+  if (type === 'receipt' && hasReceipt) throw dbError('Deposit already received; record a top_up instead', 'PT409');
+  if (type === 'top_up' && !hasReceipt) throw dbError('Record the deposit receipt first', 'PT400');
+  if (!['receipt', 'top_up'].includes(type) && amount > held) {
+    throw dbError(`${type === 'refund' ? 'Refund' : 'Deduction'} of ${amount} exceeds the held deposit (${held})`, 'PT400');
+  }
+
+  const payment = paymentRow ? store.insertRow('payments', paymentRow) : null;
+  const transaction = store.insertRow('deposit_transactions', {
+    ...transactionRow,
+    payment_id: payment?.payment_id ?? null
+  });
+  return { transaction: { ...transaction }, payment: payment && { ...payment } };
+}
+
+/**
+ * ✅ move_out_tenant (sql/move_out_tenant.sql)
+ * - Stores the final readings and invoice, exits the tenant and settles the
+ *   held deposit (dues, then deductions as far as it goes, then the refund)
+ *   through the exit_tenant and record_deposit_transaction ports
+ * - Returns { readings, invoice, exit, balance, deposit, transactions }
+ */
+function moveOutTenant(store, {
+  p_tenant_id: tenantId,
+  p_month: month,
+  p_end_date: endDate,
+  p_readings: readingRows = [],
+  p_invoice: invoiceRow,
+  p_line_items: lineItemRows = [],
+  p_deductions: deductions = [],
+  p_settled_on: settledOn
+}) {
+  const active = store.findRows('tenants', [
+    { column: 'tenant_id', operator: 'eq', value: tenantId },
+    { column: 'status', operator: 'eq', value: 'active' }
+  ]);
+  if (active.length === 0) throw dbError('Active tenant not found', 'P0002');
+
+  const readings = (readingRows || []).map((row) => {
+    const existing = store.findRows('monthly_readings', [
+      { column: 'meter_id', operator: 'eq', value: row.meter_id },
+      { column: 'month', operator: 'eq', value: month }
+    ]);
+    if (existing.length > 0) throw dbError(`Meter ${row.meter_id} already has a reading for ${month}`, 'PT400');
+    return { ...store.insertRow('monthly_readings', row) };
+  });
+
+  const invoice = generateInvoice(store, {
+    p_invoice: invoiceRow,
+    p_line_items: (lineItemRows || []).map(({ reading_index: readingIndex, ...item }) => ({
+      ...item,
+      ...(readingIndex != null && { reference_id: readings[readingIndex].reading_id })
+    }))
+  });
+
+  const exit = exitTenant(store, { p_tenant_id: tenantId, p_end_date: endDate });
+  const scope = { tenant_id: tenantId, organization_id: exit.tenant.organization_id, owner_id: exit.tenant.owner_id };
+  const sum = (rows, amountOf) => rows.reduce((total, row) => total + amountOf(row), 0);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const billed = round(sum(
+    store.findRows('invoices', [
+      { column: 'tenant_id', operator: 'eq', value: tenantId },
+      { column: 'status', operator: 'eq', value: 'issued' }
+    ]),
+    (row) => Number(row.total_amount)
+  ));
+  const paid = round(sum(
+    store.findRows('payments', [
+      { column: 'tenant_id', operator: 'eq', value: tenantId },
+      { column: 'status', operator: 'eq', value: 'received' }
+    ]),
+    (row) => Number(row.amount)
+  ));
+  const held = round(sum(
+    store.findRows('deposit_transactions', [{ column: 'tenant_id', operator: 'eq', value: tenantId }]),
+    (row) => (['receipt', 'top_up'].includes(row.type) ? 1 : -1) * Number(row.amount)
+  ));
+
+  const transactions = [];
+  let remaining = held;
+  const take = (amount, fields, payment = null) => {
+    const covered = round(Math.min(amount, remaining));
+    if (covered > 0) {
+      transactions.push(recordDepositTransaction(store, {
+        p_transaction: { ...scope, ...fields, amount: covered, transacted_on: settledOn },
+        p_payment: payment && { ...scope, ...payment, amount: covered, paid_on: settledOn }
+      }));
+      remaining = round(remaining - covered);
+    }
+    return Math.max(covered, 0);
+  };
+
+  const appliedToDues = take(
+    Math.max(billed - paid, 0),
+    { type: 'deduction', reason: 'unpaid_dues', description: 'Dues at move-out' },
+    { invoice_id: null, method: 'deposit', notes: 'Dues at move-out', status: 'received' }
+  );
+  const settled = (deductions || []).map((deduction) => ({
+    ...deduction,
+    from_deposit: take(Number(deduction.amount), {
+      type: 'deduction',
+      reason: deduction.reason,
+      description: deduction.description
+    })
+  }));
+  const refundedDeposit = remaining;
+  take(remaining, { type: 'refund', reason: null, description: 'Deposit refund at move-out' });
+
+  return {
+    readings,
+    invoice,
+    exit,
+    balance: { billed, paid },
+    deposit: { held, applied_to_dues: appliedToDues, deductions: settled, refunded_deposit: refundedDeposit },
+    transactions
+  };
+}
+
+export const MEMORY_FUNCTIONS = {
+  version_tenant: versionTenant,
+  onboard_tenant: onboardTenant,
+  apply_late_fee: applyLateFee,
+  generate_invoice: generateInvoice,
+  replace_power_meter: replacePowerMeter,
+  exit_tenant: exitTenant,
+  record_deposit_transaction: recordDepositTransaction,
+  move_out_tenant: moveOutTenant
+};
@@ -0,0 +1,175 @@
+import pg from 'pg';
+import { QueryBuilder, parseColumns } from './queryBuilder.js';
+
+const { Pool, types } = pg;
+
+/**
+ * Return values the way Supabase's REST API does: bigint/numeric as numbers,
+ * dates as 'YYYY-MM-DD' strings and timestamps as ISO strings
+ */
+const TYPE_PARSERS = {
+  [types.builtins.INT8]: Number,
+  [types.builtins.NUMERIC]: Number,
+  [types.builtins.DATE]: (value) => value,
+  [types.builtins.TIMESTAMP]: (value) => new Date(`${value}Z`).toISOString(),
+  [types.builtins.TIMESTAMPTZ]: (value) => new Date(value).toISOString()
+};
+
+const pgTypes = {
+  getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+};
+
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', ilike: 'ilike' };
+
+function quoteIdent(name) {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(name)) throw new Error(`Invalid identifier "${name}"`);
+  return `"${name}"`;
+}
+
+/**
+ * Objects and arrays go to json/jsonb columns as JSON text
+ * (pg would otherwise turn arrays into Postgres array literals)
+ */
+function toParam(value) {
+  if (value === undefined) return null;
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+  return value;
+}
+
+function selectList(columns) {
+  const list = parseColumns(columns);
+  return list ? list.map(quoteIdent).join(', ') : '*';
+}
+
+/**
+ * WHERE clause for the plan's filters; values are appended to params
+ */
+function whereClause(filters, params) {
+  if (filters.length === 0) return '';
+  const conditions = filters.map(({ column, operator, value }) => {
+    const target = quoteIdent(column);
+    if (operator === 'is') {
+      if (value === null) return `${target} is null`;
+      if (value === true || value === false) return `${target} is ${value}`;
+      throw new Error(`Unsupported is() value "${value}"`);
+    }
+    if (operator === 'in') {
+      if (value.length === 0) return 'false';
+      const placeholders = value.map((item) => {
+        params.push(toParam(item));
+        return `$${params.length}`;
+      });
+      return `${target} in (${placeholders.join(', ')})`;
+    }
+    if (!OPERATORS[operator]) throw new Error(`Unsupported filter "${operator}"`);
+    params.push(toParam(value));
+    return `${target} ${OPERATORS[operator]} $${params.length}`;
+  });
+  return ` where ${conditions.join(' and ')}`;
+}
+
+/**
+ * ✅ Builds the SQL statement(s) for a query plan
+ * - Inserts only list the columns present, so database defaults still apply
+ * - Returns { sql, params, countSql?, countParams? }
+ */
+export function buildSql(plan) {
+  const table = quoteIdent(plan.table);
+  const returning = plan.returning ? ` returning ${selectList(plan.columns)}` : '';
+  const params = [];
+
+  if (plan.action === 'insert') {
+    const columns = [...new Set(plan.values.flatMap((row) => Object.keys(row)))];
+    if (columns.length === 0) {
+      return { sql: `insert into ${table} default values${returning}`, params };
+    }
+    const rows = plan.values.map((row) => `(${columns.map((column) => {
+      if (!(column in row)) return 'default';
+      params.push(toParam(row[column]));
+      return `$${params.length}`;
+    }).join(', ')})`);
+    return {
+      sql: `insert into ${table} (${columns.map(quoteIdent).join(', ')}) values ${rows.join(', ')}${returning}`,
+      params
+    };
+  }
+
+  if (plan.action === 'update') {
+    const assignments = Object.entries(plan.values).map(([column, value]) => {
+      params.push(toParam(value));
+      return `${quoteIdent(column)} = $${params.length}`;
+    });
+    const where = whereClause(plan.filters, params);
+    return { sql: `update ${table} set ${assignments.join(', ')}${where}${returning}`, params };
+  }
+
+  if (plan.action === 'delete') {
+    const where = whereClause(plan.filters, params);
+    return { sql: `delete from ${table}${where}${returning}`, params };
+  }
+
+  const where = whereClause(plan.filters, params);
+  const order = plan.order.length > 0
+    ? ` order by ${plan.order.map(({ column, ascending }) => `${quoteIdent(column)} ${ascending ? 'asc' : 'desc'}`).join(', ')}`
+    : '';
+  let paging = '';
+  if (plan.limit != null) paging += ` limit ${Number(plan.limit)}`;
+  if (plan.offset != null) paging += ` offset ${Number(plan.offset)}`;
+
+  const built = { sql: `select ${selectList(plan.columns)} from ${table}${where}${order}${paging}`, params };
+  if (plan.count) {
+    built.countSql = `select count(*) as count from ${table}${where}`;
+    built.countParams = [...params];
+  }
+  return built;
+}
+
+/**
+ * ✅ Postgres storage backend (node-postgres)
+ * - Same client surface as supabase-js (from(...) query chains and rpc)
+ * - rpc calls the SQL function with named arguments and returns its value
+ * - Needs the schema and every file in sql/ applied, in the README's order
+ */
+export function createPostgresBackend({ connectionString }) {
+  const pool = new Pool({ connectionString, types: pgTypes });
+
+  async function execute(plan) {
+    const { sql, params, countSql, countParams } = buildSql(plan);
+    let count = null;
+    if (countSql) {
+      const { rows } = await pool.query(countSql, countParams);
+      count = rows[0].count;
+    }
+    if (plan.action === 'select' && plan.head) return { rows: [], count };
+
+    const { rows } = await pool.query(sql, params);
+    return { rows, count };
+  }
+
+  return {
+    driver: 'postgres',
+    pool,
+
+    from(table) {
+      return new QueryBuilder(table, execute);
+    },
+
+    async rpc(name, params = {}) {
+      const entries = Object.entries(params);
+      const args = entries.map(([key], index) => `${quoteIdent(key)} => $${index + 1}`).join(', ');
+      try {
+        const { rows } = await pool.query(
+          `select ${quoteIdent(name)}(${args}) as result`,
+          entries.map(([, value]) => toParam(value))
+        );
+        return { data: rows[0]?.result ?? null, error: null };
+      } catch (err) {
+        return { data: null, error: { message: err.message, code: err.code } };
+      }
+    },
+
+    end() {
+      return pool.end();
+    }
+  };
+}
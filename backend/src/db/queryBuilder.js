@@ -0,0 +1,130 @@
+/**
+ * ✅ Supabase-compatible query builder for the postgres and memory backends
+ * - Records the call chain as a plan: { table, action, columns, values, filters,
+ *   order, limit, offset, count, head, returning }
+ * - Awaiting it runs the plan through the backend's executor and resolves to
+ *   { data, error, count } like supabase-js (errors are returned, never thrown)
+ * - Supported subset: select (count/head), insert, update, delete (+ select),
+ *   eq, neq, gt, gte, lt, lte, in, is, ilike, order, limit, range, single, maybeSingle
+ */
+export class QueryBuilder {
+  constructor(table, executor) {
+    this.executor = executor;
+    this.plan = {
+      table,
+      action: 'select',
+      columns: '*',
+      values: null,
+      filters: [],
+      order: [],
+      limit: null,
+      offset: null,
+      count: null,
+      head: false,
+      returning: false,
+      mode: 'many'
+    };
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.plan.action === 'select') {
+      Object.assign(this.plan, { columns, count, head });
+    } else {
+      Object.assign(this.plan, { columns, returning: true });
+    }
+    return this;
+  }
+
+  insert(values) {
+    Object.assign(this.plan, { action: 'insert', values: Array.isArray(values) ? values : [values] });
+    return this;
+  }
+
+  update(values) {
+    Object.assign(this.plan, { action: 'update', values });
+    return this;
+  }
+
+  delete() {
+    this.plan.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.plan.filters.push({ column, operator, value });
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+
+  order(column, { ascending = true } = {}) {
+    this.plan.order.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.plan.limit = count;
+    return this;
+  }
+
+  range(from, to) {
+    Object.assign(this.plan, { offset: from, limit: to - from + 1 });
+    return this;
+  }
+
+  single() {
+    this.plan.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.plan.mode = 'maybeSingle';
+    return this;
+  }
+
+  async execute() {
+    try {
+      const { rows, count } = await this.executor(this.plan);
+      return shapeResult(this.plan, rows, count);
+    } catch (err) {
+      return { data: null, error: { message: err.message, code: err.code }, count: null };
+    }
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+}
+
+/**
+ * Applies head/returning/single semantics to the executor's rows
+ */
+function shapeResult(plan, rows, count = null) {
+  if (plan.action !== 'select' && !plan.returning) return { data: null, error: null, count };
+  if (plan.action === 'select' && plan.head) return { data: null, error: null, count };
+
+  if (plan.mode === 'many') return { data: rows, error: null, count };
+  if (rows.length > 1) {
+    return { data: null, error: { message: 'Multiple rows returned', code: 'PGRST116' }, count };
+  }
+  if (rows.length === 0 && plan.mode === 'single') {
+    return { data: null, error: { message: 'No rows returned', code: 'PGRST116' }, count };
+  }
+  return { data: rows[0] ?? null, error: null, count };
+}
+
+/**
+ * Column list of a select ('*' → null = all columns)
+ */
+export function parseColumns(columns) {
+  if (!columns || columns.trim() === '*') return null;
+  return columns.split(',').map((column) => column.trim()).filter(Boolean);
+}
@@ -0,0 +1,39 @@
+/**
+ * ✅ Tables known to the in-memory backend
+ * - idColumn: generated from a per-table sequence when an insert omits it
+ * - defaults: column defaults of the Postgres schema the code relies on
+ * - Versioned tables (tenants, tariffs) reuse the id on later versions, so the
+ *   sequence only advances past ids that are inserted explicitly
+ */
+export const TABLES = {
+  owners: { idColumn: 'owner_id' },
+  properties: { idColumn: 'property_id' },
+  units: { idColumn: 'unit_id' },
+  unit_occupancies: { idColumn: 'occupancy_id' },
+  tenants: {
+    idColumn: 'tenant_id',
+    defaults: {
+      tenant_version: 1,
+      power_meter_count: 0,
+      rent_portion_count: 0,
+      water_required: false,
+      maintenance_required: false
+    }
+  },
+  power_meters: { idColumn: 'meter_id' },
+  rent_history: { idColumn: 'rent_id' },
+  water_history: { idColumn: 'water_id' },
+  maintenance_history: { idColumn: 'maintenance_id' },
+  monthly_readings: { idColumn: 'reading_id', defaults: { is_rollover: false, is_final_reading: false, is_anomaly: false, anomaly_reviewed: false } },
+  general_setup: { idColumn: 'entry_id' },
+  tariffs: { idColumn: 'tariff_id' },
+  invoices: { idColumn: 'invoice_id' },
+  invoice_line_items: { idColumn: 'line_item_id' },
+  payments: { idColumn: 'payment_id' },
+  deposit_transactions: { idColumn: 'transaction_id' },
+  users: { idColumn: 'user_id' },
+  invitations: { idColumn: 'invite_id', defaults: { accepted: false } },
+  refresh_tokens: { idColumn: 'session_id' },
+  auth_tokens: { idColumn: 'token_id' },
+  audit_log: { idColumn: 'audit_id' }
+};
@@ -29,6 +29,18 @@ export function requireRole(...allowed) {
   };
 }
 
+/**
+ * Read access for every authenticated role; writes limited to the given roles
+ * (superadmin bypass via requireRole)
+ */
+export function requireWriteRole(...allowed) {
+  const gate = requireRole(...allowed);
+  return (req, res, next) => {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+    gate(req, res, next);
+  };
+}
+
 /**
  * Scope helpers to enforce organization/owner/tenant context
  */
@@ -53,3 +65,15 @@ export function requireTenantScope(req, res, next) {
   }
   next();
 }
+
+/**
+ * Ensures the token carries the scope claims its role needs
+ */
+export function requireRoleScope(req, res, next) {
+  switch (req.user.role) {
+    case 'orgadmin': return requireOrgScope(req, res, next);
+    case 'owner': return requireOwnerScope(req, res, next);
+    case 'tenant': return requireTenantScope(req, res, next);
+    default: return next();
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * ✅ Request validation against a declared schema
+ * - Schema: { body?: fields, query?: fields } where fields = { name: spec }
+ * - Only declared fields are allowed (unknown fields are errors) and only
+ *   declared fields reach the route, so clients can't write other columns
+ * - Values are coerced (numeric strings → numbers, 'true'/'false' → booleans)
+ * - Failure → 400 { error: 'Validation failed', details: [{ field, message }] }
+ *
+ * Field spec:
+ * - type: string | number | integer | id | boolean | date | array | object | any
+ * - required, nullable, min, max (numbers) / minLength, maxLength (strings)
+ * - enum: allowed values
+ * - items: spec for array items; fields: nested fields for objects
+ */
+export function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+
+    if (schema.body) {
+      req.body = checkFields(req.body ?? {}, schema.body, '', details);
+    }
+    if (schema.query) {
+      // Express 5 exposes req.query as a getter, so redefine it
+      Object.defineProperty(req, 'query', {
+        value: checkFields(req.query ?? {}, schema.query, '', details),
+        writable: true,
+        configurable: true,
+        enumerable: true
+      });
+    }
+
+    if (details.length > 0) return res.status(400).json({ error: 'Validation failed', details });
+    next();
+  };
+}
+
+function checkFields(input, fields, prefix, details) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    details.push({ field: prefix || 'body', message: 'must be an object' });
+    return {};
+  }
+
+  const output = {};
+  Object.keys(input).forEach((name) => {
+    if (!fields[name]) details.push({ field: `${prefix}${name}`, message: 'is not an allowed field' });
+  });
+
+  Object.entries(fields).forEach(([name, spec]) => {
+    const path = `${prefix}${name}`;
+    const value = input[name];
+
+    if (value === undefined || value === '') {
+      if (spec.required) details.push({ field: path, message: 'is required' });
+      return;
+    }
+    if (value === null) {
+      if (spec.nullable) output[name] = null;
+      else details.push({ field: path, message: 'must not be null' });
+      return;
+    }
+
+    const checked = checkValue(value, spec, path, details);
+    if (checked !== undefined) output[name] = checked;
+  });
+
+  return output;
+}
+
+function checkValue(value, spec, path, details) {
+  const fail = (message) => {
+    details.push({ field: path, message });
+    return undefined;
+  };
+
+  let result = value;
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (spec.minLength != null && value.trim().length < spec.minLength) {
+        return fail(`must be at least ${spec.minLength} characters`);
+      }
+      if (spec.maxLength != null && value.length > spec.maxLength) {
+        return fail(`must be at most ${spec.maxLength} characters`);
+      }
+      break;
+    case 'number':
+    case 'integer':
+    case 'id':
+      result = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof result !== 'number' || !Number.isFinite(result)) return fail('must be a number');
+      if (spec.type !== 'number' && !Number.isInteger(result)) return fail('must be an integer');
+      if (spec.type === 'id' && result < 1) return fail('must be a positive id');
+      if (spec.min != null && result < spec.min) return fail(`must be at least ${spec.min}`);
+      if (spec.max != null && result > spec.max) return fail(`must be at most ${spec.max}`);
+      break;
+    case 'boolean':
+      if (value === 'true' || value === 'false') result = value === 'true';
+      if (typeof result !== 'boolean') return fail('must be true or false');
+      break;
+    case 'date':
+      // Plain calendar days only: no time part, and no rollover like 2026-02-30
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || !isCalendarDay(value)) {
+        return fail('must be a date (YYYY-MM-DD)');
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (spec.minLength != null && value.length < spec.minLength) {
+        return fail(`must have at least ${spec.minLength} item(s)`);
+      }
+      if (spec.items) {
+        result = value.map((item, index) => (
+          spec.items.fields
+            ? checkFields(item, spec.items.fields, `${path}[${index}].`, details)
+            : checkValue(item, spec.items, `${path}[${index}]`, details)
+        ));
+      }
+      break;
+    case 'object':
+      if (spec.fields) result = checkFields(value, spec.fields, `${path}.`, details);
+      else if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      break;
+    case 'any':
+      break;
+    default:
+      throw new Error(`Unknown schema type "${spec.type}" for ${path}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(result)) return fail(`must be one of ${spec.enum.join(', ')}`);
+  return result;
+}
+
+function isCalendarDay(value) {
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+}
@@ -0,0 +1,6 @@
+import { createRepository } from './createRepository.js';
+
+/**
+ * ✅ Audit log (append-only, scoped by organization/owner; no tenant_id column)
+ */
+export const auditRepository = createRepository('audit_log', { idColumn: 'audit_id', tenantColumn: null });
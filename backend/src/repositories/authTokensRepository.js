@@ -0,0 +1,40 @@
+import { createRepository } from './createRepository.js';
+
+const refreshTokens = createRepository('refresh_tokens', { idColumn: 'session_id', tenantColumn: null });
+const authTokens = createRepository('auth_tokens', { idColumn: 'token_id', tenantColumn: null });
+
+/**
+ * ✅ Refresh tokens (one row per session; stored as sha256 hashes)
+ */
+export const refreshTokensRepository = {
+  ...refreshTokens,
+
+  findByHash(tokenHash) {
+    return refreshTokens.list(null, { token_hash: tokenHash }).maybeSingle();
+  },
+
+  /**
+   * Revokes the still active tokens matching the equality filters
+   * (e.g. { session_id } or { user_id }) and returns the revoked rows
+   */
+  revokeActive(filters) {
+    return refreshTokens.updateWhere(filters, { revoked_at: new Date() }).is('revoked_at', null);
+  }
+};
+
+/**
+ * ✅ One-time tokens (email verification, password reset, magic link; hashed)
+ */
+export const authTokensRepository = {
+  ...authTokens,
+
+  /**
+   * Marks an unused, unexpired token of the purpose used and returns it
+   * (no rows when the token is unknown, used or expired)
+   */
+  consume(tokenHash, purpose) {
+    return authTokens.updateWhere({ token_hash: tokenHash, purpose }, { used_at: new Date() })
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString());
+  }
+};
@@ -0,0 +1,80 @@
+import db from '../db.js';
+import { applyScope } from '../utils/scopeUtil.js';
+
+/**
+ * ✅ Table repository over the configured storage backend (src/db.js)
+ * - Reads take the caller (req.user) and are limited to their scope;
+ *   internal callers pass null to read across scopes
+ * - Writes address rows by id; callers check scope on the row they read first
+ * - Methods return the query, so callers can chain order/limit/in and get
+ *   { data, error } when awaiting it
+ * - tenantColumn: column scoped for tenant users (null for tables without one)
+ */
+export function createRepository(table, { idColumn, tenantColumn = 'tenant_id' }) {
+  const scopeOptions = { tenantColumn };
+
+  function select(user, columns = '*', options) {
+    return applyScope(db.from(table).select(columns, options), user, scopeOptions);
+  }
+
+  function list(user, filters = {}) {
+    return Object.entries(filters)
+      .reduce((query, [column, value]) => query.eq(column, value), select(user));
+  }
+
+  function listActive(user, filters = {}) {
+    return list(user, filters).eq('status', 'active');
+  }
+
+  /**
+   * Updates every row matching the equality filters
+   */
+  function updateWhere(filters, fields) {
+    return Object.entries(filters)
+      .reduce((query, [column, value]) => query.eq(column, value), db.from(table).update(fields))
+      .select();
+  }
+
+  return {
+    table,
+    idColumn,
+    select,
+    list,
+    listActive,
+
+    findById(user, id) {
+      return list(user, { [idColumn]: id }).maybeSingle();
+    },
+
+    findActive(user, id) {
+      return listActive(user, { [idColumn]: id }).maybeSingle();
+    },
+
+    insert(rows) {
+      return db.from(table).insert(Array.isArray(rows) ? rows : [rows]).select();
+    },
+
+    updateWhere,
+
+    /**
+     * Updates one row; extra filters (e.g. { status: 'active' }) narrow the match
+     */
+    update(id, fields, filters = {}) {
+      return updateWhere({ [idColumn]: id, ...filters }, fields);
+    },
+
+    /**
+     * Marks a row inactive from endDate (start of a new version or a soft delete)
+     */
+    close(id, endDate) {
+      return updateWhere({ [idColumn]: id }, { status: 'inactive', end_date: endDate, updated_at: new Date() });
+    },
+
+    /**
+     * Hard delete, limited to the caller's scope
+     */
+    remove(user, id) {
+      return applyScope(db.from(table).delete().eq(idColumn, id), user, scopeOptions).select();
+    }
+  };
+}
@@ -0,0 +1,19 @@
+import { createRepository } from './createRepository.js';
+
+const deposits = createRepository('deposit_transactions', { idColumn: 'transaction_id' });
+
+/**
+ * ✅ Security deposit ledger (append-only; tied to the stable tenant_id, not a version)
+ */
+export const depositsRepository = {
+  ...deposits,
+
+  /**
+   * Every transaction of a tenant, oldest first
+   */
+  listForTenant(user, tenantId) {
+    return deposits.list(user, { tenant_id: tenantId })
+      .order('transacted_on', { ascending: true })
+      .order('transaction_id', { ascending: true });
+  }
+};
@@ -0,0 +1,8 @@
+import { createRepository } from './createRepository.js';
+
+/**
+ * ✅ Charge histories (tenant components with start_date/end_date ranges)
+ */
+export const rentHistoryRepository = createRepository('rent_history', { idColumn: 'rent_id' });
+export const waterHistoryRepository = createRepository('water_history', { idColumn: 'water_id' });
+export const maintenanceHistoryRepository = createRepository('maintenance_history', { idColumn: 'maintenance_id' });
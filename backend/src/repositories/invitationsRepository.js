@@ -0,0 +1,17 @@
+import { createRepository } from './createRepository.js';
+
+const invitations = createRepository('invitations', { idColumn: 'invite_id', tenantColumn: null });
+
+/**
+ * ✅ Invitations (scoped by organization/owner; tenants never manage invites)
+ */
+export const invitationsRepository = {
+  ...invitations,
+
+  /**
+   * Invite not yet accepted for a token, across scopes (the invitee has none yet)
+   */
+  findUnaccepted(token) {
+    return invitations.list(null, { token, accepted: false }).limit(1).maybeSingle();
+  }
+};
@@ -0,0 +1,32 @@
+import { createRepository } from './createRepository.js';
+
+const invoices = createRepository('invoices', { idColumn: 'invoice_id' });
+
+/**
+ * ✅ Invoice line items (no scope columns; read through their invoice)
+ */
+export const invoiceLineItemsRepository = createRepository('invoice_line_items', {
+  idColumn: 'line_item_id',
+  tenantColumn: null
+});
+
+/**
+ * ✅ Invoices (tied to the stable tenant_id plus the tenant_version billed)
+ */
+export const invoicesRepository = {
+  ...invoices,
+
+  /**
+   * Issued invoices, optionally narrowed by equality filters
+   */
+  listIssued(user, filters = {}) {
+    return invoices.list(user, filters).eq('status', 'issued');
+  },
+
+  /**
+   * Line items of an invoice in the order they were added
+   */
+  listLineItems(invoiceId) {
+    return invoiceLineItemsRepository.list(null, { invoice_id: invoiceId }).order('line_item_id', { ascending: true });
+  }
+};
@@ -0,0 +1,6 @@
+import { createRepository } from './createRepository.js';
+
+/**
+ * ✅ Power meters (tenant component; replaced meters link via replaces_meter_id)
+ */
+export const metersRepository = createRepository('power_meters', { idColumn: 'meter_id' });
@@ -0,0 +1,6 @@
+import { createRepository } from './createRepository.js';
+
+/**
+ * ✅ Owners (no tenant_id column; tenants see their own owner)
+ */
+export const ownersRepository = createRepository('owners', { idColumn: 'owner_id', tenantColumn: null });
@@ -0,0 +1,17 @@
+import { createRepository } from './createRepository.js';
+
+const payments = createRepository('payments', { idColumn: 'payment_id' });
+
+/**
+ * ✅ Payments (tied to the stable tenant_id; never deleted, reversed instead)
+ */
+export const paymentsRepository = {
+  ...payments,
+
+  /**
+   * Payments that count towards the balance (not reversed)
+   */
+  listReceived(user, filters = {}) {
+    return payments.list(user, filters).eq('status', 'received');
+  }
+};
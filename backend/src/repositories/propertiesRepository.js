@@ -0,0 +1,6 @@
+import { createRepository } from './createRepository.js';
+
+/**
+ * ✅ Properties (buildings of an owner; no tenant_id column, tenants see their owner's)
+ */
+export const propertiesRepository = createRepository('properties', { idColumn: 'property_id', tenantColumn: null });
@@ -0,0 +1,32 @@
+import { createRepository } from './createRepository.js';
+
+const readings = createRepository('monthly_readings', { idColumn: 'reading_id' });
+
+/**
+ * ✅ Monthly meter readings (one row per meter and month, plus a baseline
+ *   row for the month before a meter starts)
+ */
+export const readingsRepository = {
+  ...readings,
+
+  findForMonth(user, meterId, month) {
+    return readings.list(user, { meter_id: meterId, month }).maybeSingle();
+  },
+
+  /**
+   * All readings of a meter with their count (count 1 = only the baseline)
+   */
+  listForMeter(meterId) {
+    return readings.select(null, '*', { count: 'exact' }).eq('meter_id', meterId);
+  },
+
+  /**
+   * Up to count readings of a meter before the month, newest first
+   */
+  listLatestBefore(meterId, month, count) {
+    return readings.list(null, { meter_id: meterId })
+      .lt('month', month)
+      .order('month', { ascending: false })
+      .limit(count);
+  }
+};
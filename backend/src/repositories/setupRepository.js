@@ -0,0 +1,6 @@
+import { createRepository } from './createRepository.js';
+
+/**
+ * ✅ General setup (per owner, no tenant_id column)
+ */
+export const setupRepository = createRepository('general_setup', { idColumn: 'entry_id', tenantColumn: null });
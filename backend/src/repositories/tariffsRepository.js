@@ -0,0 +1,28 @@
+import { createRepository } from './createRepository.js';
+
+const tariffs = createRepository('tariffs', { idColumn: 'tariff_id', tenantColumn: null });
+
+/**
+ * ✅ Slab tariffs (per owner, no tenant_id column; versioned like tenants:
+ *   one row per tariff_version, one active at a time)
+ */
+export const tariffsRepository = {
+  ...tariffs,
+
+  /**
+   * Latest active version of a tariff
+   */
+  findActive(user, tariffId) {
+    return tariffs.listActive(user, { tariff_id: tariffId })
+      .order('tariff_version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+  },
+
+  /**
+   * Updates one version of a tariff
+   */
+  updateVersion(tariffId, tariffVersion, fields) {
+    return tariffs.updateWhere({ tariff_id: tariffId, tariff_version: tariffVersion }, fields);
+  }
+};
@@ -0,0 +1,49 @@
+import { createRepository } from './createRepository.js';
+
+const tenants = createRepository('tenants', { idColumn: 'tenant_id' });
+
+/**
+ * ✅ Tenants (versioned: one row per tenant_version, one active at a time)
+ * - tenant_id is stable across versions, so lookups by id pick a version
+ */
+export const tenantsRepository = {
+  ...tenants,
+
+  /**
+   * Latest active version of a tenant
+   */
+  findActive(user, tenantId) {
+    return tenants.listActive(user, { tenant_id: tenantId })
+      .order('tenant_version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+  },
+
+  /**
+   * Latest version of a tenant, whatever its status
+   */
+  findLatest(user, tenantId) {
+    return tenants.list(user, { tenant_id: tenantId })
+      .order('tenant_version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+  },
+
+  /**
+   * Every version of a tenant, oldest first
+   */
+  listVersions(user, tenantId) {
+    return tenants.list(user, { tenant_id: tenantId }).order('tenant_version', { ascending: true });
+  },
+
+  searchActive(user, namePrefix) {
+    return tenants.listActive(user).ilike('name', `${namePrefix}%`);
+  },
+
+  /**
+   * Updates one version in place, only while it is the active one
+   */
+  updateVersion(tenantId, tenantVersion, fields) {
+    return tenants.updateWhere({ tenant_id: tenantId, tenant_version: tenantVersion, status: 'active' }, fields);
+  }
+};
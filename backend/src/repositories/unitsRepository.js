@@ -0,0 +1,22 @@
+import { createRepository } from './createRepository.js';
+
+/**
+ * ✅ Units (flats/shops of a property; no tenant_id column)
+ */
+export const unitsRepository = createRepository('units', { idColumn: 'unit_id', tenantColumn: null });
+
+const occupancies = createRepository('unit_occupancies', { idColumn: 'occupancy_id' });
+
+/**
+ * ✅ Unit occupancies (tenant in a unit from start_date until end_date, exclusive)
+ */
+export const occupanciesRepository = {
+  ...occupancies,
+
+  /**
+   * Occupancies of a unit, oldest first
+   */
+  listForUnit(user, unitId) {
+    return occupancies.list(user, { unit_id: unitId }).order('start_date', { ascending: true });
+  }
+};
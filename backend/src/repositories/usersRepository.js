@@ -0,0 +1,25 @@
+import { createRepository } from './createRepository.js';
+
+const users = createRepository('users', { idColumn: 'user_id', tenantColumn: null });
+
+/**
+ * ✅ Users (login accounts; the auth services read them across scopes)
+ */
+export const usersRepository = {
+  ...users,
+
+  findByEmail(email) {
+    return users.list(null, { email }).limit(1).maybeSingle();
+  },
+
+  /**
+   * Number of users, without fetching rows ({ count })
+   */
+  count() {
+    return users.select(null, 'user_id', { count: 'exact', head: true });
+  },
+
+  updateByEmail(email, fields) {
+    return users.updateWhere({ email }, fields);
+  }
+};
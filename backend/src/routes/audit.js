@@ -0,0 +1,38 @@
+import express from 'express';
+import { toDateString } from '../utils/dateUtil.js';
+import { auditRepository } from '../repositories/auditRepository.js';
+import { validate } from '../middlewares/validate.js';
+import { auditQuerySchema } from '../schemas/audit.js';
+
+const router = express.Router();
+
+/**
+ * ✅ Query the audit log (owner/orgadmin/superadmin, within caller's scope)
+ * - ?entity= table name (e.g. tenants, monthly_readings), ?entityId= row id
+ * - ?from= / ?to= YYYY-MM-DD, both inclusive
+ * - Newest first
+ */
+router.get('/', validate(auditQuerySchema), async (req, res) => {
+  const { entity, entityId, from, to } = req.query;
+
+  let query = auditRepository.list(req.user);
+  if (entity) query = query.eq('entity', entity);
+  if (entityId) query = query.eq('entity_id', String(entityId));
+
+  try {
+    if (from) query = query.gte('created_at', toDateString(from));
+    if (to) {
+      const dayAfter = new Date(toDateString(to));
+      dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+      query = query.lt('created_at', dayAfter.toISOString().split('T')[0]);
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+export default router;
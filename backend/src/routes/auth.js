@@ -1,8 +1,31 @@
 // routes/auth.js
 import express from 'express';
 import { OAuth2Client } from 'google-auth-library';
-import jwt from 'jsonwebtoken';
-import supabase from '../db.js';
+import { issueSession, revokeSession, rotateSession } from '../services/sessionService.js';
+import { createUser, findUserByEmail } from '../services/userService.js';
+import {
+  assertLinkableUser,
+  consumeMagicLink,
+  isMagicLinkEnabled,
+  loginWithPassword,
+  registerLocalUser,
+  requestMagicLink,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail
+} from '../services/localAuthService.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  forgotPasswordSchema,
+  googleLoginSchema,
+  logoutSchema,
+  magicLinkSchema,
+  magicLinkVerifySchema,
+  passwordLoginSchema,
+  refreshSchema,
+  resetPasswordSchema,
+  verifyEmailSchema
+} from '../schemas/auth.js';
 
 const router = express.Router();
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
@@ -20,48 +43,149 @@ async function verifyGoogleToken(idToken) {
  * Google login:
  * - Verifies id_token
  * - Bootstraps first user as superadmin
- * - Otherwise creates minimal user (no role escalation)
- * - Returns JWT with role and scope claims
+ * - Otherwise creates minimal user (no role escalation), email verified by Google
+ * - An unverified email/password account with the same email → 409
+ * - Returns a short-lived JWT with role and scope claims plus a refresh token
  */
-router.post('/login/google', async (req, res) => {
+router.post('/login/google', validate(googleLoginSchema), async (req, res) => {
+  const { id_token } = req.body;
+  if (!id_token) return res.status(400).json({ error: 'id_token required' });
+
+  let identity;
   try {
-    const { id_token } = req.body;
-    if (!id_token) return res.status(400).json({ error: 'id_token required' });
-
-    const { email, google_id } = await verifyGoogleToken(id_token);
-
-    // Lookup existing user
-    const { data: existing } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .limit(1);
-    let user = existing?.[0];
-
-    if (!user) {
-      // Bootstrap: first user becomes superadmin
-      const { count } = await supabase.from('users').select('user_id', { count: 'exact', head: true });
-      const role = (count === 0) ? 'superadmin' : 'tenant'; // default minimal role
-      const { data: created, error: insertErr } = await supabase
-        .from('users')
-        .insert([{ google_id, email, role }])
-        .select();
-      if (insertErr) return res.status(500).json({ error: insertErr.message });
-      user = created[0];
-    }
-
-    const token = jwt.sign({
-      sub: user.user_id,
-      role: user.role,
-      email: user.email,
-      organization_id: user.organization_id || null,
-      owner_id: user.owner_id || null,
-      tenant_id: user.tenant_id || null
-    }, process.env.JWT_SECRET, { expiresIn: '8h' });
-
-    res.json({ token, user });
+    identity = await verifyGoogleToken(id_token);
   } catch (e) {
-    res.status(401).json({ error: 'Google login failed' });
+    return res.status(401).json({ error: 'Google login failed' });
+  }
+
+  try {
+    const { email, google_id } = identity;
+    // Lookup existing user, else create one (first user becomes superadmin)
+    const existing = await findUserByEmail(email);
+    assertLinkableUser(existing);
+    const user = existing || (await createUser({ google_id, email, email_verified_at: new Date() }));
+
+    res.json(await issueSession(user));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * Email/password registration:
+ * - Body { email, password } (password at least 8 characters, stored as scrypt hash)
+ * - Same bootstrap rule as Google login
+ * - Emails a verification link; no tokens until /verify-email
+ */
+router.post('/register', validate(passwordLoginSchema), async (req, res) => {
+  try {
+    const user = await registerLocalUser(req.body || {});
+    res.json({ success: true, email: user.email, verification: 'sent' });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * Email verification:
+ * - Body { token } from the registration mail
+ * - Returns the same tokens as the other logins
+ */
+router.post('/verify-email', validate(verifyEmailSchema), async (req, res) => {
+  try {
+    const user = await verifyEmail(req.body?.token);
+    res.json(await issueSession(user));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * Email/password login
+ * - Unverified email → 403 (verify through the registration mail first)
+ */
+router.post('/login', validate(passwordLoginSchema), async (req, res) => {
+  try {
+    const user = await loginWithPassword(req.body || {});
+    res.json(await issueSession(user));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * Password reset:
+ * - /password/forgot { email } emails a reset link (always answers success)
+ * - /password/reset { token, password } sets the password and logs out all sessions
+ */
+router.post('/password/forgot', validate(forgotPasswordSchema), async (req, res) => {
+  try {
+    await requestPasswordReset(req.body?.email);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/password/reset', validate(resetPasswordSchema), async (req, res) => {
+  try {
+    await resetPassword(req.body || {});
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * Magic-link login (when MAGIC_LINK_ENABLED=true):
+ * - /magic-link { email } emails a one-time login link
+ * - /magic-link/verify { token } returns the same tokens as the other logins
+ */
+router.post('/magic-link', validate(magicLinkSchema), async (req, res) => {
+  if (!isMagicLinkEnabled()) return res.status(404).json({ error: 'Magic-link login is disabled' });
+  try {
+    await requestMagicLink(req.body?.email);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/magic-link/verify', validate(magicLinkVerifySchema), async (req, res) => {
+  if (!isMagicLinkEnabled()) return res.status(404).json({ error: 'Magic-link login is disabled' });
+  try {
+    const user = await consumeMagicLink(req.body?.token);
+    res.json(await issueSession(user));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * Refresh:
+ * - Body { refresh_token }
+ * - Returns a new access token and a new refresh token; the old one stops working
+ */
+router.post('/refresh', validate(refreshSchema), async (req, res) => {
+  try {
+    res.json(await rotateSession(req.body?.refresh_token));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * Logout:
+ * - Body { refresh_token, all? }
+ * - Revokes that session, or every session of the user when all is true
+ */
+router.post('/logout', validate(logoutSchema), async (req, res) => {
+  const { refresh_token, all } = req.body || {};
+  try {
+    const revoked = await revokeSession(refresh_token, { all: all === true });
+    res.json({ success: true, revoked });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -0,0 +1,55 @@
+import express from 'express';
+import { fetchScopedTenant } from '../services/scopeService.js';
+import { recordDepositTransaction } from '../services/depositService.js';
+import { depositsRepository } from '../repositories/depositsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import { DEPOSIT_LIST, createDepositSchema, listDepositsSchema } from '../schemas/deposits.js';
+
+const router = express.Router();
+
+/**
+ * ✅ Record Deposit Transaction
+ * - Body: { tenant_id, type: receipt|top_up|deduction|refund, amount, reason?, description?, transacted_on? }
+ * - Tied to the stable tenant_id, so it works for any tenant version (refunds after exit too)
+ * - Deductions need a reason (damages|unpaid_dues|other); deductions and
+ *   refunds can't exceed the held amount
+ * - unpaid_dues deductions also record a payment with method 'deposit'
+ */
+router.post('/', validate(createDepositSchema), async (req, res) => {
+  try {
+    const tenant = await fetchScopedTenant(req.user, req.body.tenant_id);
+    const { transaction, payment } = await recordDepositTransaction(tenant, req.body);
+    if (payment) {
+      await recordAudit(req, { action: 'create', entity: 'payments', entityId: payment.payment_id, after: payment });
+    }
+    await recordAudit(req, { action: 'create', entity: 'deposit_transactions', entityId: transaction.transaction_id, after: transaction });
+    res.json({ transaction, payment });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Fetch Deposit Transactions
+ * - Paged: ?limit=&offset=&sort=, filter ?tenantId=, ?from=/&to= on transacted_on
+ * - Held amount per tenant is part of GET /tenants/:id/balance
+ * - Response: { data, pagination: { total, limit, offset } }
+ */
+router.get('/', validate(listDepositsSchema), async (req, res) => {
+  try {
+    res.json(await fetchPage(depositsRepository.select(req.user, '*', { count: 'exact' }), req.query, DEPOSIT_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  const { data, error } = await depositsRepository.findById(req.user, req.params.id);
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Deposit transaction not found' });
+  res.json(data);
+});
+
+export default router;
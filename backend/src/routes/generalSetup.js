@@ -1,14 +1,31 @@
 import express from 'express';
-import supabase from '../db.js';
 import { getMonthStart } from '../utils/dateUtil.js';
+import { validateLateFeeFields } from '../services/lateFeeService.js';
+import { resolveOwnerScope } from '../services/scopeService.js';
+import { setupRepository } from '../repositories/setupRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  SETUP_LIST,
+  createSetupSchema,
+  getSetupSchema,
+  listSetupSchema,
+  updateSetupSchema
+} from '../schemas/generalSetup.js';
 
 const router = express.Router();
 
 /**
  * ✅ Create General Setup
  * - Simple insert with normalized start_date
+ * - Optional late-fee rule: due_day, grace_days, late_fee_type (flat | percentage), late_fee_value
+ * - organization_id/owner_id stamped from the caller's token (orgadmin picks owner_id)
  */
-router.post('/', async (req, res) => {
+router.post('/', validate(createSetupSchema), async (req, res) => {
+  const lateFeeError = validateLateFeeFields(req.body);
+  if (lateFeeError) return res.status(400).json({ error: lateFeeError });
+
   let normalizedStart;
   try {
     normalizedStart = getMonthStart(req.body.start_date);
@@ -16,8 +33,16 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: err.message });
   }
 
+  let scope;
+  try {
+    scope = await resolveOwnerScope(req.user, req.body.owner_id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
   const newSetup = {
     ...req.body,
+    ...scope,
     start_date: normalizedStart,
     end_date: null,
     status: 'active',
@@ -25,37 +50,36 @@ router.post('/', async (req, res) => {
     updated_at: new Date()
   };
 
-  const { data, error } = await supabase.from('general_setup').insert([newSetup]).select();
+  const { data, error } = await setupRepository.insert(newSetup);
   if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'create', entity: 'general_setup', entityId: data[0].entry_id, after: data[0] });
   res.json(data[0]);
 });
 
 /**
  * ✅ Read Operations
+ * - Paged: ?limit=&offset=&sort=, filters ?ownerId=, ?status=active|inactive|all
+ *   (includeInactive=true → all) and ?from=/&to= on start_date
+ * - Response: { data, pagination: { total, limit, offset } }
  */
-router.get('/', async (req, res) => {
-  const { includeInactive } = req.query;
-  let query = supabase.from('general_setup').select('*');
+router.get('/', validate(listSetupSchema), async (req, res) => {
+  const { includeInactive, ...params } = req.query;
+  if (includeInactive && !params.status) params.status = 'all';
 
-  if (!includeInactive || includeInactive === 'false') {
-    query = query.eq('status', 'active');
+  try {
+    res.json(await fetchPage(setupRepository.select(req.user, '*', { count: 'exact' }), params, SETUP_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
-
-  const { data, error } = await query;
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(getSetupSchema), async (req, res) => {
   const { id } = req.params;
   const { includeInactive } = req.query;
 
-  let query = supabase.from('general_setup').select('*').eq('entry_id', id);
-  if (!includeInactive || includeInactive === 'false') {
-    query = query.eq('status', 'active');
-  }
-
-  const { data, error } = await query.single();
+  const { data, error } = await (includeInactive
+    ? setupRepository.findById(req.user, id)
+    : setupRepository.findActive(req.user, id));
   if (error || !data) return res.status(404).json({ error: 'Setup not found' });
   res.json(data);
 });
@@ -64,18 +88,17 @@ router.get('/:id', async (req, res) => {
  * ✅ Update General Setup
  * - inPlace: true → update same row
  * - inPlace: false → mark old inactive and insert new active row
+ * - Late-fee rule changes should be versioned so older bills keep their terms
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(updateSetupSchema), async (req, res) => {
   const { id } = req.params;
-  const { inPlace, ...updateFields } = req.body;
+  const { inPlace, organization_id, owner_id, ...updateFields } = req.body;
   const currentMonthDate = getMonthStart();
 
-  const { data: currentSetup, error: fetchError } = await supabase
-    .from('general_setup')
-    .select('*')
-    .eq('entry_id', id)
-    .eq('status', 'active')
-    .single();
+  const lateFeeError = validateLateFeeFields(updateFields);
+  if (lateFeeError) return res.status(400).json({ error: lateFeeError });
+
+  const { data: currentSetup, error: fetchError } = await setupRepository.findActive(req.user, id);
   if (fetchError || !currentSetup) return res.status(404).json({ error: 'Active setup not found' });
 
   if (inPlace) {
@@ -87,19 +110,13 @@ router.put('/:id', async (req, res) => {
       }
     }
 
-    const { data, error } = await supabase
-      .from('general_setup')
-      .update({ ...updateFields, updated_at: new Date() })
-      .eq('entry_id', id)
-      .eq('status', 'active')
-      .select();
+    const { data, error } = await setupRepository.update(id, { ...updateFields, updated_at: new Date() }, { status: 'active' });
     if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'update', entity: 'general_setup', entityId: id, before: currentSetup, after: data[0] });
     return res.json({ type: 'inPlace', general_setup: data[0] });
   } else {
     // Mark old inactive
-    await supabase.from('general_setup')
-      .update({ status: 'inactive', end_date: currentMonthDate, updated_at: new Date() })
-      .eq('entry_id', id);
+    await setupRepository.close(id, currentMonthDate);
 
     const { entry_id, ...setupWithoutId } = currentSetup;
     const newSetup = {
@@ -112,9 +129,10 @@ router.put('/:id', async (req, res) => {
       updated_at: new Date()
     };
 
-    const { data, error } = await supabase.from('general_setup').insert([newSetup]).select();
+    const { data, error } = await setupRepository.insert(newSetup);
     if (error) return res.status(500).json({ error: error.message });
 
+    await recordAudit(req, { action: 'update', entity: 'general_setup', entityId: id, before: currentSetup, after: data[0] });
     return res.json({ type: 'versioned', general_setup: data[0] });
   }
 });
@@ -127,14 +145,13 @@ router.delete('/:id', async (req, res) => {
   const { id } = req.params;
   const currentMonthDate = getMonthStart();
 
-  const { data, error } = await supabase
-    .from('general_setup')
-    .update({ status: 'inactive', end_date: currentMonthDate, updated_at: new Date() })
-    .eq('entry_id', id)
-    .select();
+  const { data: before } = await setupRepository.findById(req.user, id);
+  if (!before) return res.status(404).json({ error: 'Setup not found' });
+
+  const { data, error } = await setupRepository.close(id, currentMonthDate);
   if (error) return res.status(500).json({ error: error.message });
-  if (!data || data.length === 0) return res.status(404).json({ error: 'Setup not found' });
 
+  await recordAudit(req, { action: 'delete', entity: 'general_setup', entityId: id, before, after: data[0] });
   res.json({ success: true, general_setup: data[0] });
 });
 
@@ -1,21 +1,56 @@
 // routes/invitations.js
 import express from 'express';
-import crypto from 'crypto';
-import supabase from '../db.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requireRole } from '../middlewares/auth.js';
+import { deliverInvitation, getInviteStatus, newInviteToken } from '../services/invitationService.js';
+import { issueSession, revokeUserSessions } from '../services/sessionService.js';
+import { findUserByEmail, updateUserByEmail } from '../services/userService.js';
+import { assertLinkableUser } from '../services/localAuthService.js';
+import { recordAudit } from '../services/auditService.js';
+import { invitationsRepository } from '../repositories/invitationsRepository.js';
+import { validate } from '../middlewares/validate.js';
+import { acceptInviteSchema, inviteSchema, listInvitesSchema } from '../schemas/auth.js';
 
 const router = express.Router();
 
+/**
+ * Invite row for list/detail responses: token hidden, status derived
+ */
+function toInviteSummary(invite) {
+  const { token, ...summary } = invite;
+  return { ...summary, status: getInviteStatus(invite) };
+}
+
+/**
+ * Role and scope columns of a user, for the audit log
+ */
+function pickRoleClaims(user) {
+  if (!user) return null;
+  const { user_id, email, role, organization_id, owner_id, tenant_id } = user;
+  return { user_id, email, role, organization_id, owner_id, tenant_id };
+}
+
+/**
+ * Fetches an invite the caller may manage, or null
+ */
+async function fetchScopedInvite(user, inviteId) {
+  const { data } = await invitationsRepository.findById(user, inviteId);
+  return data;
+}
+
 /**
  * Create invitation:
  * - superadmin can invite orgadmin
  * - orgadmin/superadmin can invite owner
  * - owner/orgadmin/superadmin can invite tenant
- * - Stores token with 7-day expiry
+ * - organization_id/owner_id default to (and are limited to) the inviter's own scope
+ * - Stores token with 7-day expiry and emails the invite link
  */
-router.post('/invite', requireAuth, async (req, res) => {
-  const { role, email, organization_id, owner_id, tenant_id } = req.body;
+router.post('/invite', requireAuth, validate(inviteSchema), async (req, res) => {
+  const { role, email, tenant_id } = req.body;
   const invokerRole = req.user.role;
+  let { organization_id, owner_id } = req.body;
+  if (['orgadmin', 'owner'].includes(invokerRole)) organization_id = req.user.organization_id;
+  if (invokerRole === 'owner') owner_id = req.user.owner_id;
 
   if (!['orgadmin', 'owner', 'tenant'].includes(role)) {
     return res.status(400).json({ error: 'Invalid invite role' });
@@ -38,46 +73,116 @@ router.post('/invite', requireAuth, async (req, res) => {
     return res.status(400).json({ error: 'owner_id required for tenant' });
   }
 
-  const token = crypto.randomBytes(32).toString('hex');
-  const expires_at = new Date(Date.now() + 1000 * 60 * 60 * 24 * 7).toISOString();
-
-  const { data, error } = await supabase
-    .from('invitations')
-    .insert([{
-      email,
-      role,
-      organization_id: organization_id || null,
-      owner_id: owner_id || null,
-      tenant_id: tenant_id || null,
-      token,
-      expires_at,
-      created_by: req.user.sub
-    }])
-    .select();
+  const { token, expires_at } = newInviteToken();
+
+  const { data, error } = await invitationsRepository.insert({
+    email,
+    role,
+    organization_id: organization_id || null,
+    owner_id: owner_id || null,
+    tenant_id: tenant_id || null,
+    token,
+    expires_at,
+    created_by: req.user.sub
+  });
 
   if (error) return res.status(500).json({ error: error.message });
-  res.json({ invite: data[0] });
+  await recordAudit(req, { action: 'create', entity: 'invitations', entityId: data[0].invite_id, after: toInviteSummary(data[0]) });
+
+  try {
+    res.json({ invite: await deliverInvitation(data[0]) });
+  } catch (err) {
+    // Invite is kept so it can be resent
+    res.status(err.status || 500).json({ error: err.message, invite: data[0] });
+  }
+});
+
+/**
+ * ✅ List invitations (owner/orgadmin/superadmin, within caller's scope)
+ * - Optional ?status=pending|accepted|revoked|expired and ?role= filters
+ * - Tokens are not returned
+ */
+router.get('/', requireAuth, requireRole('owner', 'orgadmin'), validate(listInvitesSchema), async (req, res) => {
+  const { status, role } = req.query;
+
+  const { data, error } = await invitationsRepository.list(req.user, role ? { role } : {}).order('created_at', { ascending: false });
+  if (error) return res.status(500).json({ error: error.message });
+
+  const invites = data.map(toInviteSummary);
+  res.json(status ? invites.filter((invite) => invite.status === status) : invites);
+});
+
+/**
+ * ✅ Revoke invitation
+ * - Pending or expired invites only; a revoked invite can no longer be accepted
+ */
+router.post('/:id/revoke', requireAuth, requireRole('owner', 'orgadmin'), async (req, res) => {
+  const invite = await fetchScopedInvite(req.user, req.params.id);
+  if (!invite) return res.status(404).json({ error: 'Invite not found' });
+
+  const status = getInviteStatus(invite);
+  if (['accepted', 'revoked'].includes(status)) {
+    return res.status(409).json({ error: `Invite already ${status}` });
+  }
+
+  const { data, error } = await invitationsRepository.update(invite.invite_id, { revoked_at: new Date(), revoked_by: req.user.sub });
+  if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'invitations',
+    entityId: invite.invite_id,
+    before: toInviteSummary(invite),
+    after: toInviteSummary(data[0])
+  });
+  res.json({ success: true, invite: toInviteSummary(data[0]) });
+});
+
+/**
+ * ✅ Resend invitation
+ * - Pending or expired invites only
+ * - Issues a new token with a fresh 7-day expiry (the old link stops working)
+ */
+router.post('/:id/resend', requireAuth, requireRole('owner', 'orgadmin'), async (req, res) => {
+  const invite = await fetchScopedInvite(req.user, req.params.id);
+  if (!invite) return res.status(404).json({ error: 'Invite not found' });
+
+  const status = getInviteStatus(invite);
+  if (['accepted', 'revoked'].includes(status)) {
+    return res.status(409).json({ error: `Invite already ${status}` });
+  }
+
+  const { data, error } = await invitationsRepository.update(invite.invite_id, newInviteToken());
+  if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'invitations',
+    entityId: invite.invite_id,
+    before: toInviteSummary(invite),
+    after: toInviteSummary(data[0])
+  });
+
+  try {
+    res.json({ success: true, invite: toInviteSummary(await deliverInvitation(data[0])) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 /**
  * Accept invitation:
  * - Requires Google login (req.user.email)
- * - Validates token, expiry, email match
+ * - Validates token, revocation, expiry, email match
+ * - Refused (409) for an email/password account whose email isn't verified
  * - Promotes role and assigns scope
+ * - Revokes the user's existing sessions and returns a new one with the new claims
  */
-router.post('/accept', requireAuth, async (req, res) => {
+router.post('/accept', requireAuth, validate(acceptInviteSchema), async (req, res) => {
   const { token } = req.body;
   if (!token) return res.status(400).json({ error: 'token required' });
 
-  const { data: invites } = await supabase
-    .from('invitations')
-    .select('*')
-    .eq('token', token)
-    .eq('accepted', false)
-    .limit(1);
-
-  const invite = invites?.[0];
+  const { data: invite } = await invitationsRepository.findUnaccepted(token);
   if (!invite) return res.status(400).json({ error: 'Invalid or used invite' });
+  if (invite.revoked_at) return res.status(400).json({ error: 'Invite revoked' });
   if (new Date(invite.expires_at) < new Date()) {
     return res.status(400).json({ error: 'Invite expired' });
   }
@@ -90,18 +195,32 @@ router.post('/accept', requireAuth, async (req, res) => {
   if (invite.owner_id) updates.owner_id = invite.owner_id;
   if (invite.tenant_id) updates.tenant_id = invite.tenant_id;
 
-  const { error: updateErr } = await supabase
-    .from('users')
-    .update(updates)
-    .eq('email', req.user.email);
-  if (updateErr) return res.status(500).json({ error: updateErr.message });
+  let previousUser;
+  let user;
+  try {
+    previousUser = await findUserByEmail(req.user.email);
+    assertLinkableUser(previousUser);
+    user = await updateUserByEmail(req.user.email, updates);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
 
-  await supabase
-    .from('invitations')
-    .update({ accepted: true })
-    .eq('invite_id', invite.invite_id);
+  await invitationsRepository.update(invite.invite_id, { accepted: true });
 
-  res.json({ success: true });
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'users',
+    entityId: user.user_id,
+    before: pickRoleClaims(previousUser),
+    after: pickRoleClaims(user)
+  });
+
+  try {
+    await revokeUserSessions(user.user_id);
+    res.json({ success: true, ...(await issueSession(user)) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 export default router;
@@ -0,0 +1,128 @@
+import express from 'express';
+import { getMonthStart } from '../utils/dateUtil.js';
+import { generateInvoice, fetchInvoice } from '../services/invoiceService.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { applyLateFees } from '../services/lateFeeService.js';
+import { isInScope } from '../utils/scopeUtil.js';
+import { fetchScopedTenant } from '../services/scopeService.js';
+import { invoicesRepository } from '../repositories/invoicesRepository.js';
+import { ownersRepository } from '../repositories/ownersRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { validate } from '../middlewares/validate.js';
+import { applyLateFeesSchema, generateInvoiceSchema, listInvoicesSchema } from '../schemas/billing.js';
+
+const router = express.Router();
+
+/**
+ * ✅ Generate Invoice
+ * - Body: { tenant_id, month } (both required); month normalized to first day of month
+ * - Gathers rent, maintenance and water rows in effect for the month
+ * - Adds one electricity line per meter reading of the month
+ * - Stores invoice + line items with a total
+ */
+router.post('/generate', validate(generateInvoiceSchema), async (req, res) => {
+  const { tenant_id, month } = req.body;
+  if (!tenant_id) return res.status(400).json({ error: 'tenant_id required' });
+
+  let normalizedMonth;
+  try {
+    normalizedMonth = getMonthStart(month);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    await fetchScopedTenant(req.user, tenant_id);
+    const invoice = await generateInvoice(tenant_id, normalizedMonth);
+    await recordAudit(req, { action: 'create', entity: 'invoices', entityId: invoice.invoice_id, after: invoice });
+    res.json(invoice);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Apply late fees
+ * - Charges every overdue, unpaid invoice (optionally one tenant) per its month's general_setup rule
+ * - Safe to call repeatedly (e.g. from a daily cron); each invoice is charged once
+ */
+router.post('/late-fees/apply', validate(applyLateFeesSchema), async (req, res) => {
+  const { tenant_id, as_of } = req.body || {};
+  try {
+    const invoices = await applyLateFees({ tenantId: tenant_id, asOf: as_of, user: req.user });
+    for (const invoice of invoices) {
+      await recordAudit(req, { action: 'update', entity: 'invoices', entityId: invoice.invoice_id, after: invoice });
+    }
+    res.json({ applied: invoices.length, invoices });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Fetch invoices
+ * - Optional tenantId / month / status filters
+ */
+router.get('/', validate(listInvoicesSchema), async (req, res) => {
+  const { tenantId, month, status } = req.query;
+
+  let query = invoicesRepository.list(req.user, {
+    ...(tenantId && { tenant_id: tenantId }),
+    ...(status && { status })
+  });
+  if (month) {
+    try {
+      query = query.eq('month', getMonthStart(month));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
+
+  const { data, error } = await query.order('month', { ascending: false });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+/**
+ * ✅ Fetch invoice by ID (with line items)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await fetchInvoice(req.params.id);
+    if (!isInScope(req.user, invoice)) return res.status(404).json({ error: 'Invoice not found' });
+    res.json(invoice);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Render invoice as PDF
+ * - Owner details from owners
+ * - Tenant details from the tenant_version the invoice was billed against
+ * - Rendered locally with pdfkit
+ */
+router.get('/:id/pdf', async (req, res) => {
+  let invoice;
+  try {
+    invoice = await fetchInvoice(req.params.id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  if (!isInScope(req.user, invoice)) return res.status(404).json({ error: 'Invoice not found' });
+
+  const { data: tenant, error: tenantError } = await tenantsRepository
+    .list(null, { tenant_id: invoice.tenant_id, tenant_version: invoice.tenant_version })
+    .maybeSingle();
+  if (tenantError || !tenant) return res.status(404).json({ error: 'Tenant version not found' });
+
+  const { data: owner, error: ownerError } = await ownersRepository.findById(null, tenant.owner_id);
+  if (ownerError || !owner) return res.status(404).json({ error: 'Owner not found' });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="invoice-${invoice.invoice_id}.pdf"`);
+  renderInvoicePdf({ invoice, tenant, owner }, res);
+});
+
+export default router;
@@ -1,5 +1,21 @@
 import express from 'express';
-import supabase from '../db.js';
+import { buildReadingColumns } from '../services/readingService.js';
+import { getMonthStart, getPreviousMonthStart } from '../utils/dateUtil.js';
+import { metersRepository } from '../repositories/metersRepository.js';
+import { readingsRepository } from '../repositories/readingsRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  READING_LIST,
+  anomaliesSchema,
+  bulkReadingSchema,
+  createReadingSchema,
+  listReadingsSchema,
+  pendingReadingsSchema,
+  updateReadingSchema
+} from '../schemas/monthlyReadings.js';
 
 const router = express.Router();
 
@@ -10,26 +26,19 @@ const router = express.Router();
  * - Calculates previous month
  * - Fetches last current_reading to use as this month's previous_reading
  * - If previous month data missing → return error to client
+ * - Charge from the meter's slab tariff (with breakdown), else flat rate_per_unit
+ * - Negative consumption rejected unless confirm_negative: true (then flagged)
+ * - Usage far off the meter's rolling average is flagged as an anomaly
  */
-router.post('/', async (req, res) => {
-  const { tenant_id, meter_id, month, current_reading, rate_per_unit } = req.body;
+router.post('/', validate(createReadingSchema), async (req, res) => {
+  const { tenant_id, meter_id, month, current_reading, rate_per_unit, confirm_negative } = req.body;
 
   // 1. Fetch active tenant
-  const { data: tenant, error: tenantError } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', tenant_id)
-    .eq('status', 'active')
-    .single();
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(req.user, tenant_id);
   if (tenantError || !tenant) return res.status(404).json({ error: 'Active tenant not found' });
 
   // 2. Validate meter exists and is active
-  const { data: meter, error: meterError } = await supabase
-    .from('power_meters')
-    .select('*')
-    .eq('meter_id', meter_id)
-    .eq('status', 'active')
-    .single();
+  const { data: meter, error: meterError } = await metersRepository.findActive(req.user, meter_id);
   if (meterError || !meter) return res.status(404).json({ error: 'Active meter not found' });
 
   // 3. Calculate previous month date string
@@ -41,12 +50,7 @@ router.post('/', async (req, res) => {
   const prevMonthStr = prevMonth.toISOString().split('T')[0];
 
   // 4. Fetch last reading for this meter (previous month)
-  const { data: lastReading, error: lastError } = await supabase
-    .from('monthly_readings')
-    .select('*')
-    .eq('meter_id', meter_id)
-    .eq('month', prevMonthStr)
-    .single();
+  const { data: lastReading, error: lastError } = await readingsRepository.findForMonth(req.user, meter_id, prevMonthStr);
 
   if (lastError || !lastReading) {
     // ❌ No previous month data entered
@@ -58,8 +62,16 @@ router.post('/', async (req, res) => {
   // 5. Use lastReading.current_reading as previous_reading
   const previous_reading = lastReading.current_reading;
 
-  // 6. Insert new monthly reading
-  const { data, error } = await supabase.from('monthly_readings').insert([{
+  // 6. Compute charge and anomaly flags from consumption
+  let charge;
+  try {
+    charge = await buildReadingColumns({ meter, month, previous_reading, current_reading, rate_per_unit, confirm_negative });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  // 7. Insert new monthly reading
+  const { data, error } = await readingsRepository.insert({
     tenant_id,
     tenant_version: tenant.tenant_version,
     meter_id,
@@ -67,50 +79,209 @@ router.post('/', async (req, res) => {
     previous_reading,
     current_reading,
     rate_per_unit,
+    ...charge,
+    organization_id: tenant.organization_id,
+    owner_id: tenant.owner_id,
     created_at: new Date(),
     updated_at: new Date()
-  }]).select();
+  });
 
   if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'create', entity: 'monthly_readings', entityId: data[0].reading_id, after: data[0] });
   res.json(data[0]);
 });
 
 
-router.get('/', async (req, res) => {
-  const { tenantId, meterId, startMonth, endMonth, includeInactive } = req.query;
+/**
+ * ✅ Bulk Create Monthly Readings
+ * - Body: { month, rate_per_unit?, readings: [{ meter_id, current_reading, rate_per_unit?, confirm_negative? }] }
+ * - Meters, tenants and previous-month rows fetched once for the whole batch
+ * - Each entry validated against its previous-month reading
+ * - Valid entries saved in one insert; response reports a result per meter
+ */
+router.post('/bulk', validate(bulkReadingSchema), async (req, res) => {
+  const { month, readings, rate_per_unit: defaultRate } = req.body;
+
+  let normalizedMonth;
+  try {
+    normalizedMonth = getMonthStart(month);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return res.status(400).json({ error: 'readings must be a non-empty array' });
+  }
+  const prevMonthStr = getPreviousMonthStart(normalizedMonth);
+  const meterIds = [...new Set(readings.map((entry) => entry.meter_id))];
+
+  const { data: meters, error: meterError } = await metersRepository.listActive(req.user).in('meter_id', meterIds);
+  if (meterError) return res.status(500).json({ error: meterError.message });
+
+  const { data: tenants, error: tenantError } = await tenantsRepository.listActive(req.user)
+    .in('tenant_id', [...new Set(meters.map((meter) => meter.tenant_id))]);
+  if (tenantError) return res.status(500).json({ error: tenantError.message });
+
+  const { data: monthRows, error: readingError } = await readingsRepository.list(req.user)
+    .in('meter_id', meterIds)
+    .in('month', [prevMonthStr, normalizedMonth]);
+  if (readingError) return res.status(500).json({ error: readingError.message });
+
+  const seen = new Set();
+  const results = [];
+  const rows = [];
+  const rowPositions = [];
+
+  for (const [position, entry] of readings.entries()) {
+    const { meter_id, current_reading } = entry;
+    const reject = (error) => { results[position] = { meter_id, status: 'rejected', error }; };
 
-  let query = supabase.from('monthly_readings').select('*');
+    if (seen.has(meter_id)) { reject('Duplicate meter_id in request'); continue; }
+    seen.add(meter_id);
 
-  // 🔹 Tenant filter
-  if (tenantId) {
-    query = query.eq('tenant_id', tenantId);
+    if (current_reading == null || isNaN(Number(current_reading))) { reject('current_reading must be a number'); continue; }
+
+    const meter = meters.find((m) => m.meter_id === meter_id);
+    if (!meter) { reject('Active meter not found'); continue; }
+
+    const tenant = tenants.find((t) => t.tenant_id === meter.tenant_id);
+    if (!tenant) { reject('Active tenant not found'); continue; }
+
+    if (monthRows.some((r) => r.meter_id === meter_id && r.month === normalizedMonth)) {
+      reject(`Reading for ${normalizedMonth} already exists`);
+      continue;
+    }
+
+    const lastReading = monthRows.find((r) => r.meter_id === meter_id && r.month === prevMonthStr);
+    if (!lastReading) {
+      reject(`Previous month (${prevMonthStr}) reading not found. Please enter that first.`);
+      continue;
+    }
+
+    const rate_per_unit = entry.rate_per_unit ?? defaultRate;
+    let charge;
+    try {
+      charge = await buildReadingColumns({
+        meter,
+        month: normalizedMonth,
+        previous_reading: lastReading.current_reading,
+        current_reading,
+        rate_per_unit,
+        confirm_negative: entry.confirm_negative
+      });
+    } catch (err) {
+      reject(err.message);
+      continue;
+    }
+
+    rows.push({
+      tenant_id: tenant.tenant_id,
+      tenant_version: tenant.tenant_version,
+      meter_id,
+      month: normalizedMonth,
+      previous_reading: lastReading.current_reading,
+      current_reading,
+      rate_per_unit,
+      ...charge,
+      organization_id: tenant.organization_id,
+      owner_id: tenant.owner_id,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    rowPositions.push(position);
   }
 
-  // 🔹 Meter filter
-  if (meterId) {
-    query = query.eq('meter_id', meterId);
+  let saved = [];
+  if (rows.length > 0) {
+    const { data, error } = await readingsRepository.insert(rows);
+    if (error) return res.status(500).json({ error: error.message, results });
+    saved = data;
+  }
+  for (const reading of saved) {
+    await recordAudit(req, { action: 'create', entity: 'monthly_readings', entityId: reading.reading_id, after: reading });
   }
+  saved.forEach((reading, index) => {
+    results[rowPositions[index]] = { meter_id: reading.meter_id, status: 'saved', reading };
+  });
 
-  // 🔹 Month range filter
-  if (startMonth && endMonth) {
-    query = query.gte('month', startMonth).lte('month', endMonth);
+  res.json({
+    month: normalizedMonth,
+    saved: saved.length,
+    rejected: readings.length - saved.length,
+    results
+  });
+});
+
+/**
+ * ✅ Pending Readings
+ * - Active meters (already started by the month) with no reading for ?month= yet
+ */
+router.get('/pending', validate(pendingReadingsSchema), async (req, res) => {
+  let normalizedMonth;
+  try {
+    normalizedMonth = getMonthStart(req.query.month);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const { data: meters, error: meterError } = await metersRepository.listActive(req.user)
+    .lte('start_date', normalizedMonth);
+  if (meterError) return res.status(500).json({ error: meterError.message });
+
+  const { data: readings, error: readingError } = await readingsRepository.select(req.user, 'meter_id')
+    .eq('month', normalizedMonth);
+  if (readingError) return res.status(500).json({ error: readingError.message });
+
+  const readMeterIds = new Set(readings.map((reading) => reading.meter_id));
+  res.json({ month: normalizedMonth, meters: meters.filter((meter) => !readMeterIds.has(meter.meter_id)) });
+});
+
+/**
+ * ✅ List readings
+ * - Paged: ?limit=&offset=&sort=, filters ?tenantId=, ?meterId= and ?from=/&to= on month
+ *   (?startMonth=/&endMonth= still work as from/to)
+ * - Response: { data, pagination: { total, limit, offset } }
+ */
+router.get('/', validate(listReadingsSchema), async (req, res) => {
+  const { startMonth, endMonth, ...params } = req.query;
+  params.from ??= startMonth;
+  params.to ??= endMonth;
+
+  try {
+    res.json(await fetchPage(readingsRepository.select(req.user, '*', { count: 'exact' }), params, READING_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+
+/**
+ * ✅ Reading Anomalies
+ * - Flagged readings (negative or spike) for ?month=, to review before billing
+ * - Already reviewed ones excluded unless includeReviewed=true
+ */
+router.get('/anomalies', validate(anomaliesSchema), async (req, res) => {
+  const { month, includeReviewed } = req.query;
+
+  let normalizedMonth;
+  try {
+    normalizedMonth = getMonthStart(month);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
 
-  // 🔹 Active/inactive filter
-//   if (!includeInactive || includeInactive === 'false') {
-//     // join with tenants and meters to ensure active status
-//     query = query.eq('status', 'active');
-//   }
+  let query = readingsRepository.list(req.user, { month: normalizedMonth, is_anomaly: true });
+  if (!includeReviewed) {
+    query = query.eq('anomaly_reviewed', false);
+  }
 
   const { data, error } = await query;
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
 
-
 router.get('/:id', async (req, res) => {
     const { id } = req.params;
-    const { data, error } = await supabase.from('monthly_readings').select('*').eq('reading_id', id).single();
+    const { data, error } = await readingsRepository.findById(req.user, id);
     if (error || !data) return res.status(404).json({ error: 'Monthly reading not found' });
     res.json(data);
 });
@@ -118,29 +289,37 @@ router.get('/:id', async (req, res) => {
 /**
  * ✅ Update Monthly Reading
  * - Always inPlace update (no versioning)
+ * - Charge and anomaly flags recomputed when readings or rate change
+ * - Negative consumption needs confirm_negative: true
+ * - anomaly_reviewed: true marks a flagged reading as reviewed
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(updateReadingSchema), async (req, res) => {
   const { id } = req.params;
-  const updateFields = req.body;
+  const { confirm_negative, organization_id, owner_id, ...updateFields } = req.body;
 
   // Fetch current reading
-  const { data: currentReading, error: fetchError } = await supabase
-    .from('monthly_readings')
-    .select('*')
-    .eq('reading_id', id)
-    .single();
+  const { data: currentReading, error: fetchError } = await readingsRepository.findById(req.user, id);
   if (fetchError || !currentReading) {
     return res.status(404).json({ error: 'Monthly reading not found' });
   }
 
+  let charge = {};
+  if (['current_reading', 'previous_reading', 'rate_per_unit'].some((field) => field in updateFields)) {
+    const { data: meter, error: meterError } = await metersRepository.findById(req.user, currentReading.meter_id);
+    if (meterError || !meter) return res.status(404).json({ error: 'Meter not found' });
+
+    try {
+      charge = await buildReadingColumns({ meter, ...currentReading, ...updateFields, confirm_negative });
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
   // Perform inPlace update
-  const { data, error } = await supabase
-    .from('monthly_readings')
-    .update({ ...updateFields })
-    .eq('reading_id', id)
-    .select();
+  const { data, error } = await readingsRepository.update(id, { ...updateFields, ...charge });
 
   if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'update', entity: 'monthly_readings', entityId: id, before: currentReading, after: data[0] });
   res.json({ type: 'inPlace', monthly_readings: data[0] });
 });
 
@@ -152,9 +331,11 @@ router.put('/:id', async (req, res) => {
 router.delete('/:id', async (req, res) => {
     const { id } = req.params;
 
-    const { error } = await supabase.from('monthly_readings').delete().eq('reading_id', id);
+    const { data, error } = await readingsRepository.remove(req.user, id);
     if (error) return res.status(500).json({ error: error.message });
+    if (!data || data.length === 0) return res.status(404).json({ error: 'Monthly reading not found' });
 
+    await recordAudit(req, { action: 'delete', entity: 'monthly_readings', entityId: id, before: data[0] });
     res.json({ success: true });
 });
 
@@ -1,21 +1,35 @@
 import express from 'express';
-import supabase from '../db.js';
+import { requireRole } from '../middlewares/auth.js';
+import { ownersRepository } from '../repositories/ownersRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { validate } from '../middlewares/validate.js';
+import { createOwnerSchema, updateOwnerSchema } from '../schemas/owners.js';
 
 const router = express.Router();
 
-// ✅ Create Owner
-router.post('/', async (req, res) => {
-  const { data, error } = await supabase
-    .from('owners')
-    .insert([req.body])
-    .select();
+/**
+ * Owners may only write their own owner record; orgadmin/superadmin may write any
+ */
+function requireOwnRecord(req, res, next) {
+  if (req.user.role === 'owner' && String(req.user.owner_id) !== String(req.params.id)) {
+    return res.status(403).json({ error: 'Owners can only update their own record' });
+  }
+  next();
+}
+
+// ✅ Create Owner (orgadmin/superadmin)
+// organization_id comes from the token (superadmin may pass it in the body)
+router.post('/', requireRole('orgadmin'), validate(createOwnerSchema), async (req, res) => {
+  const organization_id = req.user.role === 'superadmin' ? req.body.organization_id : req.user.organization_id;
+  const { data, error } = await ownersRepository.insert({ ...req.body, organization_id });
   if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'create', entity: 'owners', entityId: data[0].owner_id, after: data[0] });
   res.json(data[0]);
 });
 
-// ✅ Fetch all Owners
+// ✅ Fetch all Owners (within caller's scope)
 router.get('/', async (req, res) => {
-  const { data, error } = await supabase.from('owners').select('*');
+  const { data, error } = await ownersRepository.list(req.user);
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
@@ -23,32 +37,32 @@ router.get('/', async (req, res) => {
 // ✅ Fetch Owner by ID
 router.get('/:id', async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase
-    .from('owners')
-    .select('*')
-    .eq('owner_id', id)
-    .single();
-  if (error) return res.status(404).json({ error: error.message });
+  const { data, error } = await ownersRepository.findById(req.user, id);
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data) return res.status(404).json({ error: 'Owner not found' });
   res.json(data);
 });
 
-// ✅ Update Owner (in-place)
-router.put('/:id', async (req, res) => {
+// ✅ Update Owner (in-place, owner limited to own record)
+router.put('/:id', requireRole('owner', 'orgadmin'), requireOwnRecord, validate(updateOwnerSchema), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase
-    .from('owners')
-    .update(req.body)
-    .eq('owner_id', id)
-    .select();
+  const { owner_id, organization_id, ...ownerFields } = req.body;
+  const { data: before } = await ownersRepository.findById(req.user, id);
+  if (!before) return res.status(404).json({ error: 'Owner not found' });
+
+  const { data, error } = await ownersRepository.update(id, ownerFields);
   if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'update', entity: 'owners', entityId: id, before, after: data[0] });
   res.json(data[0]);
 });
 
-// ✅ Delete Owner (hard delete, or you can choose soft delete)
-router.delete('/:id', async (req, res) => {
+// ✅ Delete Owner (hard delete, or you can choose soft delete; orgadmin/superadmin)
+router.delete('/:id', requireRole('orgadmin'), async (req, res) => {
   const { id } = req.params;
-  const { error } = await supabase.from('owners').delete().eq('owner_id', id);
+  const { data, error } = await ownersRepository.remove(req.user, id);
   if (error) return res.status(500).json({ error: error.message });
+  if (!data || data.length === 0) return res.status(404).json({ error: 'Owner not found' });
+  await recordAudit(req, { action: 'delete', entity: 'owners', entityId: id, before: data[0] });
   res.json({ success: true });
 });
 
@@ -0,0 +1,109 @@
+import express from 'express';
+import { fetchScopedTenant } from '../services/scopeService.js';
+import { invoicesRepository } from '../repositories/invoicesRepository.js';
+import { paymentsRepository } from '../repositories/paymentsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { validate } from '../middlewares/validate.js';
+import { createPaymentSchema, listPaymentsSchema, reversePaymentSchema } from '../schemas/billing.js';
+
+const router = express.Router();
+
+/**
+ * ✅ Record Payment
+ * - Tied to the stable tenant_id (not a tenant_version)
+ * - invoice_id is optional; when given it must belong to the same tenant
+ * - paid_on defaults to today
+ * - organization_id/owner_id copied from the tenant
+ */
+router.post('/', validate(createPaymentSchema), async (req, res) => {
+  const { tenant_id, invoice_id, amount, paid_on, ...paymentFields } = req.body;
+
+  if (!tenant_id) return res.status(400).json({ error: 'tenant_id required' });
+  if (!(Number(amount) > 0)) return res.status(400).json({ error: 'amount must be greater than 0' });
+
+  const paidOn = paid_on ? new Date(paid_on) : new Date();
+  if (isNaN(paidOn)) return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD.' });
+
+  let tenant;
+  try {
+    tenant = await fetchScopedTenant(req.user, tenant_id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  if (invoice_id) {
+    const { data: invoice, error: invoiceError } = await invoicesRepository.findById(null, invoice_id);
+    if (invoiceError || !invoice) return res.status(404).json({ error: 'Invoice not found' });
+    if (String(invoice.tenant_id) !== String(tenant_id)) {
+      return res.status(400).json({ error: 'Invoice does not belong to this tenant' });
+    }
+  }
+
+  const { data, error } = await paymentsRepository.insert({
+    ...paymentFields,
+    tenant_id,
+    organization_id: tenant.organization_id,
+    owner_id: tenant.owner_id,
+    invoice_id: invoice_id || null,
+    amount: Number(amount),
+    paid_on: paidOn.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }),
+    status: 'received',
+    created_at: new Date(),
+    updated_at: new Date()
+  });
+  if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'create', entity: 'payments', entityId: data[0].payment_id, after: data[0] });
+  res.json(data[0]);
+});
+
+/**
+ * ✅ Fetch payments
+ * - Optional tenantId filter (covers every tenant_version)
+ * - Reversed payments excluded unless includeReversed=true
+ */
+router.get('/', validate(listPaymentsSchema), async (req, res) => {
+  const { tenantId, includeReversed } = req.query;
+
+  const filters = tenantId ? { tenant_id: tenantId } : {};
+  const query = includeReversed ? paymentsRepository.list(req.user, filters) : paymentsRepository.listReceived(req.user, filters);
+
+  const { data, error } = await query.order('paid_on', { ascending: false });
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+router.get('/:id', async (req, res) => {
+  const { data, error } = await paymentsRepository.findById(req.user, req.params.id);
+  if (error || !data) return res.status(404).json({ error: 'Payment not found' });
+  res.json(data);
+});
+
+/**
+ * ✅ Reverse Payment
+ * - Payments are never deleted; status flips to reversed with a reason
+ * - 409 for a 'deposit' payment: its deduction stays in the deposit ledger, so
+ *   correct it there (a top_up on /deposits)
+ */
+router.post('/:id/reverse', validate(reversePaymentSchema), async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body || {};
+
+  const { data: before } = await paymentsRepository.listReceived(req.user, { payment_id: id }).maybeSingle();
+  if (!before) return res.status(404).json({ error: 'Active payment not found' });
+  if (before.method === 'deposit') {
+    return res.status(409).json({ error: 'Payment was taken from the deposit; correct it in the deposit ledger (/deposits) instead' });
+  }
+
+  const { data, error } = await paymentsRepository.update(id, {
+    status: 'reversed',
+    reversal_reason: reason || null,
+    reversed_at: new Date(),
+    updated_at: new Date()
+  });
+  if (error) return res.status(500).json({ error: error.message });
+
+  await recordAudit(req, { action: 'update', entity: 'payments', entityId: id, before, after: data[0] });
+  res.json({ success: true, payment: data[0] });
+});
+
+export default router;
@@ -1,6 +1,26 @@
 import express from 'express';
-import supabase from '../db.js';
-import { getMonthStart } from '../utils/dateUtil.js';
+import { getMonthStart, getPreviousMonthStart, toDateString } from '../utils/dateUtil.js';
+import { buildReadingColumns } from '../services/readingService.js';
+import { checkMeterUnit } from '../services/unitService.js';
+import { activeTariffExists } from '../services/tariffService.js';
+import { versionTenant } from '../services/tenantVersioning.js';
+import { runDbFunction } from '../services/dbFunctions.js';
+import { fetchEffectiveRows } from '../services/snapshotService.js';
+import { getScopeFilters } from '../utils/scopeUtil.js';
+import { metersRepository } from '../repositories/metersRepository.js';
+import { readingsRepository } from '../repositories/readingsRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage, pageRows } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  METER_LIST,
+  createMeterSchema,
+  getComponentSchema,
+  listMetersSchema,
+  replaceMeterSchema,
+  updateMeterSchema
+} from '../schemas/components.js';
 
 const router = express.Router();
 
@@ -9,8 +29,12 @@ const router = express.Router();
  * - Versions tenant (increment count)
  * - Inserts new meter tied to new tenant_version
  * - Also seeds monthly_readings with initial values
+ * - All three writes happen in one transaction (versionTenant)
+ * - Optional tariff_id assigns a slab tariff to the meter
+ * - Optional meter_digits (display digits) enables rollover detection
+ * - Optional unit_id places the meter in a unit of the tenant's owner
  */
-router.post('/', async (req, res) => {
+router.post('/', validate(createMeterSchema), async (req, res) => {
   let startDate;
   const currentMonthDate = getMonthStart();
   try {
@@ -20,86 +44,115 @@ router.post('/', async (req, res) => {
   }
   const { tenant_id, start_date, initial_reading, ...meterFields } = req.body;
 
+  if (meterFields.tariff_id && !(await activeTariffExists(meterFields.tariff_id, req.user))) {
+    return res.status(400).json({ error: 'Active tariff not found' });
+  }
+
+  if (!start_date) {
+    return res.status(400).json({ error: 'Invalid month format. Use YYYY-MM-DD.' });
+  }
+
   // Fetch active tenant
-  const { data: tenant, error: tenantError } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', tenant_id)
-    .eq('status', 'active')
-    .single();
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(req.user, tenant_id);
   if (tenantError || !tenant) return res.status(404).json({ error: 'Active tenant not found' });
 
-  // Inactivate old tenant
-  await supabase.from('tenants')
-    .update({ status: 'inactive', end_date: currentMonthDate, updated_at: new Date() })
-    .eq('tenant_id', tenant_id)
-    .eq('status', 'active');
-
-  // Create new tenant version with incremented count
-  const { tenant_version, ...tenantWithoutVersion } = tenant;
-  const newTenant = {
-    ...tenantWithoutVersion,
-    tenant_id,
-    tenant_version: tenant_version + 1,
-    start_date: currentMonthDate,
-    power_meter_count: (tenant.power_meter_count || 0) + 1,
-    status: 'active',
-    created_at: new Date(),
-    updated_at: new Date()
-  };
-
-  const { data: newTenantRow, error: newTenantError } = await supabase.from('tenants').insert([newTenant]).select();
-  if (newTenantError) return res.status(500).json({ error: newTenantError.message });
-
-  // Insert new meter tied to new tenant_version
-  const { data: meter, error: meterError } = await supabase.from('power_meters').insert([{
-    tenant_id,
-    tenant_version: newTenantRow[0].tenant_version,
-    start_date: startDate,
-    initial_reading, // store initial reading in meter table
-    ...meterFields,
-    status: 'active'
-  }]).select();
-  if (meterError) return res.status(500).json({ error: meterError.message });
-
-  const newMeter = meter[0];
-
-  // Calculate previous month (one month before provided month)
-  const inputMonth = new Date(start_date);
-  if (isNaN(inputMonth)) {
-    return res.status(400).json({ error: 'Invalid month format. Use YYYY-MM-DD.' });
+  if (meterFields.unit_id) {
+    try {
+      await checkMeterUnit(req.user, meterFields.unit_id, tenant.owner_id);
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
   }
-  const prevMonth = new Date(inputMonth);
-  prevMonth.setMonth(prevMonth.getMonth() - 1);
-
-  // Insert baseline monthly_readings row
-  const { data: reading, error: readingError } = await supabase.from('monthly_readings').insert([{
-    tenant_id,
-    tenant_version: newTenantRow[0].tenant_version,
-    meter_id: newMeter.meter_id,
-    month: prevMonth.toISOString().split('T')[0], // YYYY-MM-DD
-    previous_reading: initial_reading,
-    current_reading: initial_reading,
-    created_at: new Date(),
-    updated_at: new Date()
-  }]).select();
-  if (readingError) return res.status(500).json({ error: readingError.message });
 
-  res.json({ meter: newMeter, tenant: newTenantRow[0], initialMonthlyReading: reading[0] });
+  // New tenant version (count + 1), meter and baseline reading in one transaction
+  try {
+    const { tenant: newTenant, previous, results } = await versionTenant({
+      tenantId: tenant_id,
+      effectiveDate: currentMonthDate,
+      increments: { power_meter_count: 1 },
+      operations: [
+        {
+          action: 'insert',
+          table: 'power_meters',
+          key: 'meter',
+          row: {
+            start_date: startDate,
+            initial_reading, // store initial reading in meter table
+            ...meterFields,
+            status: 'active'
+          }
+        },
+        {
+          // Baseline monthly_readings row one month before the meter starts
+          action: 'insert',
+          table: 'monthly_readings',
+          key: 'reading',
+          ref: { column: 'meter_id', from: 'meter' },
+          row: {
+            month: getPreviousMonthStart(startDate),
+            previous_reading: initial_reading,
+            current_reading: initial_reading,
+            created_at: new Date(),
+            updated_at: new Date()
+          }
+        }
+      ]
+    });
+    await recordAudit(req, { action: 'create', entity: 'power_meters', entityId: results.meter.meter_id, after: results.meter });
+    await recordAudit(req, { action: 'create', entity: 'monthly_readings', entityId: results.reading.reading_id, after: results.reading });
+    await recordAudit(req, { action: 'update', entity: 'tenants', entityId: tenant_id, before: previous, after: newTenant });
+    res.json({ meter: results.meter, tenant: newTenant, initialMonthlyReading: results.reading });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 /**
  * ✅ Read Operations
+ * - Paged list of active rows by default: ?limit=&offset=&sort=, filters
+ *   ?tenantId=, ?unitId=, ?status=active|inactive|all and ?from=/&to= on start_date
+ * - ?asOf=YYYY-MM-DD → rows whose start_date/end_date range covers that day
+ *   (optionally narrowed with ?tenantId=)
+ * - Response: { data, pagination: { total, limit, offset } }
  */
-router.get('/', async (req, res) => {
-  const { data, error } = await supabase.from('power_meters').select('*').eq('status', 'active');
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+router.get('/', validate(listMetersSchema), async (req, res) => {
+  const { asOf, tenantId } = req.query;
+  if (asOf) {
+    try {
+      const rows = await fetchEffectiveRows(metersRepository, toDateString(asOf), {
+        ...(tenantId ? { tenant_id: tenantId } : {}),
+        ...getScopeFilters(req.user)
+      });
+      return res.json(pageRows(rows, req.query, METER_LIST));
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
+  try {
+    res.json(await fetchPage(metersRepository.select(req.user, '*', { count: 'exact' }), req.query, METER_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(getComponentSchema), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('power_meters').select('*').eq('meter_id', id).eq('status', 'active').single();
+  const { asOf } = req.query;
+  if (asOf) {
+    try {
+      const [row] = await fetchEffectiveRows(metersRepository, toDateString(asOf), {
+        meter_id: id,
+        ...getScopeFilters(req.user)
+      });
+      if (!row) return res.status(404).json({ error: `No meter in effect on ${asOf}` });
+      return res.json(row);
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
+  const { data, error } = await metersRepository.findActive(req.user, id);
   if (error || !data) return res.status(404).json({ error: 'Active meter not found' });
   res.json(data);
 });
@@ -109,23 +162,32 @@ router.get('/:id', async (req, res) => {
  * - Always inPlace update
  * - Special handling if start_date changes
  * - start_date update allowed only if exactly 1 monthly_readings record exists for this meter
+ * - tariff_id (re)assigns the slab tariff used for future readings
+ * - unit_id moves the meter to another unit of the same owner
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(updateMeterSchema), async (req, res) => {
   const { id } = req.params;
-  const { inPlace, ...updateFields } = req.body;
+  const { inPlace, organization_id, owner_id, ...updateFields } = req.body;
   const currentMonthDate = getMonthStart();
 
   // Fetch current meter
-  const { data: currentMeter, error: fetchError } = await supabase
-    .from('power_meters')
-    .select('*')
-    .eq('meter_id', id)
-    .eq('status', 'active')
-    .single();
+  const { data: currentMeter, error: fetchError } = await metersRepository.findActive(req.user, id);
   if (fetchError || !currentMeter) {
     return res.status(404).json({ error: 'Active meter not found' });
   }
 
+  if (updateFields.tariff_id && !(await activeTariffExists(updateFields.tariff_id, req.user))) {
+    return res.status(400).json({ error: 'Active tariff not found' });
+  }
+
+  if (updateFields.unit_id) {
+    try {
+      await checkMeterUnit(req.user, updateFields.unit_id, currentMeter.owner_id);
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
   // Special handling: start_date can only be updated inPlace
   if (updateFields.start_date && !inPlace) {
     return res.status(400).json({ error: 'start_date update is only allowed for inPlace updates, not versioned updates' });
@@ -144,10 +206,7 @@ router.put('/:id', async (req, res) => {
           return res.status(400).json({ error: err.message });
         }
       }
-      const { count, error: countError } = await supabase
-        .from('monthly_readings')
-        .select('*', { count: 'exact', head: true })
-        .eq('meter_id', id);
+      const { data: baselineRows, count, error: countError } = await readingsRepository.listForMeter(id);
 
       if (countError) return res.status(500).json({ error: 'Failed to check monthly readings count' });
       if (count !== 1) {
@@ -155,11 +214,10 @@ router.put('/:id', async (req, res) => {
       }
 
       // Update meter
-      const { data: updatedMeter, error: updateError } = await supabase
-        .from('power_meters')
-        .update({ ...updateFields, updated_at: new Date() })
-        .eq('meter_id', id)
-        .select();
+      const { data: updatedMeter, error: updateError } = await metersRepository.update(id, {
+        ...updateFields,
+        updated_at: new Date()
+      });
       if (updateError) return res.status(500).json({ error: updateError.message });
 
       // Calculate previous month
@@ -172,38 +230,36 @@ router.put('/:id', async (req, res) => {
       const prevMonthStr = prevMonth.toISOString().split('T')[0];
 
       // Update baseline monthly_readings
-      const { data: updatedReading, error: readingError } = await supabase
-        .from('monthly_readings')
-        .update({
-          month: prevMonthStr,
-          previous_reading: updatedMeter[0].initial_reading,
-          current_reading: updatedMeter[0].initial_reading,
-          updated_at: new Date()
-        })
-        .eq('meter_id', id)
-        .select();
+      const { data: updatedReading, error: readingError } = await readingsRepository.updateWhere({ meter_id: id }, {
+        month: prevMonthStr,
+        previous_reading: updatedMeter[0].initial_reading,
+        current_reading: updatedMeter[0].initial_reading,
+        updated_at: new Date()
+      });
       if (readingError) {
         return res.status(500).json({ error: 'Meter updated, but failed to update monthly_readings: ' + readingError.message });
       }
 
+      await recordAudit(req, { action: 'update', entity: 'power_meters', entityId: id, before: currentMeter, after: updatedMeter[0] });
+      await recordAudit(req, {
+        action: 'update',
+        entity: 'monthly_readings',
+        entityId: updatedReading[0].reading_id,
+        before: baselineRows[0],
+        after: updatedReading[0]
+      });
       return res.json({ type: 'inPlace', meter: updatedMeter[0], monthly_reading: updatedReading[0] });
     }
 
     // Normal inPlace update
-    const { data, error } = await supabase
-      .from('power_meters')
-      .update({ ...updateFields, updated_at: new Date() })
-      .eq('meter_id', id)
-      .eq('status', 'active')
-      .select();
+    const { data, error } = await metersRepository.update(id, { ...updateFields, updated_at: new Date() }, { status: 'active' });
     if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'update', entity: 'power_meters', entityId: id, before: currentMeter, after: data[0] });
     return res.json({ type: 'inPlace', meter: data[0] });
   } else {
     // Versioned update (start_date not allowed here)
     const { meter_id, ...meterWithoutId } = currentMeter;
-    await supabase.from('power_meters')
-      .update({ status: 'inactive', end_date: currentMonthDate })
-      .eq('meter_id', id);
+    await metersRepository.close(id, currentMonthDate);
 
     const newMeter = {
       ...meterWithoutId,
@@ -214,9 +270,10 @@ router.put('/:id', async (req, res) => {
       updated_at: new Date()
     };
 
-    const { data, error } = await supabase.from('power_meters').insert([newMeter]).select();
+    const { data, error } = await metersRepository.insert(newMeter);
     if (error) return res.status(500).json({ error: error.message });
 
+    await recordAudit(req, { action: 'update', entity: 'power_meters', entityId: id, before: currentMeter, after: data[0] });
     return res.json({ type: 'versioned', meter: data[0] });
   }
 });
@@ -226,62 +283,160 @@ router.put('/:id', async (req, res) => {
  * ✅ Delete Power Meter
  * - Marks meter inactive
  * - Versions tenant (decrement count)
+ * - Both writes happen in one transaction (versionTenant)
  */
 router.delete('/:id', async (req, res) => {
   const { id } = req.params;
   const currentMonthDate = getMonthStart();
 
-  const { data: meter, error: meterError } = await supabase
-    .from('power_meters')
-    .select('*')
-    .eq('meter_id', id)
-    .eq('status', 'active')
-    .single();
+  const { data: meter, error: meterError } = await metersRepository.findActive(req.user, id);
   if (meterError || !meter) return res.status(404).json({ error: 'Active meter not found' });
 
-  // Mark meter inactive
-  await supabase.from('power_meters')
-    .update({ status: 'inactive', end_date: currentMonthDate })
-    .eq('meter_id', id);
-
-  // Fetch tenant
-  const { data: tenant, error: tenantError } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', meter.tenant_id)
-    .eq('status', 'active')
-    .single();
+  // Close meter and version tenant (count - 1) in one transaction
+  try {
+    const { tenant, previous, results } = await versionTenant({
+      tenantId: meter.tenant_id,
+      effectiveDate: currentMonthDate,
+      increments: { power_meter_count: -1 },
+      operations: [{ action: 'close', table: 'power_meters', key: 'meter', id_column: 'meter_id', id }]
+    });
+    await recordAudit(req, { action: 'delete', entity: 'power_meters', entityId: id, before: meter, after: results.meter });
+    await recordAudit(req, { action: 'update', entity: 'tenants', entityId: tenant.tenant_id, before: previous, after: tenant });
+    res.json({ success: true, updatedMeter: results.meter, tenant });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Replace Power Meter
+ * - Body: { final_reading, replaced_on, initial_reading, rate_per_unit?, confirm_negative?, ...new meter fields }
+ * - Records the old meter's final reading for the replacement month
+ * - Marks old meter inactive from that month and links it to the new meter
+ * - New meter starts the same month from its own initial_reading
+ *   (baseline reading seeded for the previous month, like meter creation)
+ * - All writes run in one transaction (sql/replace_power_meter.sql)
+ * - The month is billed as old meter (final) + new meter (regular reading),
+ *   with the tariff slabs and fixed charge applied once to the combined units
+ * - power_meter_count is unchanged, so the tenant is not versioned
+ */
+router.post('/:id/replace', validate(replaceMeterSchema), async (req, res) => {
+  const { id } = req.params;
+  const { final_reading, replaced_on, initial_reading, rate_per_unit, confirm_negative, ...newMeterFields } = req.body;
+
+  if (final_reading == null || isNaN(Number(final_reading))) {
+    return res.status(400).json({ error: 'final_reading must be a number' });
+  }
+  if (initial_reading == null || isNaN(Number(initial_reading))) {
+    return res.status(400).json({ error: 'initial_reading must be a number' });
+  }
+
+  let month;
+  try {
+    month = getMonthStart(replaced_on);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const prevMonthStr = getPreviousMonthStart(month);
+
+  const { data: oldMeter, error: meterError } = await metersRepository.findActive(req.user, id);
+  if (meterError || !oldMeter) return res.status(404).json({ error: 'Active meter not found' });
+
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(req.user, oldMeter.tenant_id);
   if (tenantError || !tenant) return res.status(404).json({ error: 'Active tenant not found' });
 
-  // Inactivate old tenant
-  await supabase.from('tenants')
-    .update({ status: 'inactive', end_date: currentMonthDate })
-    .eq('tenant_id', tenant.tenant_id)
-    .eq('status', 'active');
-
-  const { data: updatedMeter } = await supabase
-    .from('power_meters')
-    .select('*')
-    .eq('meter_id', id)
-    .single();
-
-  // Create new tenant version with decremented count
-  const { tenant_version, ...tenantWithoutVersion } = tenant;
-  const newTenant = {
-    ...tenantWithoutVersion,
+  if (newMeterFields.unit_id) {
+    try {
+      await checkMeterUnit(req.user, newMeterFields.unit_id, tenant.owner_id);
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
+  const { data: oldReadings, error: readingsError } = await readingsRepository.list(req.user, { meter_id: id })
+    .in('month', [prevMonthStr, month]);
+  if (readingsError) return res.status(500).json({ error: readingsError.message });
+
+  if (oldReadings.some((reading) => reading.month === month)) {
+    return res.status(400).json({ error: `Old meter already has a reading for ${month}` });
+  }
+  const lastReading = oldReadings.find((reading) => reading.month === prevMonthStr);
+  if (!lastReading) {
+    return res.status(400).json({ error: `Previous month (${prevMonthStr}) reading not found. Please enter that first.` });
+  }
+
+  let charge;
+  try {
+    charge = await buildReadingColumns({
+      meter: oldMeter,
+      month,
+      previous_reading: lastReading.current_reading,
+      current_reading: final_reading,
+      rate_per_unit,
+      confirm_negative
+    });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const stamp = {
     tenant_id: tenant.tenant_id,
-    tenant_version: tenant_version + 1,
-    power_meter_count: Math.max((tenant.power_meter_count || 0) - 1, 0),
-    start_date: currentMonthDate,
-    status: 'active',
+    tenant_version: tenant.tenant_version,
+    organization_id: tenant.organization_id,
+    owner_id: tenant.owner_id,
     created_at: new Date(),
     updated_at: new Date()
   };
 
-  const { data: newTenantRow, error: newTenantError } = await supabase.from('tenants').insert([newTenant]).select();
-  if (newTenantError) return res.status(500).json({ error: newTenantError.message });
-
-  res.json({ success: true, updatedMeter, tenant: newTenantRow[0] });
+  // Final reading, new meter (inheriting tariff, digits and unit unless
+  // overridden), retired old meter and baseline are written together
+  let replaced;
+  try {
+    replaced = await runDbFunction('replace_power_meter', {
+      p_meter_id: oldMeter.meter_id,
+      p_month: month,
+      p_final_reading: {
+        ...stamp,
+        month,
+        previous_reading: lastReading.current_reading,
+        current_reading: final_reading,
+        rate_per_unit,
+        ...charge,
+        is_final_reading: true
+      },
+      p_new_meter: {
+        tariff_id: oldMeter.tariff_id ?? null,
+        meter_digits: oldMeter.meter_digits ?? null,
+        unit_id: oldMeter.unit_id ?? null,
+        ...newMeterFields,
+        ...stamp,
+        start_date: month,
+        initial_reading,
+        status: 'active'
+      },
+      p_baseline: {
+        ...stamp,
+        month: prevMonthStr,
+        previous_reading: initial_reading,
+        current_reading: initial_reading
+      }
+    });
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+  const { old_meter: retiredMeter, final_reading: finalReading, meter: newMeter, baseline } = replaced;
+
+  await recordAudit(req, { action: 'create', entity: 'monthly_readings', entityId: finalReading.reading_id, after: finalReading });
+  await recordAudit(req, { action: 'create', entity: 'power_meters', entityId: newMeter.meter_id, after: newMeter });
+  await recordAudit(req, { action: 'update', entity: 'power_meters', entityId: id, before: oldMeter, after: retiredMeter });
+  await recordAudit(req, { action: 'create', entity: 'monthly_readings', entityId: baseline.reading_id, after: baseline });
+
+  res.json({
+    oldMeter: retiredMeter,
+    finalReading,
+    meter: newMeter,
+    initialMonthlyReading: baseline
+  });
 });
 
 export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import { resolveOwnerScope } from '../services/scopeService.js';
+import { fetchScopedProperty } from '../services/unitService.js';
+import { propertiesRepository } from '../repositories/propertiesRepository.js';
+import { unitsRepository } from '../repositories/unitsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  PROPERTY_LIST,
+  createPropertySchema,
+  listPropertiesSchema,
+  updatePropertySchema
+} from '../schemas/properties.js';
+
+const router = express.Router();
+
+/**
+ * ✅ Create Property
+ * organization_id/owner_id stamped from the caller's token (orgadmin picks owner_id)
+ */
+router.post('/', validate(createPropertySchema), async (req, res) => {
+  let scope;
+  try {
+    scope = await resolveOwnerScope(req.user, req.body.owner_id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const { data, error } = await propertiesRepository.insert({
+    ...req.body,
+    ...scope,
+    created_at: new Date(),
+    updated_at: new Date()
+  });
+  if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'create', entity: 'properties', entityId: data[0].property_id, after: data[0] });
+  res.json(data[0]);
+});
+
+/**
+ * ✅ Fetch Properties
+ * - Paged: ?limit=&offset=&sort=, filter ?ownerId=
+ * - Response: { data, pagination: { total, limit, offset } }
+ */
+router.get('/', validate(listPropertiesSchema), async (req, res) => {
+  try {
+    res.json(await fetchPage(propertiesRepository.select(req.user, '*', { count: 'exact' }), req.query, PROPERTY_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await fetchScopedProperty(req.user, req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ✅ Update Property (in place; owner cannot change)
+router.put('/:id', validate(updatePropertySchema), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await fetchScopedProperty(req.user, id);
+    const { data, error } = await propertiesRepository.update(id, { ...req.body, updated_at: new Date() });
+    if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'update', entity: 'properties', entityId: id, before, after: data[0] });
+    res.json(data[0]);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Delete Property
+ * - Hard delete, only once it has no units left
+ */
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    await fetchScopedProperty(req.user, id);
+    const { data: units, error: unitsError } = await unitsRepository.list(null, { property_id: id }).limit(1);
+    if (unitsError) return res.status(500).json({ error: unitsError.message });
+    if (units.length > 0) return res.status(409).json({ error: 'Property still has units' });
+
+    const { data, error } = await propertiesRepository.remove(req.user, id);
+    if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'delete', entity: 'properties', entityId: id, before: data[0] });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+export default router;
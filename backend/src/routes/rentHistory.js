@@ -1,6 +1,20 @@
 import express from 'express';
-import supabase from '../db.js';
-import { getMonthStart } from '../utils/dateUtil.js';
+import { getMonthStart, toDateString } from '../utils/dateUtil.js';
+import { versionTenant } from '../services/tenantVersioning.js';
+import { fetchEffectiveRows } from '../services/snapshotService.js';
+import { getScopeFilters } from '../utils/scopeUtil.js';
+import { rentHistoryRepository } from '../repositories/historiesRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage, pageRows } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  RENT_LIST,
+  createChargeSchema,
+  getComponentSchema,
+  listRentSchema,
+  updateChargeSchema
+} from '../schemas/components.js';
 
 const router = express.Router();
 
@@ -8,8 +22,9 @@ const router = express.Router();
  * ✅ Create Rent History
  * - Versions tenant (increment rent_portion_count)
  * - Inserts new rent history tied to new tenant_version
+ * - Tenant version and component write are atomic (versionTenant)
  */
-router.post('/', async (req, res) => {
+router.post('/', validate(createChargeSchema), async (req, res) => {
   const { tenant_id, start_date, ...rentFields } = req.body;
 
   let normalizedStart;
@@ -21,65 +36,83 @@ router.post('/', async (req, res) => {
   }
 
   // Fetch active tenant
-  const { data: tenant, error: tenantError } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', tenant_id)
-    .eq('status', 'active')
-    .single();
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(req.user, tenant_id);
   if (tenantError || !tenant) return res.status(404).json({ error: 'Active tenant not found' });
 
-  // Inactivate old tenant
-  await supabase.from('tenants')
-    .update({ status: 'inactive', end_date: currentMonthDate, updated_at: new Date() })
-    .eq('tenant_id', tenant_id)
-    .eq('status', 'active');
-
-  // Create new tenant version with incremented rent_portion_count
-  const { tenant_version, ...tenantWithoutVersion } = tenant;
-  const newTenant = {
-    ...tenantWithoutVersion,
-    tenant_id,
-    tenant_version: tenant_version + 1,
-    rent_portion_count: (tenant.rent_portion_count || 0) + 1,
-    start_date: currentMonthDate,
-    end_date: null,
-    status: 'active',
-    created_at: new Date(),
-    updated_at: new Date()
-  };
-
-  const { data: newTenantRow, error: newTenantError } = await supabase.from('tenants').insert([newTenant]).select();
-  if (newTenantError) return res.status(500).json({ error: newTenantError.message });
-
-  // Insert new rent history tied to new tenant_version
-  const { data: rentHistory, error: rentError } = await supabase.from('rent_history').insert([{
-    tenant_id,
-    tenant_version: newTenantRow[0].tenant_version,
-    start_date: normalizedStart,
-    end_date: null,
-    ...rentFields,
-    status: 'active',
-    created_at: new Date(),
-    updated_at: new Date()
-  }]).select();
-  if (rentError) return res.status(500).json({ error: rentError.message });
-
-  res.json({ rent_history: rentHistory[0], tenant: newTenantRow[0] });
+  // New tenant version and rent history row in one transaction
+  try {
+    const { tenant: newTenant, previous, results } = await versionTenant({
+      tenantId: tenant_id,
+      effectiveDate: currentMonthDate,
+      increments: { rent_portion_count: 1 },
+      operations: [{
+        action: 'insert',
+        table: 'rent_history',
+        key: 'rent_history',
+        row: {
+          start_date: normalizedStart,
+          end_date: null,
+          ...rentFields,
+          status: 'active',
+          created_at: new Date(),
+          updated_at: new Date()
+        }
+      }]
+    });
+    await recordAudit(req, { action: 'create', entity: 'rent_history', entityId: results.rent_history.rent_id, after: results.rent_history });
+    await recordAudit(req, { action: 'update', entity: 'tenants', entityId: tenant_id, before: previous, after: newTenant });
+    res.json({ rent_history: results.rent_history, tenant: newTenant });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 /**
  * ✅ Read Operations
+ * - Paged list of active rows by default: ?limit=&offset=&sort=, filters
+ *   ?tenantId=, ?status=active|inactive|all and ?from=/&to= on start_date
+ * - ?asOf=YYYY-MM-DD → rows whose start_date/end_date range covers that day
+ *   (optionally narrowed with ?tenantId=)
+ * - Response: { data, pagination: { total, limit, offset } }
  */
-router.get('/', async (req, res) => {
-  const { data, error } = await supabase.from('rent_history').select('*').eq('status', 'active');
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+router.get('/', validate(listRentSchema), async (req, res) => {
+  const { asOf, tenantId } = req.query;
+  if (asOf) {
+    try {
+      const rows = await fetchEffectiveRows(rentHistoryRepository, toDateString(asOf), {
+        ...(tenantId ? { tenant_id: tenantId } : {}),
+        ...getScopeFilters(req.user)
+      });
+      return res.json(pageRows(rows, req.query, RENT_LIST));
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
+  try {
+    res.json(await fetchPage(rentHistoryRepository.select(req.user, '*', { count: 'exact' }), req.query, RENT_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(getComponentSchema), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('rent_history').select('*').eq('rent_id', id).eq('status', 'active').single();
+  const { asOf } = req.query;
+  if (asOf) {
+    try {
+      const [row] = await fetchEffectiveRows(rentHistoryRepository, toDateString(asOf), {
+        rent_id: id,
+        ...getScopeFilters(req.user)
+      });
+      if (!row) return res.status(404).json({ error: `No rent history in effect on ${asOf}` });
+      return res.json(row);
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
+  const { data, error } = await rentHistoryRepository.findActive(req.user, id);
   if (error || !data) return res.status(404).json({ error: 'Active rent history not found' });
   res.json(data);
 });
@@ -89,17 +122,12 @@ router.get('/:id', async (req, res) => {
  * - inPlace: true → update same row
  * - inPlace: false → mark old inactive and insert new active row (same tenant_version)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(updateChargeSchema), async (req, res) => {
   const { id } = req.params;
-  const { inPlace, ...updateFields } = req.body;
+  const { inPlace, organization_id, owner_id, ...updateFields } = req.body;
   const currentMonthDate = getMonthStart();
 
-  const { data: currentRent, error: fetchError } = await supabase
-    .from('rent_history')
-    .select('*')
-    .eq('rent_id', id)
-    .eq('status', 'active')
-    .single();
+  const { data: currentRent, error: fetchError } = await rentHistoryRepository.findActive(req.user, id);
   if (fetchError || !currentRent) return res.status(404).json({ error: 'Active rent history not found' });
 
   if (inPlace) {
@@ -111,18 +139,12 @@ router.put('/:id', async (req, res) => {
       }
     }
 
-    const { data, error } = await supabase
-      .from('rent_history')
-      .update({ ...updateFields, updated_at: new Date() })
-      .eq('rent_id', id)
-      .eq('status', 'active')
-      .select();
+    const { data, error } = await rentHistoryRepository.update(id, { ...updateFields, updated_at: new Date() }, { status: 'active' });
     if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'update', entity: 'rent_history', entityId: id, before: currentRent, after: data[0] });
     return res.json({ type: 'inPlace', rent_history: data[0] });
   } else {
-    await supabase.from('rent_history')
-      .update({ status: 'inactive', end_date: currentMonthDate })
-      .eq('rent_id', id);
+    await rentHistoryRepository.close(id, currentMonthDate);
 
     const { rent_id, ...rentWithoutId } = currentRent;
     const newRent = {
@@ -135,9 +157,10 @@ router.put('/:id', async (req, res) => {
       updated_at: new Date()
     };
 
-    const { data, error } = await supabase.from('rent_history').insert([newRent]).select();
+    const { data, error } = await rentHistoryRepository.insert(newRent);
     if (error) return res.status(500).json({ error: error.message });
 
+    await recordAudit(req, { action: 'update', entity: 'rent_history', entityId: id, before: currentRent, after: data[0] });
     return res.json({ type: 'versioned', rent_history: data[0] });
   }
 });
@@ -146,60 +169,29 @@ router.put('/:id', async (req, res) => {
  * ✅ Delete Rent History
  * - Marks rent history inactive
  * - Versions tenant (decrement rent_portion_count)
+ * - Tenant version and component write are atomic (versionTenant)
  */
 router.delete('/:id', async (req, res) => {
   const { id } = req.params;
   const currentMonthDate = getMonthStart();
 
-  const { data: rent, error: rentError } = await supabase
-    .from('rent_history')
-    .select('*')
-    .eq('rent_id', id)
-    .eq('status', 'active')
-    .single();
+  const { data: rent, error: rentError } = await rentHistoryRepository.findActive(req.user, id);
   if (rentError || !rent) return res.status(404).json({ error: 'Active rent history not found' });
 
-  // Mark rent history inactive
-  await supabase.from('rent_history')
-    .update({ status: 'inactive', end_date: currentMonthDate })
-    .eq('rent_id', id);
-
-  // Fetch tenant
-  const { data: tenant, error: tenantError } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', rent.tenant_id)
-    .eq('status', 'active')
-    .single();
-  if (tenantError || !tenant) return res.status(404).json({ error: 'Active tenant not found' });
-
-  // Inactivate old tenant
-  await supabase.from('tenants')
-    .update({ status: 'inactive', end_date: currentMonthDate })
-    .eq('tenant_id', tenant.tenant_id)
-    .eq('status', 'active');
-
-  // Create new tenant version with decremented count
-  const { tenant_version, ...tenantWithoutVersion } = tenant;
-  const newTenant = {
-    ...tenantWithoutVersion,
-    tenant_id: tenant.tenant_id,
-    tenant_version: tenant_version + 1,
-    rent_portion_count: Math.max((tenant.rent_portion_count || 0) - 1, 0),
-    start_date: currentMonthDate,
-    end_date: null,
-    status: 'active',
-    created_at: new Date(),
-    updated_at: new Date()
-  };
-
-  const { data: newTenantRow, error: newTenantError } = await supabase.from('tenants').insert([newTenant]).select();
-  if (newTenantError) return res.status(500).json({ error: newTenantError.message });
-
-  // Re-fetch updated rent row to show inactive status
-  const { data: updatedRent } = await supabase.from('rent_history').select('*').eq('rent_id', id).single();
-
-  res.json({ success: true, rent_history: updatedRent, tenant: newTenantRow[0] });
+  // Close rent history and version tenant in one transaction
+  try {
+    const { tenant: newTenant, previous, results } = await versionTenant({
+      tenantId: rent.tenant_id,
+      effectiveDate: currentMonthDate,
+      increments: { rent_portion_count: -1 },
+      operations: [{ action: 'close', table: 'rent_history', key: 'rent_history', id_column: 'rent_id', id }]
+    });
+    await recordAudit(req, { action: 'delete', entity: 'rent_history', entityId: id, before: rent, after: results.rent_history });
+    await recordAudit(req, { action: 'update', entity: 'tenants', entityId: newTenant.tenant_id, before: previous, after: newTenant });
+    res.json({ success: true, rent_history: results.rent_history, tenant: newTenant });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 export default router;
\ No newline at end of file
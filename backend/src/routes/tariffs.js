@@ -0,0 +1,155 @@
+import express from 'express';
+import { getMonthStart } from '../utils/dateUtil.js';
+import { validateSlabs } from '../utils/tariffUtil.js';
+import { resolveOwnerScope } from '../services/scopeService.js';
+import { tariffsRepository } from '../repositories/tariffsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { validate } from '../middlewares/validate.js';
+import { createTariffSchema, listTariffsSchema, updateTariffSchema } from '../schemas/tariffs.js';
+
+const router = express.Router();
+
+/**
+ * ✅ Create Tariff
+ * - slabs: [{ up_to, rate }] (last slab may have up_to null), optional fixed_charge
+ * - Always created as active, starts at version 1
+ * - start_date normalized to first day of month
+ * - organization_id/owner_id stamped from the caller's token (orgadmin picks owner_id)
+ */
+router.post('/', validate(createTariffSchema), async (req, res) => {
+  const slabError = validateSlabs(req.body.slabs);
+  if (slabError) return res.status(400).json({ error: slabError });
+
+  let startDate;
+  try {
+    startDate = getMonthStart(req.body.start_date);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  let scope;
+  try {
+    scope = await resolveOwnerScope(req.user, req.body.owner_id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const { data, error } = await tariffsRepository.insert({
+    ...req.body,
+    ...scope,
+    fixed_charge: Number(req.body.fixed_charge) || 0,
+    tariff_version: 1,
+    start_date: startDate,
+    end_date: null,
+    status: 'active',
+    created_at: new Date(),
+    updated_at: new Date()
+  });
+  if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'create', entity: 'tariffs', entityId: data[0].tariff_id, after: data[0] });
+  res.json(data[0]);
+});
+
+/**
+ * ✅ Read Operations
+ * - Active versions only unless includeInactive=true
+ */
+router.get('/', validate(listTariffsSchema), async (req, res) => {
+  const { includeInactive } = req.query;
+  const query = includeInactive ? tariffsRepository.list(req.user) : tariffsRepository.listActive(req.user);
+
+  const { data, error } = await query;
+  if (error) return res.status(500).json({ error: error.message });
+  res.json(data);
+});
+
+router.get('/:id', async (req, res) => {
+  const { data, error } = await tariffsRepository.findActive(req.user, req.params.id);
+  if (error || !data) return res.status(404).json({ error: 'Active tariff not found' });
+  res.json(data);
+});
+
+/**
+ * ✅ Update Tariff
+ * - inPlace: true → update latest version in place
+ * - inPlace: false → end current version, insert next version from current month
+ *   (readings of earlier months keep being charged with the old slabs)
+ */
+router.put('/:id', validate(updateTariffSchema), async (req, res) => {
+  const { id } = req.params;
+  const { inPlace, organization_id, owner_id, ...updateFields } = req.body;
+  const currentMonthDate = getMonthStart();
+
+  if (updateFields.slabs !== undefined) {
+    const slabError = validateSlabs(updateFields.slabs);
+    if (slabError) return res.status(400).json({ error: slabError });
+  }
+
+  const { data: currentTariff, error: fetchError } = await tariffsRepository.findActive(req.user, id);
+  if (fetchError || !currentTariff) return res.status(404).json({ error: 'Active tariff not found' });
+
+  if (inPlace) {
+    if (updateFields.start_date) {
+      try {
+        updateFields.start_date = getMonthStart(updateFields.start_date);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    }
+
+    const { data, error } = await tariffsRepository.updateVersion(id, currentTariff.tariff_version, {
+      ...updateFields,
+      updated_at: new Date()
+    });
+    if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'update', entity: 'tariffs', entityId: id, before: currentTariff, after: data[0] });
+    return res.json({ type: 'inPlace', tariff: data[0] });
+  } else {
+    await tariffsRepository.updateVersion(id, currentTariff.tariff_version, {
+      status: 'inactive',
+      end_date: currentMonthDate,
+      updated_at: new Date()
+    });
+
+    const { tariff_version, ...tariffWithoutVersion } = currentTariff;
+    const newTariff = {
+      ...tariffWithoutVersion,
+      ...updateFields,
+      tariff_version: tariff_version + 1,
+      start_date: currentMonthDate,
+      end_date: null,
+      status: 'active',
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    const { data, error } = await tariffsRepository.insert(newTariff);
+    if (error) return res.status(500).json({ error: error.message });
+
+    await recordAudit(req, { action: 'update', entity: 'tariffs', entityId: id, before: currentTariff, after: data[0] });
+    return res.json({ type: 'versioned', tariff: data[0] });
+  }
+});
+
+/**
+ * ✅ Delete Tariff
+ * - Marks latest active version inactive with end_date
+ */
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  const { data: before } = await tariffsRepository.findActive(req.user, id);
+  if (!before) return res.status(404).json({ error: 'Active tariff not found' });
+
+  const { data, error } = await tariffsRepository.updateVersion(id, before.tariff_version, {
+    status: 'inactive',
+    end_date: getMonthStart(),
+    updated_at: new Date()
+  });
+  if (error) return res.status(500).json({ error: error.message });
+
+  await recordAudit(req, { action: 'delete', entity: 'tariffs', entityId: id, before, after: data[0] });
+  res.json({ success: true, tariff: data[0] });
+});
+
+export default router;
@@ -1,15 +1,53 @@
 import express from 'express';
-import supabase from '../db.js';
-import { getMonthStart } from '../utils/dateUtil.js';
+import { getMonthStart, toDateString } from '../utils/dateUtil.js';
+import { getTenantBalance } from '../services/balanceService.js';
+import { COMPONENT_TABLES, exitTenant } from '../services/tenantExitService.js';
+import { onboardTenant } from '../services/onboardingService.js';
+import { moveOutTenant } from '../services/moveOutService.js';
+import { versionTenant } from '../services/tenantVersioning.js';
+import { getTenantSnapshot } from '../services/snapshotService.js';
+import { diffFields } from '../utils/diffUtil.js';
+import { fetchScopedTenant, resolveOwnerScope } from '../services/scopeService.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  TENANT_LIST,
+  createTenantSchema,
+  exitTenantSchema,
+  getTenantSchema,
+  listTenantsSchema,
+  moveOutSchema,
+  onboardTenantSchema,
+  updateTenantSchema,
+  versionDiffSchema
+} from '../schemas/tenants.js';
 
 const router = express.Router();
 
+/**
+ * Audits a tenant exit: the closed tenant version and each component row it closed
+ */
+async function auditExit(req, before, exit) {
+  await recordAudit(req, { action: 'delete', entity: 'tenants', entityId: before.tenant_id, before, after: exit.tenant });
+  for (const { table, idColumn } of COMPONENT_TABLES) {
+    for (const row of exit.closedRows[table]) {
+      await recordAudit(req, { action: 'delete', entity: table, entityId: row[idColumn], after: row });
+    }
+  }
+}
+
+// Columns that change on every version and say nothing about the tenant itself
+const VERSION_BOOKKEEPING_FIELDS = ['tenant_version', 'status', 'start_date', 'end_date', 'created_at', 'updated_at'];
+
 /**
  * ✅ Create Tenant
  * Always created as active, starts at version 1
  * start_date normalized to first day of month
+ * organization_id/owner_id stamped from the caller's token (orgadmin picks owner_id)
  */
-router.post('/', async (req, res) => {
+router.post('/', validate(createTenantSchema), async (req, res) => {
   let startDate;
   try {
     startDate = getMonthStart(req.body.start_date);
@@ -17,24 +55,69 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: err.message });
   }
 
-  const { data, error } = await supabase
-    .from('tenants')
-    .insert([{ ...req.body, status: 'active', tenant_version: 1, start_date: startDate }])
-    .select();
+  let scope;
+  try {
+    scope = await resolveOwnerScope(req.user, req.body.owner_id);
+  } catch (err) {
+    return res.status(err.status || 500).json({ error: err.message });
+  }
+
+  const { data, error } = await tenantsRepository.insert({
+    ...req.body,
+    ...scope,
+    status: 'active',
+    tenant_version: 1,
+    start_date: startDate
+  });
   if (error) return res.status(500).json({ error: error.message });
+  await recordAudit(req, { action: 'create', entity: 'tenants', entityId: data[0].tenant_id, after: data[0] });
   res.json(data[0]);
 });
 
+/**
+ * ✅ Onboard Tenant
+ * - Body: tenant fields + { unit_id?, meters?: [{ initial_reading, ...meter fields }],
+ *   rent?: [{ amount, description? }], water?: { amount }, maintenance?: { amount },
+ *   deposit?: { amount, description?, transacted_on? } }
+ * - Tenant (version 1), meters with baseline readings, rent, water,
+ *   maintenance, the unit occupancy and the deposit receipt are created in one transaction
+ * - Every component starts on start_date (normalized to first day of month)
+ */
+router.post('/onboard', validate(onboardTenantSchema), async (req, res) => {
+  try {
+    const result = await onboardTenant(req.user, req.body);
+    const { tenant, meters, readings, rent, water, maintenance, occupancy, deposit } = result;
+    await recordAudit(req, { action: 'create', entity: 'tenants', entityId: tenant.tenant_id, after: tenant });
+    const created = [
+      ...meters.map((row) => ['power_meters', 'meter_id', row]),
+      ...readings.map((row) => ['monthly_readings', 'reading_id', row]),
+      ...rent.map((row) => ['rent_history', 'rent_id', row]),
+      ['water_history', 'water_id', water],
+      ['maintenance_history', 'maintenance_id', maintenance],
+      ['unit_occupancies', 'occupancy_id', occupancy],
+      ['deposit_transactions', 'transaction_id', deposit]
+    ];
+    for (const [entity, idColumn, row] of created) {
+      if (row) await recordAudit(req, { action: 'create', entity, entityId: row[idColumn], after: row });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 /**
  * ✅ Fetch all tenants (only active, latest version)
+ * - Paged: ?limit=&offset=&sort=, filters ?ownerId=, ?from=/&to= on start_date
+ * - ?status=inactive|all lists closed versions too
+ * - Response: { data, pagination: { total, limit, offset } }
  */
-router.get('/', async (req, res) => {
-  const { data, error } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('status', 'active');
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+router.get('/', validate(listTenantsSchema), async (req, res) => {
+  try {
+    res.json(await fetchPage(tenantsRepository.select(req.user, '*', { count: 'exact' }), req.query, TENANT_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 /**
@@ -42,32 +125,92 @@ router.get('/', async (req, res) => {
  */
 router.get('/search/:query', async (req, res) => {
   const { query } = req.params;
-  const { data, error } = await supabase
-    .from('tenants')
-    .select('*')
-    .ilike('name', `${query}%`)
-    .eq('status', 'active');
+  const { data, error } = await tenantsRepository.searchActive(req.user, query);
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
 
 /**
  * ✅ Fetch tenant by ID (latest active version)
+ * - ?asOf=YYYY-MM-DD → snapshot of the tenant version and all component rows
+ *   (meters, rent, water, maintenance) whose date range covers that day
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(getTenantSchema), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', id)
-    .eq('status', 'active')
-    .order('tenant_version', { ascending: false })
-    .limit(1)
-    .single();
+  const { asOf } = req.query;
+
+  if (asOf) {
+    try {
+      await fetchScopedTenant(req.user, id);
+      return res.json(await getTenantSnapshot(id, toDateString(asOf)));
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
+  const { data, error } = await tenantsRepository.findActive(req.user, id);
   if (error || !data) return res.status(404).json({ error: 'Active tenant not found' });
   res.json(data);
 });
 
+/**
+ * ✅ Tenant version history
+ * - Every tenant_version with its effective start_date/end_date, oldest first
+ */
+router.get('/:id/versions', async (req, res) => {
+  const { id } = req.params;
+  const { data, error } = await tenantsRepository.listVersions(req.user, id);
+  if (error) return res.status(500).json({ error: error.message });
+  if (!data || data.length === 0) return res.status(404).json({ error: 'Tenant not found' });
+  res.json(data);
+});
+
+/**
+ * ✅ Diff two tenant versions
+ * - ?from=&to= version numbers; to defaults to the latest, from to the one before it
+ * - Lists changed fields, including counters/flags set by component routes
+ *   (power_meter_count, rent_portion_count, water_required, maintenance_required)
+ * - Bookkeeping columns (dates, status, timestamps) are reported separately as effective ranges
+ */
+router.get('/:id/versions/diff', validate(versionDiffSchema), async (req, res) => {
+  const { id } = req.params;
+
+  const { data: versions, error } = await tenantsRepository.listVersions(req.user, id);
+  if (error) return res.status(500).json({ error: error.message });
+  if (!versions || versions.length === 0) return res.status(404).json({ error: 'Tenant not found' });
+
+  const to = req.query.to ? Number(req.query.to) : versions[versions.length - 1].tenant_version;
+  const from = req.query.from ? Number(req.query.from) : to - 1;
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return res.status(400).json({ error: 'from and to must be version numbers' });
+  }
+
+  const fromVersion = versions.find((version) => version.tenant_version === from);
+  const toVersion = versions.find((version) => version.tenant_version === to);
+  if (!fromVersion || !toVersion) return res.status(404).json({ error: 'Tenant version not found' });
+
+  res.json({
+    tenant_id: toVersion.tenant_id,
+    from: { tenant_version: from, start_date: fromVersion.start_date, end_date: fromVersion.end_date },
+    to: { tenant_version: to, start_date: toVersion.start_date, end_date: toVersion.end_date },
+    changes: diffFields(fromVersion, toVersion, VERSION_BOOKKEEPING_FIELDS)
+  });
+});
+
+/**
+ * ✅ Fetch tenant balance
+ * - Billed, paid and outstanding across all months and tenant versions
+ * - Read-only: late fees are charged by POST /invoices/late-fees/apply (e.g. a daily job)
+ */
+router.get('/:id/balance', async (req, res) => {
+  try {
+    await fetchScopedTenant(req.user, req.params.id);
+    res.json(await getTenantBalance(req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 /**
  * ✅ Update Tenant
  * - inPlace: true → Type 1 (update latest version in place)
@@ -75,18 +218,12 @@ router.get('/:id', async (req, res) => {
  * - end_date set to current month start for old version
  * - start_date normalized for new version
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(updateTenantSchema), async (req, res) => {
   const { id } = req.params;
-  const { inPlace, ...updateFields } = req.body;
+  // Scope columns can't be changed through an update
+  const { inPlace, organization_id, owner_id, ...updateFields } = req.body;
 
-  const { data: currentTenant, error: fetchError } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', id)
-    .eq('status', 'active')
-    .order('tenant_version', { ascending: false })
-    .limit(1)
-    .single();
+  const { data: currentTenant, error: fetchError } = await tenantsRepository.findActive(req.user, id);
 
   if (fetchError || !currentTenant) {
     return res.status(404).json({ error: 'Active tenant not found' });
@@ -105,26 +242,17 @@ router.put('/:id', async (req, res) => {
       }
     }
 
-    const { data, error } = await supabase
-      .from('tenants')
-      .update({ ...updateFields, ...(newStartDate && { start_date: newStartDate }), updated_at: new Date() })
-      .eq('tenant_id', id)
-      .eq('tenant_version', currentTenant.tenant_version)
-      .eq('status', 'active')
-      .select();
+    const { data, error } = await tenantsRepository.updateVersion(id, currentTenant.tenant_version, {
+      ...updateFields,
+      ...(newStartDate && { start_date: newStartDate }),
+      updated_at: new Date()
+    });
 
     if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'update', entity: 'tenants', entityId: id, before: currentTenant, after: data[0] });
     return res.json({ type: 'inPlace', tenant: data[0] });
   } else {
-    // ✅ Type 2: Preserve history
-    await supabase
-      .from('tenants')
-      .update({ status: 'inactive', end_date: currentMonthDate, updated_at: new Date() })
-      .eq('tenant_id', id)
-      .eq('tenant_version', currentTenant.tenant_version)
-      .eq('status', 'active');
-
-    const { tenant_version, ...tenantWithoutVersion } = currentTenant;
+    // ✅ Type 2: Preserve history (deactivate + insert in one transaction)
     let newStartDate;
     try {
       newStartDate = updateFields.start_date ? getMonthStart(updateFields.start_date) : currentMonthDate;
@@ -132,57 +260,70 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ error: err.message });
     }
 
-    const newTenant = {
-      ...tenantWithoutVersion,
-      ...updateFields,
-      tenant_version: tenant_version + 1,
-      status: 'active',
-      start_date: newStartDate,
-      end_date: null,
-      created_at: new Date(),
-      updated_at: new Date()
-    };
-
-    const { data, error } = await supabase
-      .from('tenants')
-      .insert([newTenant])
-      .select();
-
-    if (error) return res.status(500).json({ error: error.message });
-    return res.json({ type: 'versioned', tenant: data[0] });
+    try {
+      const { tenant, previous } = await versionTenant({
+        tenantId: id,
+        effectiveDate: currentMonthDate,
+        changes: { ...updateFields, start_date: newStartDate }
+      });
+      await recordAudit(req, { action: 'update', entity: 'tenants', entityId: id, before: previous, after: tenant });
+      return res.json({ type: 'versioned', tenant });
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
   }
 });
 
 /**
- * ✅ Soft Delete Tenant
- * Marks latest active version inactive and sets end_date
+ * ✅ Soft Delete Tenant (tenant exit)
+ * - Marks latest active version inactive and sets end_date
+ * - Closes all active power meters, rent, water and maintenance rows with the same end_date
+ * - Audits the tenant and every closed row
+ * - ?dryRun=true → returns what would be closed without changing anything
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate(exitTenantSchema), async (req, res) => {
   const { id } = req.params;
+  const { dryRun } = req.query;
 
-  const { data: currentTenant } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', id)
-    .eq('status', 'active')
-    .order('tenant_version', { ascending: false })
-    .limit(1)
-    .single();
-
-  if (!currentTenant) return res.status(404).json({ error: 'Active tenant not found' });
-
-  const currentMonthDate = getMonthStart();
-
-  const { data, error } = await supabase
-    .from('tenants')
-    .update({ status: 'inactive', end_date: currentMonthDate, updated_at: new Date() })
-    .eq('tenant_id', id)
-    .eq('tenant_version', currentTenant.tenant_version)
-    .eq('status', 'active')
-    .select();
+  try {
+    const before = await fetchScopedTenant(req.user, id);
+    const { closedRows, ...result } = await exitTenant(id, {
+      endDate: getMonthStart(),
+      dryRun: dryRun === true
+    });
+    if (!result.dry_run) await auditExit(req, before, { ...result, closedRows });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-  if (error) return res.status(500).json({ error: error.message });
-  res.json({ success: true, tenant: data[0] });
+/**
+ * ✅ Move-out with settlement statement
+ * - Body: { move_out_date, final_readings: [{ meter_id, current_reading, rate_per_unit?, confirm_negative? }],
+ *   deductions?: [{ description, amount, reason? }] }
+ * - Records a final reading per active meter, invoices the move-out month and
+ *   exits the tenant from the start of the next month
+ * - The held deposit (deposit ledger) covers dues and deductions; the rest is refunded
+ * - Returns the settlement: final charges, dues and the deposit refund or amount due
+ */
+router.post('/:id/move-out', validate(moveOutSchema), async (req, res) => {
+  try {
+    const { before, exit, transactions, settlement } = await moveOutTenant(req.user, req.params.id, req.body);
+    for (const reading of settlement.final_readings) {
+      await recordAudit(req, { action: 'create', entity: 'monthly_readings', entityId: reading.reading_id, after: reading });
+    }
+    const invoice = settlement.final_invoice;
+    await recordAudit(req, { action: 'create', entity: 'invoices', entityId: invoice.invoice_id, after: invoice });
+    await auditExit(req, before, exit);
+    for (const { transaction, payment } of transactions) {
+      if (payment) await recordAudit(req, { action: 'create', entity: 'payments', entityId: payment.payment_id, after: payment });
+      await recordAudit(req, { action: 'create', entity: 'deposit_transactions', entityId: transaction.transaction_id, after: transaction });
+    }
+    res.json(settlement);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 export default router;
@@ -0,0 +1,176 @@
+import express from 'express';
+import { getMonthStart, toDateString } from '../utils/dateUtil.js';
+import { requireRole } from '../middlewares/auth.js';
+import {
+  fetchScopedProperty,
+  fetchScopedUnit,
+  getVacancy,
+  occupyUnit,
+  vacateUnit
+} from '../services/unitService.js';
+import { occupanciesRepository, unitsRepository } from '../repositories/unitsRepository.js';
+import { metersRepository } from '../repositories/metersRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  UNIT_LIST,
+  createUnitSchema,
+  listUnitsSchema,
+  occupyUnitSchema,
+  updateUnitSchema,
+  vacancySchema,
+  vacateUnitSchema
+} from '../schemas/properties.js';
+
+const router = express.Router();
+
+/**
+ * ✅ Create Unit
+ * - organization_id/owner_id copied from the property
+ */
+router.post('/', validate(createUnitSchema), async (req, res) => {
+  try {
+    const property = await fetchScopedProperty(req.user, req.body.property_id);
+    const { data, error } = await unitsRepository.insert({
+      ...req.body,
+      organization_id: property.organization_id,
+      owner_id: property.owner_id,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+    if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'create', entity: 'units', entityId: data[0].unit_id, after: data[0] });
+    res.json(data[0]);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Fetch Units
+ * - Paged: ?limit=&offset=&sort=, filters ?propertyId= and ?ownerId=
+ * - Response: { data, pagination: { total, limit, offset } }
+ */
+router.get('/', validate(listUnitsSchema), async (req, res) => {
+  try {
+    res.json(await fetchPage(unitsRepository.select(req.user, '*', { count: 'exact' }), req.query, UNIT_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Vacancy (owner/orgadmin)
+ * - Units without an occupancy on ?asOf= (default today), optionally ?propertyId=
+ * - Returns { as_of, total, occupied, vacant, units }
+ */
+router.get('/vacancy', requireRole('owner', 'orgadmin'), validate(vacancySchema), async (req, res) => {
+  const { asOf, propertyId } = req.query;
+  try {
+    const date = asOf ? toDateString(asOf) : toDateString(new Date());
+    res.json(await getVacancy(req.user, date, { propertyId }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    res.json(await fetchScopedUnit(req.user, req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ✅ Update Unit (in place; property cannot change)
+router.put('/:id', validate(updateUnitSchema), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await fetchScopedUnit(req.user, id);
+    const { data, error } = await unitsRepository.update(id, { ...req.body, updated_at: new Date() });
+    if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'update', entity: 'units', entityId: id, before, after: data[0] });
+    res.json(data[0]);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Delete Unit
+ * - Hard delete, only for units never occupied and without meters,
+ *   so occupancy history and meter links are never orphaned
+ */
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    await fetchScopedUnit(req.user, id);
+
+    const { data: occupancies, error: occupancyError } = await occupanciesRepository.listForUnit(null, id).limit(1);
+    if (occupancyError) return res.status(500).json({ error: occupancyError.message });
+    if (occupancies.length > 0) return res.status(409).json({ error: 'Unit has occupancy history' });
+
+    const { data: meters, error: meterError } = await metersRepository.list(null, { unit_id: id }).limit(1);
+    if (meterError) return res.status(500).json({ error: meterError.message });
+    if (meters.length > 0) return res.status(409).json({ error: 'Unit has power meters' });
+
+    const { data, error } = await unitsRepository.remove(req.user, id);
+    if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'delete', entity: 'units', entityId: id, before: data[0] });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Occupancy history of a unit (oldest first)
+ */
+router.get('/:id/occupancies', async (req, res) => {
+  try {
+    const unit = await fetchScopedUnit(req.user, req.params.id);
+    const { data, error } = await occupanciesRepository.listForUnit(req.user, unit.unit_id);
+    if (error) return res.status(500).json({ error: error.message });
+    res.json(data);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Move a tenant in
+ * - Body { tenant_id, start_date }; start_date normalized to first day of month
+ * - 409 when the unit is still occupied on that date
+ */
+router.post('/:id/occupancies', validate(occupyUnitSchema), async (req, res) => {
+  try {
+    const unit = await fetchScopedUnit(req.user, req.params.id);
+    const occupancy = await occupyUnit(req.user, unit, {
+      tenantId: req.body.tenant_id,
+      startDate: getMonthStart(req.body.start_date)
+    });
+    await recordAudit(req, { action: 'create', entity: 'unit_occupancies', entityId: occupancy.occupancy_id, after: occupancy });
+    res.json(occupancy);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+/**
+ * ✅ Move the current tenant out
+ * - Body { end_date }; normalized to first day of month, exclusive
+ *   (end_date 2026-05-01 → last occupied month is April)
+ */
+router.post('/:id/vacate', validate(vacateUnitSchema), async (req, res) => {
+  try {
+    const unit = await fetchScopedUnit(req.user, req.params.id);
+    const { before, after } = await vacateUnit(req.user, unit, getMonthStart(req.body.end_date));
+    await recordAudit(req, { action: 'update', entity: 'unit_occupancies', entityId: after.occupancy_id, before, after });
+    res.json(after);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+export default router;
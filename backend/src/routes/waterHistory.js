@@ -1,6 +1,20 @@
 import express from 'express';
-import supabase from '../db.js';
-import { getMonthStart } from '../utils/dateUtil.js';
+import { getMonthStart, toDateString } from '../utils/dateUtil.js';
+import { versionTenant } from '../services/tenantVersioning.js';
+import { fetchEffectiveRows } from '../services/snapshotService.js';
+import { getScopeFilters } from '../utils/scopeUtil.js';
+import { waterHistoryRepository } from '../repositories/historiesRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+import { recordAudit } from '../services/auditService.js';
+import { fetchPage, pageRows } from '../utils/listQuery.js';
+import { validate } from '../middlewares/validate.js';
+import {
+  WATER_LIST,
+  createChargeSchema,
+  getComponentSchema,
+  listWaterSchema,
+  updateChargeSchema
+} from '../schemas/components.js';
 
 const router = express.Router();
 
@@ -8,8 +22,9 @@ const router = express.Router();
  * ✅ Create Water History
  * - Only allowed if tenant.water_required = false
  * - Flips water_required to true in new tenant version
+ * - Tenant version and component write are atomic (versionTenant)
  */
-router.post('/', async (req, res) => {
+router.post('/', validate(createChargeSchema), async (req, res) => {
   const { tenant_id, start_date, ...waterFields } = req.body;
 
   let normalizedStart;
@@ -21,12 +36,7 @@ router.post('/', async (req, res) => {
   }
 
   // Fetch active tenant
-  const { data: tenant, error: tenantError } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', tenant_id)
-    .eq('status', 'active')
-    .single();
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(req.user, tenant_id);
   if (tenantError || !tenant) return res.status(404).json({ error: 'Active tenant not found' });
 
   // Only create if water_required = false
@@ -34,57 +44,80 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: 'Water history already exists for this tenant' });
   }
 
-  // Inactivate old tenant
-  await supabase.from('tenants')
-    .update({ status: 'inactive', end_date: currentMonthDate, updated_at: new Date() })
-    .eq('tenant_id', tenant_id)
-    .eq('status', 'active');
-
-  // Create new tenant version with water_required = true
-  const { tenant_version, ...tenantWithoutVersion } = tenant;
-  const newTenant = {
-    ...tenantWithoutVersion,
-    tenant_id,
-    tenant_version: tenant_version + 1,
-    water_required: true,
-    start_date: currentMonthDate,
-    end_date: null,
-    status: 'active',
-    created_at: new Date(),
-    updated_at: new Date()
-  };
-
-  const { data: newTenantRow, error: newTenantError } = await supabase.from('tenants').insert([newTenant]).select();
-  if (newTenantError) return res.status(500).json({ error: newTenantError.message });
-
-  // Insert new water history tied to new tenant_version
-  const { data: waterHistory, error: waterError } = await supabase.from('water_history').insert([{
-    tenant_id,
-    tenant_version: newTenantRow[0].tenant_version,
-    start_date: normalizedStart,
-    end_date: null,
-    ...waterFields,
-    status: 'active',
-    created_at: new Date(),
-    updated_at: new Date()
-  }]).select();
-  if (waterError) return res.status(500).json({ error: waterError.message });
-
-  res.json({ water_history: waterHistory[0], tenant: newTenantRow[0] });
+  // New tenant version and water history row in one transaction
+  try {
+    const { tenant: newTenant, previous, results } = await versionTenant({
+      tenantId: tenant_id,
+      effectiveDate: currentMonthDate,
+      changes: { water_required: true },
+      operations: [{
+        action: 'insert',
+        table: 'water_history',
+        key: 'water_history',
+        row: {
+          start_date: normalizedStart,
+          end_date: null,
+          ...waterFields,
+          status: 'active',
+          created_at: new Date(),
+          updated_at: new Date()
+        }
+      }]
+    });
+    await recordAudit(req, { action: 'create', entity: 'water_history', entityId: results.water_history.water_id, after: results.water_history });
+    await recordAudit(req, { action: 'update', entity: 'tenants', entityId: tenant_id, before: previous, after: newTenant });
+    res.json({ water_history: results.water_history, tenant: newTenant });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 /**
  * ✅ Read Operations
+ * - Paged list of active rows by default: ?limit=&offset=&sort=, filters
+ *   ?tenantId=, ?status=active|inactive|all and ?from=/&to= on start_date
+ * - ?asOf=YYYY-MM-DD → rows whose start_date/end_date range covers that day
+ *   (optionally narrowed with ?tenantId=)
+ * - Response: { data, pagination: { total, limit, offset } }
  */
-router.get('/', async (req, res) => {
-  const { data, error } = await supabase.from('water_history').select('*').eq('status', 'active');
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+router.get('/', validate(listWaterSchema), async (req, res) => {
+  const { asOf, tenantId } = req.query;
+  if (asOf) {
+    try {
+      const rows = await fetchEffectiveRows(waterHistoryRepository, toDateString(asOf), {
+        ...(tenantId ? { tenant_id: tenantId } : {}),
+        ...getScopeFilters(req.user)
+      });
+      return res.json(pageRows(rows, req.query, WATER_LIST));
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
+  try {
+    res.json(await fetchPage(waterHistoryRepository.select(req.user, '*', { count: 'exact' }), req.query, WATER_LIST));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate(getComponentSchema), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('water_history').select('*').eq('water_id', id).eq('status', 'active').single();
+  const { asOf } = req.query;
+  if (asOf) {
+    try {
+      const [row] = await fetchEffectiveRows(waterHistoryRepository, toDateString(asOf), {
+        water_id: id,
+        ...getScopeFilters(req.user)
+      });
+      if (!row) return res.status(404).json({ error: `No water history in effect on ${asOf}` });
+      return res.json(row);
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+
+  const { data, error } = await waterHistoryRepository.findActive(req.user, id);
   if (error || !data) return res.status(404).json({ error: 'Active water history not found' });
   res.json(data);
 });
@@ -92,19 +125,15 @@ router.get('/:id', async (req, res) => {
 /**
  * ✅ Update Water History
  * - inPlace: true → update same row
- * - inPlace: false → mark old inactive and insert new active row (same tenant_version)
+ * - inPlace: false → mark old inactive and insert new active row (same tenant_version);
+ *   the old row ends and the new one starts on start_date (default: current month)
  * - ⚠️ Unlike meters/rent, start_date can be updated in both cases
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate(updateChargeSchema), async (req, res) => {
   const { id } = req.params;
-  const { inPlace, ...updateFields } = req.body;
-
-  const { data: currentWater, error: fetchError } = await supabase
-    .from('water_history')
-    .select('*')
-    .eq('water_id', id)
-    .eq('status', 'active')
-    .single();
+  const { inPlace, organization_id, owner_id, ...updateFields } = req.body;
+
+  const { data: currentWater, error: fetchError } = await waterHistoryRepository.findActive(req.user, id);
   if (fetchError || !currentWater) return res.status(404).json({ error: 'Active water history not found' });
 
   if (updateFields.start_date) {
@@ -116,30 +145,33 @@ router.put('/:id', async (req, res) => {
   }
 
   if (inPlace) {
-    const { data, error } = await supabase
-      .from('water_history')
-      .update({ ...updateFields, updated_at: new Date() })
-      .eq('water_id', id)
-      .eq('status', 'active')
-      .select();
+    const { data, error } = await waterHistoryRepository.update(id, { ...updateFields, updated_at: new Date() }, { status: 'active' });
     if (error) return res.status(500).json({ error: error.message });
+    await recordAudit(req, { action: 'update', entity: 'water_history', entityId: id, before: currentWater, after: data[0] });
     return res.json({ type: 'inPlace', water_history: data[0] });
   } else {
-    await supabase.from('water_history').update({ status: 'inactive', end_date: getMonthStart() }).eq('water_id', id);
+    // The new row takes over from the change date, so each month bills one row
+    const effectiveDate = updateFields.start_date || getMonthStart();
+    if (effectiveDate < currentWater.start_date) {
+      return res.status(400).json({ error: `start_date must not be before the current row's start (${currentWater.start_date})` });
+    }
+    await waterHistoryRepository.close(id, effectiveDate);
 
     const { water_id, ...waterWithoutId } = currentWater;
     const newWater = {
       ...waterWithoutId,
       ...updateFields,
+      start_date: effectiveDate,
       end_date: null,
       status: 'active',
       created_at: new Date(),
       updated_at: new Date()
     };
 
-    const { data, error } = await supabase.from('water_history').insert([newWater]).select();
+    const { data, error } = await waterHistoryRepository.insert(newWater);
     if (error) return res.status(500).json({ error: error.message });
 
+    await recordAudit(req, { action: 'update', entity: 'water_history', entityId: id, before: currentWater, after: data[0] });
     return res.json({ type: 'versioned', water_history: data[0] });
   }
 });
@@ -149,26 +181,17 @@ router.put('/:id', async (req, res) => {
  * - Only allowed if tenant.water_required = true
  * - Marks water history inactive
  * - Flips water_required back to false in new tenant version
+ * - Tenant version and component write are atomic (versionTenant)
  */
 router.delete('/:id', async (req, res) => {
   const { id } = req.params;
   const currentMonthDate = getMonthStart();
 
-  const { data: water, error: waterError } = await supabase
-    .from('water_history')
-    .select('*')
-    .eq('water_id', id)
-    .eq('status', 'active')
-    .single();
+  const { data: water, error: waterError } = await waterHistoryRepository.findActive(req.user, id);
   if (waterError || !water) return res.status(404).json({ error: 'Active water history not found' });
 
   // Fetch tenant
-  const { data: tenant, error: tenantError } = await supabase
-    .from('tenants')
-    .select('*')
-    .eq('tenant_id', water.tenant_id)
-    .eq('status', 'active')
-    .single();
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(req.user, water.tenant_id);
   if (tenantError || !tenant) return res.status(404).json({ error: 'Active tenant not found' });
 
   // Only delete if water_required = true
@@ -176,33 +199,20 @@ router.delete('/:id', async (req, res) => {
     return res.status(400).json({ error: 'No water history exists for this tenant' });
   }
 
-  // Mark water history inactive
-  await supabase.from('water_history').update({ status: 'inactive', end_date: currentMonthDate }).eq('water_id', id);
-
-  // Inactivate old tenant
-  await supabase.from('tenants').update({ status: 'inactive', end_date: currentMonthDate }).eq('tenant_id', tenant.tenant_id).eq('status', 'active');
-
-  // Create new tenant version with water_required = false
-  const { tenant_version, ...tenantWithoutVersion } = tenant;
-  const newTenant = {
-    ...tenantWithoutVersion,
-    tenant_id: tenant.tenant_id,
-    tenant_version: tenant_version + 1,
-    water_required: false,
-    start_date: currentMonthDate,
-    end_date: null,
-    status: 'active',
-    created_at: new Date(),
-    updated_at: new Date()
-  };
-
-  const { data: newTenantRow, error: newTenantError } = await supabase.from('tenants').insert([newTenant]).select();
-  if (newTenantError) return res.status(500).json({ error: newTenantError.message });
-
-  // Re-fetch updated water row to show inactive status
-  const { data: updatedWater } = await supabase.from('water_history').select('*').eq('water_id', id).single();
-
-  res.json({ success: true, water_history: updatedWater, tenant: newTenantRow[0] });
+  // Close water history and version tenant in one transaction
+  try {
+    const { tenant: newTenant, previous, results } = await versionTenant({
+      tenantId: tenant.tenant_id,
+      effectiveDate: currentMonthDate,
+      changes: { water_required: false },
+      operations: [{ action: 'close', table: 'water_history', key: 'water_history', id_column: 'water_id', id }]
+    });
+    await recordAudit(req, { action: 'delete', entity: 'water_history', entityId: id, before: water, after: results.water_history });
+    await recordAudit(req, { action: 'update', entity: 'tenants', entityId: newTenant.tenant_id, before: previous, after: newTenant });
+    res.json({ success: true, water_history: results.water_history, tenant: newTenant });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+import { date } from './common.js';
+
+export const auditQuerySchema = {
+  query: {
+    entity: { type: 'string', maxLength: 100 },
+    entityId: { type: 'string', maxLength: 100 },
+    from: date,
+    to: date
+  }
+};
@@ -0,0 +1,37 @@
+import { email, flag, id } from './common.js';
+
+const requiredEmail = { ...email, required: true };
+const password = { type: 'string', required: true, maxLength: 1024 };
+const token = { type: 'string', required: true, maxLength: 512 };
+
+export const googleLoginSchema = { body: { id_token: { type: 'string', required: true } } };
+export const passwordLoginSchema = { body: { email: requiredEmail, password } };
+export const verifyEmailSchema = { body: { token } };
+export const forgotPasswordSchema = { body: { email: requiredEmail } };
+export const resetPasswordSchema = { body: { token, password } };
+export const magicLinkSchema = { body: { email: requiredEmail } };
+export const magicLinkVerifySchema = { body: { token } };
+export const refreshSchema = { body: { refresh_token: token } };
+export const logoutSchema = { body: { refresh_token: token, all: flag } };
+
+// Invitations
+const inviteRoles = ['orgadmin', 'owner', 'tenant'];
+
+export const inviteSchema = {
+  body: {
+    role: { type: 'string', required: true, enum: inviteRoles },
+    email: requiredEmail,
+    organization_id: id,
+    owner_id: id,
+    tenant_id: id
+  }
+};
+
+export const listInvitesSchema = {
+  query: {
+    status: { type: 'string', enum: ['pending', 'accepted', 'revoked', 'expired'] },
+    role: { type: 'string', enum: inviteRoles }
+  }
+};
+
+export const acceptInviteSchema = { body: { token } };
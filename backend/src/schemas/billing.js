@@ -0,0 +1,29 @@
+import { amount, date, flag, id, requiredDate, requiredId, text } from './common.js';
+
+export const generateInvoiceSchema = {
+  body: { tenant_id: requiredId, month: requiredDate }
+};
+
+export const applyLateFeesSchema = {
+  body: { tenant_id: id, as_of: date }
+};
+
+export const listInvoicesSchema = {
+  query: { tenantId: id, month: date, status: { type: 'string', maxLength: 50 } }
+};
+
+export const createPaymentSchema = {
+  body: {
+    tenant_id: requiredId,
+    invoice_id: id,
+    amount: { ...amount, required: true },
+    paid_on: date,
+    method: { type: 'string', maxLength: 50 },
+    reference: { type: 'string', maxLength: 200 },
+    notes: text
+  }
+};
+
+export const listPaymentsSchema = { query: { tenantId: id, includeReversed: flag } };
+
+export const reversePaymentSchema = { body: { reason: text } };
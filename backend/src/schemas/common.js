@@ -0,0 +1,33 @@
+import { LIST_STATUSES, MAX_PAGE_SIZE } from '../utils/listQuery.js';
+
+/**
+ * Field specs shared by the request schemas (see middlewares/validate.js)
+ */
+export const id = { type: 'id' };
+export const requiredId = { type: 'id', required: true };
+export const date = { type: 'date' };
+export const requiredDate = { type: 'date', required: true };
+export const flag = { type: 'boolean' };
+export const amount = { type: 'number', min: 0 };
+export const text = { type: 'string', maxLength: 500 };
+export const email = { type: 'string', maxLength: 320 };
+
+// ?asOf= point-in-time reads
+export const asOfQuery = { asOf: date };
+
+/**
+ * Query fields of a paged list endpoint (see utils/listQuery.js fetchPage)
+ * - sort accepts each sortable column, prefixed with - for descending
+ * - each list filter (tenantId, meterId, ...) is an id
+ * - from/to only when the list has a date column, status only on versioned rows
+ */
+export function listQuery({ sortable, filters = {}, dateColumn, versioned = false }) {
+  return {
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    offset: { type: 'integer', min: 0 },
+    sort: { type: 'string', enum: sortable.flatMap((column) => [column, `-${column}`]) },
+    ...(dateColumn && { from: date, to: date }),
+    ...Object.fromEntries(Object.keys(filters).map((param) => [param, id])),
+    ...(versioned && { status: { type: 'string', enum: LIST_STATUSES } })
+  };
+}
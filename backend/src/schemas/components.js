@@ -0,0 +1,79 @@
+import { amount, asOfQuery, date, flag, id, listQuery, requiredDate, requiredId, text } from './common.js';
+
+/**
+ * Rent, water and maintenance rows share the same writable fields
+ */
+export const chargeFields = {
+  amount: { ...amount, required: true },
+  description: text
+};
+
+export const createChargeSchema = {
+  body: { tenant_id: requiredId, start_date: requiredDate, ...chargeFields }
+};
+
+export const updateChargeSchema = {
+  body: { amount, description: text, start_date: date, inPlace: flag }
+};
+
+/**
+ * Paged list of a component table (versioned rows belonging to a tenant)
+ */
+function componentList(idColumn, sortable) {
+  return {
+    keyColumns: [idColumn],
+    sortable: [idColumn, 'tenant_id', 'start_date', 'end_date', 'created_at', ...sortable],
+    filters: { tenantId: 'tenant_id' },
+    dateColumn: 'start_date',
+    versioned: true
+  };
+}
+
+export const RENT_LIST = componentList('rent_id', ['amount']);
+export const WATER_LIST = componentList('water_id', ['amount']);
+export const MAINTENANCE_LIST = componentList('maintenance_id', ['amount']);
+
+// ?asOf= lists the rows in effect that day instead of filtering by status/from/to
+export const listRentSchema = { query: { ...listQuery(RENT_LIST), ...asOfQuery } };
+export const listWaterSchema = { query: { ...listQuery(WATER_LIST), ...asOfQuery } };
+export const listMaintenanceSchema = { query: { ...listQuery(MAINTENANCE_LIST), ...asOfQuery } };
+export const getComponentSchema = { query: asOfQuery };
+
+// Power meters
+const meterDigits = { type: 'integer', min: 1, max: 9 };
+export const meterFields = {
+  meter_number: { type: 'string', maxLength: 100 },
+  tariff_id: id,
+  meter_digits: meterDigits,
+  unit_id: id
+};
+
+export const createMeterSchema = {
+  body: {
+    tenant_id: requiredId,
+    start_date: requiredDate,
+    initial_reading: { ...amount, required: true },
+    ...meterFields
+  }
+};
+
+export const updateMeterSchema = {
+  body: { ...meterFields, start_date: date, initial_reading: amount, inPlace: flag }
+};
+
+export const METER_LIST = {
+  ...componentList('meter_id', ['meter_number', 'unit_id']),
+  filters: { tenantId: 'tenant_id', unitId: 'unit_id' }
+};
+export const listMetersSchema = { query: { ...listQuery(METER_LIST), ...asOfQuery } };
+
+export const replaceMeterSchema = {
+  body: {
+    final_reading: { ...amount, required: true },
+    replaced_on: requiredDate,
+    initial_reading: { ...amount, required: true },
+    rate_per_unit: amount,
+    confirm_negative: flag,
+    ...meterFields
+  }
+};
@@ -0,0 +1,24 @@
+import { amount, date, listQuery, requiredId, text } from './common.js';
+import { DEDUCTION_REASONS, DEPOSIT_TYPES } from '../services/depositService.js';
+
+// reason is required for deductions and ignored for the other types
+export const createDepositSchema = {
+  body: {
+    tenant_id: requiredId,
+    type: { type: 'string', enum: DEPOSIT_TYPES, required: true },
+    amount: { ...amount, required: true },
+    reason: { type: 'string', enum: DEDUCTION_REASONS },
+    description: text,
+    transacted_on: date
+  }
+};
+
+export const DEPOSIT_LIST = {
+  keyColumns: ['transaction_id'],
+  sortable: ['transaction_id', 'tenant_id', 'type', 'amount', 'transacted_on', 'created_at'],
+  defaultSort: 'transacted_on',
+  filters: { tenantId: 'tenant_id' },
+  dateColumn: 'transacted_on'
+};
+
+export const listDepositsSchema = { query: listQuery(DEPOSIT_LIST) };
@@ -0,0 +1,31 @@
+import { LATE_FEE_TYPES } from '../services/lateFeeService.js';
+import { amount, date, flag, id, listQuery, requiredDate, text } from './common.js';
+
+const setupFields = {
+  description: text,
+  rate_per_unit: amount,
+  due_day: { type: 'integer', min: 1, max: 28 },
+  grace_days: { type: 'integer', min: 0 },
+  late_fee_type: { type: 'string', enum: LATE_FEE_TYPES, nullable: true },
+  late_fee_value: { ...amount, nullable: true }
+};
+
+export const createSetupSchema = {
+  body: { ...setupFields, start_date: requiredDate, owner_id: id }
+};
+
+export const updateSetupSchema = {
+  body: { ...setupFields, start_date: date, inPlace: flag }
+};
+
+export const SETUP_LIST = {
+  keyColumns: ['entry_id'],
+  sortable: ['entry_id', 'start_date', 'end_date', 'rate_per_unit', 'due_day', 'created_at'],
+  filters: { ownerId: 'owner_id' },
+  dateColumn: 'start_date',
+  versioned: true
+};
+
+// includeInactive=true is kept as a shorthand for status=all
+export const listSetupSchema = { query: { ...listQuery(SETUP_LIST), includeInactive: flag } };
+export const getSetupSchema = { query: { includeInactive: flag } };
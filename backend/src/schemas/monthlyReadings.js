@@ -0,0 +1,62 @@
+import { amount, date, flag, listQuery, requiredDate, requiredId } from './common.js';
+
+// Readings may go backwards (meter rollover / negative consumption), so no minimum
+const reading = { type: 'number' };
+
+export const createReadingSchema = {
+  body: {
+    tenant_id: requiredId,
+    meter_id: requiredId,
+    month: requiredDate,
+    current_reading: { ...reading, required: true },
+    rate_per_unit: amount,
+    confirm_negative: flag
+  }
+};
+
+export const bulkReadingSchema = {
+  body: {
+    month: requiredDate,
+    rate_per_unit: amount,
+    readings: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      items: {
+        fields: {
+          meter_id: requiredId,
+          current_reading: { ...reading, required: true },
+          rate_per_unit: amount,
+          confirm_negative: flag
+        }
+      }
+    }
+  }
+};
+
+export const updateReadingSchema = {
+  body: {
+    previous_reading: reading,
+    current_reading: reading,
+    rate_per_unit: amount,
+    anomaly_reviewed: flag,
+    confirm_negative: flag
+  }
+};
+
+export const pendingReadingsSchema = { query: { month: requiredDate } };
+
+// Readings are not versioned, so no status filter
+export const READING_LIST = {
+  keyColumns: ['reading_id'],
+  sortable: ['reading_id', 'tenant_id', 'meter_id', 'month', 'units_consumed', 'charge_amount', 'created_at'],
+  defaultSort: 'month',
+  filters: { tenantId: 'tenant_id', meterId: 'meter_id' },
+  dateColumn: 'month'
+};
+
+export const listReadingsSchema = {
+  query: { ...listQuery(READING_LIST), startMonth: date, endMonth: date, includeInactive: flag }
+};
+
+export const anomaliesSchema = { query: { month: requiredDate, includeReviewed: flag } };
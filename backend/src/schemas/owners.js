@@ -0,0 +1,14 @@
+import { email, id, text } from './common.js';
+
+const ownerFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  address: text,
+  phone: { type: 'string', maxLength: 50 },
+  email
+};
+
+export const createOwnerSchema = {
+  body: { ...ownerFields, name: { ...ownerFields.name, required: true }, organization_id: id }
+};
+
+export const updateOwnerSchema = { body: ownerFields };
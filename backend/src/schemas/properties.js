@@ -0,0 +1,49 @@
+import { date, id, listQuery, requiredDate, requiredId, text } from './common.js';
+
+export const UNIT_TYPES = ['flat', 'shop', 'office', 'other'];
+
+const name = { type: 'string', minLength: 1, maxLength: 200 };
+
+// Properties (buildings)
+const propertyFields = { name, address: text, description: text };
+
+export const createPropertySchema = {
+  body: { ...propertyFields, name: { ...name, required: true }, owner_id: id }
+};
+
+export const updatePropertySchema = { body: propertyFields };
+
+export const PROPERTY_LIST = {
+  keyColumns: ['property_id'],
+  sortable: ['property_id', 'name', 'created_at'],
+  filters: { ownerId: 'owner_id' }
+};
+
+export const listPropertiesSchema = { query: listQuery(PROPERTY_LIST) };
+
+// Units (flats, shops) of a property; organization/owner come from the property
+const unitFields = {
+  name,
+  unit_type: { type: 'string', enum: UNIT_TYPES },
+  floor: { type: 'integer' },
+  description: text
+};
+
+export const createUnitSchema = {
+  body: { ...unitFields, name: { ...name, required: true }, property_id: requiredId }
+};
+
+export const updateUnitSchema = { body: unitFields };
+
+export const UNIT_LIST = {
+  keyColumns: ['unit_id'],
+  sortable: ['unit_id', 'property_id', 'name', 'unit_type', 'floor', 'created_at'],
+  filters: { propertyId: 'property_id', ownerId: 'owner_id' }
+};
+
+export const listUnitsSchema = { query: listQuery(UNIT_LIST) };
+export const vacancySchema = { query: { asOf: date, propertyId: id } };
+
+// Occupancies: dates are normalized to month starts, end_date is exclusive
+export const occupyUnitSchema = { body: { tenant_id: requiredId, start_date: requiredDate } };
+export const vacateUnitSchema = { body: { end_date: requiredDate } };
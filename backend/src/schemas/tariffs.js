@@ -0,0 +1,23 @@
+import { amount, date, flag, id, requiredDate } from './common.js';
+
+// Ordering/unbounded-slab rules are checked by validateSlabs
+const slabs = {
+  type: 'array',
+  minLength: 1,
+  items: { fields: { up_to: { ...amount, nullable: true }, rate: { ...amount, required: true } } }
+};
+
+const tariffFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  fixed_charge: amount
+};
+
+export const createTariffSchema = {
+  body: { ...tariffFields, slabs: { ...slabs, required: true }, start_date: requiredDate, owner_id: id }
+};
+
+export const updateTariffSchema = {
+  body: { ...tariffFields, slabs, start_date: date, inPlace: flag }
+};
+
+export const listTariffsSchema = { query: { includeInactive: flag } };
@@ -0,0 +1,93 @@
+import { amount, asOfQuery, date, email, flag, id, listQuery, requiredDate, requiredId, text } from './common.js';
+import { chargeFields, meterFields } from './components.js';
+import { DEDUCTION_REASONS } from '../services/depositService.js';
+
+// Dues are taken from the deposit automatically at move-out
+const MOVE_OUT_DEDUCTION_REASONS = DEDUCTION_REASONS.filter((reason) => reason !== 'unpaid_dues');
+
+// Counters and water/maintenance flags are maintained by the component routes
+const tenantFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  address: text,
+  phone: { type: 'string', maxLength: 50 },
+  email
+};
+
+export const createTenantSchema = {
+  body: { ...tenantFields, name: { ...tenantFields.name, required: true }, owner_id: id, start_date: requiredDate }
+};
+
+export const updateTenantSchema = {
+  body: { ...tenantFields, start_date: date, inPlace: flag }
+};
+
+// One row per version, so the version number breaks ties between them
+export const TENANT_LIST = {
+  keyColumns: ['tenant_id', 'tenant_version'],
+  sortable: ['tenant_id', 'name', 'start_date', 'end_date', 'created_at', 'updated_at'],
+  filters: { ownerId: 'owner_id' },
+  dateColumn: 'start_date',
+  versioned: true
+};
+
+export const listTenantsSchema = { query: listQuery(TENANT_LIST) };
+export const getTenantSchema = { query: asOfQuery };
+
+export const versionDiffSchema = {
+  query: { from: { type: 'integer', min: 1 }, to: { type: 'integer', min: 1 } }
+};
+
+export const exitTenantSchema = { query: { dryRun: flag } };
+
+/**
+ * Onboarding: the tenant plus its components, all starting on start_date
+ * - unit_id moves the tenant into that unit; meters without a unit_id go there too
+ * - deposit is recorded as the deposit receipt (transacted_on defaults to start_date)
+ */
+export const onboardTenantSchema = {
+  body: {
+    ...createTenantSchema.body,
+    unit_id: id,
+    meters: {
+      type: 'array',
+      items: { type: 'object', fields: { ...meterFields, initial_reading: { ...amount, required: true } } }
+    },
+    rent: { type: 'array', items: { type: 'object', fields: chargeFields } },
+    water: { type: 'object', fields: chargeFields },
+    maintenance: { type: 'object', fields: chargeFields },
+    deposit: {
+      type: 'object',
+      fields: { amount: { ...amount, min: 0.01, required: true }, description: text, transacted_on: date }
+    }
+  }
+};
+
+// Move-out: one final reading per active meter; deductions are kept from the held deposit
+export const moveOutSchema = {
+  body: {
+    move_out_date: requiredDate,
+    final_readings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          meter_id: requiredId,
+          current_reading: { ...amount, required: true },
+          rate_per_unit: amount,
+          confirm_negative: flag
+        }
+      }
+    },
+    deductions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          description: { ...text, minLength: 1, required: true },
+          amount: { ...amount, required: true },
+          reason: { type: 'string', enum: MOVE_OUT_DEDUCTION_REASONS }
+        }
+      }
+    }
+  }
+};
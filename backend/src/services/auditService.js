@@ -0,0 +1,26 @@
+import { auditRepository } from '../repositories/auditRepository.js';
+
+/**
+ * ✅ Record a mutation in audit_log
+ * - actor from the JWT (req.user), action create | update | delete
+ * - before/after: row values around the change (null for create/delete side)
+ * - organization_id/owner_id copied from the row so the log can be scoped
+ * - The mutation has already happened, so a failed audit write is logged, not thrown
+ */
+export async function recordAudit(req, { action, entity, entityId, before = null, after = null }) {
+  const row = after || before || {};
+  const { error } = await auditRepository.insert({
+    actor_user_id: req.user?.sub ?? null,
+    actor_email: req.user?.email ?? null,
+    actor_role: req.user?.role ?? null,
+    action,
+    entity,
+    entity_id: entityId != null ? String(entityId) : null,
+    before,
+    after,
+    organization_id: row.organization_id ?? null,
+    owner_id: row.owner_id ?? null,
+    created_at: new Date()
+  });
+  if (error) console.error(`audit_log write failed for ${action} ${entity} ${entityId}: ${error.message}`);
+}
@@ -0,0 +1,89 @@
+import { HttpError } from '../utils/httpError.js';
+import { roundAmount } from './invoiceService.js';
+import { getDepositSummary } from './depositService.js';
+import { invoicesRepository } from '../repositories/invoicesRepository.js';
+import { paymentsRepository } from '../repositories/paymentsRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+
+/**
+ * Ensures at least one version exists for the stable tenant_id
+ */
+export async function assertTenantExists(tenantId) {
+  const { data, error } = await tenantsRepository.findLatest(null, tenantId);
+  if (error) throw new HttpError(500, error.message);
+  if (!data) throw new HttpError(404, 'Tenant not found');
+}
+
+/**
+ * Spreads payments over invoices
+ * - Payments tied to an invoice settle that invoice first
+ * - Remaining money settles the oldest open invoices (FIFO by month)
+ * - Anything left over is reported as credit
+ */
+function allocatePayments(invoices, payments) {
+  const rows = invoices.map((invoice) => ({
+    invoice_id: invoice.invoice_id,
+    month: invoice.month,
+    billed: roundAmount(invoice.total_amount),
+    paid: 0
+  }));
+
+  let pool = 0;
+  payments.forEach((payment) => {
+    let amount = Number(payment.amount);
+    const target = payment.invoice_id && rows.find((row) => row.invoice_id === payment.invoice_id);
+    if (target) {
+      const applied = Math.min(amount, target.billed - target.paid);
+      target.paid += applied;
+      amount -= applied;
+    }
+    pool += amount;
+  });
+
+  rows.forEach((row) => {
+    const applied = Math.min(pool, row.billed - row.paid);
+    row.paid += applied;
+    pool -= applied;
+  });
+
+  return {
+    months: rows.map((row) => ({
+      ...row,
+      paid: roundAmount(row.paid),
+      outstanding: roundAmount(row.billed - row.paid)
+    })),
+    credit: roundAmount(pool)
+  };
+}
+
+/**
+ * ✅ Compute billed, paid and outstanding for a tenant across all months
+ * - Follows the stable tenant_id, so every tenant_version is included
+ * - Only issued invoices and non-reversed payments count
+ * - deposit: the security deposit ledger totals (held separately from payments)
+ */
+export async function getTenantBalance(tenantId) {
+  await assertTenantExists(tenantId);
+
+  const { data: invoices, error: invoiceError } = await invoicesRepository.listIssued(null, { tenant_id: tenantId })
+    .order('month', { ascending: true });
+  if (invoiceError) throw new HttpError(500, invoiceError.message);
+
+  const { data: payments, error: paymentError } = await paymentsRepository.listReceived(null, { tenant_id: tenantId })
+    .order('paid_on', { ascending: true });
+  if (paymentError) throw new HttpError(500, paymentError.message);
+
+  const billed = roundAmount(invoices.reduce((sum, invoice) => sum + Number(invoice.total_amount), 0));
+  const paid = roundAmount(payments.reduce((sum, payment) => sum + Number(payment.amount), 0));
+  const { months, credit } = allocatePayments(invoices, payments);
+
+  return {
+    tenant_id: tenantId,
+    billed,
+    paid,
+    outstanding: roundAmount(billed - paid),
+    credit,
+    months,
+    deposit: await getDepositSummary(tenantId)
+  };
+}
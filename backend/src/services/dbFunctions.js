@@ -0,0 +1,30 @@
+import db from '../db.js';
+import { HttpError } from '../utils/httpError.js';
+
+/**
+ * HTTP status for an error raised by a database function
+ * - P0002 (no_data_found) → 404
+ * - 23505 (unique_violation, e.g. a second active occupancy of a unit) → 409
+ * - PT<status> (e.g. PT409, raised with errcode => 'PT409') → that status,
+ *   the same convention PostgREST uses
+ * - Anything else → 500
+ */
+function toHttpStatus(code) {
+  if (code === 'P0002') return 404;
+  if (code === '23505') return 409;
+  const match = /^PT([45]\d\d)$/.exec(code || '');
+  return match ? Number(match[1]) : 500;
+}
+
+/**
+ * ✅ Run a database function (sql/*.sql; the memory backend runs its JS port
+ *   from src/db/memoryFunctions.js)
+ * - The function runs in one transaction; any error rolls it back
+ * - Errors become HttpErrors (see toHttpStatus)
+ * - Returns the function's result
+ */
+export async function runDbFunction(name, params) {
+  const { data, error } = await db.rpc(name, params);
+  if (error) throw new HttpError(toHttpStatus(error.code), error.message);
+  return data;
+}
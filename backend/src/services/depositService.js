@@ -0,0 +1,88 @@
+import { HttpError } from '../utils/httpError.js';
+import { roundAmount } from './invoiceService.js';
+import { depositsRepository } from '../repositories/depositsRepository.js';
+import { runDbFunction } from './dbFunctions.js';
+
+export const DEPOSIT_TYPES = ['receipt', 'top_up', 'deduction', 'refund'];
+export const DEDUCTION_REASONS = ['damages', 'unpaid_dues', 'other'];
+
+/**
+ * ✅ Totals of a tenant's deposit ledger
+ * - held = received + topped up - deducted - refunded
+ */
+export function summarizeDeposit(transactions) {
+  const total = (type) => roundAmount(transactions
+    .filter((transaction) => transaction.type === type)
+    .reduce((sum, transaction) => sum + Number(transaction.amount), 0));
+
+  const totals = {
+    received: total('receipt'),
+    topped_up: total('top_up'),
+    deducted: total('deduction'),
+    refunded: total('refund')
+  };
+  return {
+    ...totals,
+    held: roundAmount(totals.received + totals.topped_up - totals.deducted - totals.refunded)
+  };
+}
+
+/**
+ * ✅ Deposit summary of a tenant across all tenant versions
+ */
+export async function getDepositSummary(tenantId) {
+  const { data, error } = await depositsRepository.listForTenant(null, tenantId);
+  if (error) throw new HttpError(500, error.message);
+  return summarizeDeposit(data);
+}
+
+/**
+ * ✅ Record a deposit transaction for a tenant (any tenant version)
+ * - receipt: the first money in; later additions are top_up
+ * - deduction (with reason) and refund never take the held amount below zero
+ * - A deduction for unpaid_dues is also recorded as a payment (method
+ *   'deposit'), so the tenant balance shows the dues settled
+ * - The ledger checks and inserts run in one transaction that locks the
+ *   tenant (sql/record_deposit_transaction.sql), so concurrent calls can't
+ *   record two receipts or overdraw the deposit
+ * - transacted_on defaults to today
+ * - Returns { transaction, payment } (payment only for unpaid_dues)
+ */
+export async function recordDepositTransaction(tenant, { type, amount, reason, description, transacted_on }) {
+  const value = roundAmount(amount);
+  if (!(value > 0)) throw new HttpError(400, 'amount must be greater than 0');
+  if (type === 'deduction' && !reason) throw new HttpError(400, 'reason required for a deduction');
+
+  const transactedOn = transacted_on ? new Date(transacted_on) : new Date();
+  if (isNaN(transactedOn)) throw new HttpError(400, 'Invalid date format. Use YYYY-MM-DD.');
+  const day = transactedOn.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+  const scope = { tenant_id: tenant.tenant_id, organization_id: tenant.organization_id, owner_id: tenant.owner_id };
+  const payment = type === 'deduction' && reason === 'unpaid_dues'
+    ? {
+      ...scope,
+      invoice_id: null,
+      amount: value,
+      paid_on: day,
+      method: 'deposit',
+      notes: description || 'Paid from security deposit',
+      status: 'received',
+      created_at: new Date(),
+      updated_at: new Date()
+    }
+    : null;
+
+  return runDbFunction('record_deposit_transaction', {
+    p_transaction: {
+      ...scope,
+      type,
+      amount: value,
+      reason: type === 'deduction' ? reason : null,
+      description: description || null,
+      transacted_on: day,
+      created_at: new Date(),
+      updated_at: new Date()
+    },
+    p_payment: payment
+  });
+}
@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import { HttpError } from '../utils/httpError.js';
+import { sendMail } from './mailService.js';
+import { invitationsRepository } from '../repositories/invitationsRepository.js';
+
+export const INVITE_TTL_MS = 1000 * 60 * 60 * 24 * 7;
+
+/**
+ * Fresh token and expiry for a new or resent invite
+ */
+export function newInviteToken() {
+  return {
+    token: crypto.randomBytes(32).toString('hex'),
+    expires_at: new Date(Date.now() + INVITE_TTL_MS).toISOString()
+  };
+}
+
+/**
+ * pending | accepted | revoked | expired
+ */
+export function getInviteStatus(invite) {
+  if (invite.accepted) return 'accepted';
+  if (invite.revoked_at) return 'revoked';
+  if (new Date(invite.expires_at) < new Date()) return 'expired';
+  return 'pending';
+}
+
+/**
+ * ✅ Email the invite link and record when it was sent
+ * - Link: APP_URL/accept-invite?token=...
+ * - Returns the updated invitation row
+ */
+export async function deliverInvitation(invite) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  await sendMail({
+    to: invite.email,
+    subject: `You're invited as ${invite.role}`,
+    text: [
+      `You have been invited to join as ${invite.role}.`,
+      `Sign in with this email address, then open:`,
+      `${appUrl}/accept-invite?token=${invite.token}`,
+      `The link expires on ${new Date(invite.expires_at).toUTCString()}.`
+    ].join('\n')
+  });
+
+  const { data, error } = await invitationsRepository.update(invite.invite_id, { last_sent_at: new Date() });
+  if (error) throw new HttpError(500, error.message);
+  return data[0];
+}
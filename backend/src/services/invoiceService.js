@@ -0,0 +1,141 @@
+import { HttpError } from '../utils/httpError.js';
+import { runDbFunction } from './dbFunctions.js';
+import { isBillableReading } from './readingService.js';
+import { fetchEffectiveRows, fetchTenantAsOf } from './snapshotService.js';
+import {
+  maintenanceHistoryRepository,
+  rentHistoryRepository,
+  waterHistoryRepository
+} from '../repositories/historiesRepository.js';
+import { invoicesRepository } from '../repositories/invoicesRepository.js';
+import { metersRepository } from '../repositories/metersRepository.js';
+import { readingsRepository } from '../repositories/readingsRepository.js';
+
+/**
+ * Rounds a money value to 2 decimals
+ */
+export function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Builds one line item per fixed-amount component row (rent, maintenance, water)
+ */
+function buildComponentItems(rows, itemType, idColumn, label) {
+  return rows.map((row) => ({
+    item_type: itemType,
+    reference_id: row[idColumn],
+    description: row.description || label,
+    amount: roundAmount(row.amount)
+  }));
+}
+
+/**
+ * Builds electricity line items from the month's readings
+ * - Baseline rows seeded by power meter creation carry no charge and are skipped
+ * - Uses the stored charge (slab tariff or flat rate), falling back to
+ *   (current_reading - previous_reading) × rate_per_unit for older rows
+ * - pendingReadings: rows about to be stored with the invoice; their items
+ *   carry reading_index (position in pendingReadings) instead of reference_id
+ */
+async function buildElectricityItems(tenantId, month, pendingReadings = []) {
+  const { data: readings, error } = await readingsRepository.list(null, { tenant_id: tenantId, month });
+  if (error) throw new HttpError(500, error.message);
+
+  const billable = [...readings, ...pendingReadings].filter(isBillableReading);
+  if (billable.length === 0) return [];
+
+  const { data: meters, error: meterError } = await metersRepository.list(null)
+    .in('meter_id', billable.map((reading) => reading.meter_id));
+  if (meterError) throw new HttpError(500, meterError.message);
+
+  return billable.map((reading) => {
+    const meter = meters.find((m) => m.meter_id === reading.meter_id);
+    const units = reading.units_consumed ?? reading.current_reading - reading.previous_reading;
+    const pendingIndex = pendingReadings.indexOf(reading);
+    return {
+      item_type: 'electricity',
+      reference_id: reading.reading_id ?? null,
+      ...(pendingIndex >= 0 && { reading_index: pendingIndex }),
+      meter_id: reading.meter_id,
+      description: `Electricity - Meter ${meter?.meter_number || reading.meter_id}`,
+      previous_reading: reading.previous_reading,
+      current_reading: reading.current_reading,
+      units,
+      rate: reading.rate_per_unit ?? null,
+      charge_breakdown: reading.charge_breakdown ?? null,
+      amount: roundAmount(reading.charge_amount ?? units * reading.rate_per_unit)
+    };
+  });
+}
+
+/**
+ * Collects all line items billable to a tenant for the month
+ */
+export async function buildLineItems(tenantId, month, pendingReadings = []) {
+  const [rent, maintenance, water] = await Promise.all([
+    fetchEffectiveRows(rentHistoryRepository, month, { tenant_id: tenantId }),
+    fetchEffectiveRows(maintenanceHistoryRepository, month, { tenant_id: tenantId }),
+    fetchEffectiveRows(waterHistoryRepository, month, { tenant_id: tenantId })
+  ]);
+
+  return [
+    ...buildComponentItems(rent, 'rent', 'rent_id', 'Rent'),
+    ...buildComponentItems(maintenance, 'maintenance', 'maintenance_id', 'Maintenance'),
+    ...buildComponentItems(water, 'water', 'water_id', 'Water'),
+    ...(await buildElectricityItems(tenantId, month, pendingReadings))
+  ];
+}
+
+/**
+ * ✅ Build the invoice row and line items for a tenant and month, unsaved
+ * - Rejects if an issued invoice already exists for the month
+ * - pendingReadings: see buildElectricityItems
+ * - Returns { invoice, lineItems }
+ */
+export async function buildInvoice(tenantId, month, pendingReadings = []) {
+  const { data: existing, error: existingError } = await invoicesRepository.listIssued(null, { tenant_id: tenantId, month });
+  if (existingError) throw new HttpError(500, existingError.message);
+  if (existing.length > 0) {
+    throw new HttpError(409, `Invoice already generated for ${month}`);
+  }
+
+  const tenant = await fetchTenantAsOf(tenantId, month);
+  const lineItems = await buildLineItems(tenantId, month, pendingReadings);
+  const invoice = {
+    tenant_id: tenantId,
+    tenant_version: tenant.tenant_version,
+    organization_id: tenant.organization_id,
+    owner_id: tenant.owner_id,
+    month,
+    total_amount: roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0)),
+    status: 'issued',
+    created_at: new Date(),
+    updated_at: new Date()
+  };
+  return { invoice, lineItems };
+}
+
+/**
+ * ✅ Generate and store an itemized invoice for a tenant and month
+ * - Rejects if an issued invoice already exists for the month
+ * - The invoice and its line items are stored in one transaction
+ *   (sql/generate_invoice.sql), which also settles concurrent requests
+ */
+export async function generateInvoice(tenantId, month) {
+  const { invoice, lineItems } = await buildInvoice(tenantId, month);
+  return runDbFunction('generate_invoice', { p_invoice: invoice, p_line_items: lineItems });
+}
+
+/**
+ * Fetches an invoice together with its line items
+ */
+export async function fetchInvoice(invoiceId) {
+  const { data: invoice, error } = await invoicesRepository.findById(null, invoiceId);
+  if (error || !invoice) throw new HttpError(404, 'Invoice not found');
+
+  const { data: lineItems, error: itemsError } = await invoicesRepository.listLineItems(invoiceId);
+  if (itemsError) throw new HttpError(500, itemsError.message);
+
+  return { ...invoice, line_items: lineItems };
+}
@@ -0,0 +1,107 @@
+import { isEffectiveOn } from '../utils/dateUtil.js';
+import { HttpError } from '../utils/httpError.js';
+import { roundAmount } from './invoiceService.js';
+import { getTenantBalance } from './balanceService.js';
+import { runDbFunction } from './dbFunctions.js';
+import { invoicesRepository } from '../repositories/invoicesRepository.js';
+import { setupRepository } from '../repositories/setupRepository.js';
+
+export const LATE_FEE_TYPES = ['flat', 'percentage'];
+
+/**
+ * Validates the late-fee columns of a general_setup payload
+ * - Returns an error message, or null when the fields are valid/absent
+ */
+export function validateLateFeeFields(fields) {
+  const { due_day, grace_days, late_fee_type, late_fee_value } = fields;
+  if (due_day != null && !(Number.isInteger(Number(due_day)) && due_day >= 1 && due_day <= 28)) {
+    return 'due_day must be an integer between 1 and 28';
+  }
+  if (grace_days != null && !(Number.isInteger(Number(grace_days)) && grace_days >= 0)) {
+    return 'grace_days must be a non-negative integer';
+  }
+  if (late_fee_type != null && !LATE_FEE_TYPES.includes(late_fee_type)) {
+    return `late_fee_type must be one of ${LATE_FEE_TYPES.join(', ')}`;
+  }
+  if (late_fee_value != null && !(Number(late_fee_value) >= 0)) {
+    return 'late_fee_value must be a non-negative number';
+  }
+  return null;
+}
+
+/**
+ * Picks the invoice owner's fee rule in effect for the bill month (latest start_date wins)
+ */
+function findRuleForInvoice(setups, invoice) {
+  return setups
+    .filter((setup) => String(setup.owner_id) === String(invoice.owner_id))
+    .filter((setup) => setup.due_day != null && setup.late_fee_type && isEffectiveOn(setup, invoice.month))
+    .sort((a, b) => (a.start_date < b.start_date ? 1 : -1))[0];
+}
+
+/**
+ * Due date of a bill = due_day of the month after the bill month, plus grace_days
+ */
+function getOverdueAfter(month, rule) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const due = new Date(Date.UTC(year, monthIndex, rule.due_day + (rule.grace_days || 0)));
+  return due.toISOString().split('T')[0];
+}
+
+/**
+ * ✅ Apply late fees to overdue, unpaid invoices
+ * - Uses the general_setup rule in effect for each invoice's month,
+ *   so old bills keep their original terms after the rule changes
+ * - flat → fixed amount, percentage → % of the invoice's outstanding amount
+ * - Each invoice is charged at most once: the apply_late_fee database function
+ *   adds the line item and updates the invoice together, only while its
+ *   late_fee_amount is unset (sql/apply_late_fee.sql)
+ * - user limits the run to the caller's organization/owner scope
+ * - Returns the invoices that received a fee
+ */
+export async function applyLateFees({ tenantId, asOf, user } = {}) {
+  const today = asOf || new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+  const { data: invoices, error: invoiceError } = await invoicesRepository.listIssued(user, tenantId ? { tenant_id: tenantId } : {});
+  if (invoiceError) throw new HttpError(500, invoiceError.message);
+
+  const candidates = invoices.filter((invoice) => invoice.late_fee_amount == null);
+  if (candidates.length === 0) return [];
+
+  const { data: setups, error: setupError } = await setupRepository.list(user);
+  if (setupError) throw new HttpError(500, setupError.message);
+
+  const applied = [];
+  const balances = new Map();
+
+  for (const invoice of candidates) {
+    const rule = findRuleForInvoice(setups, invoice);
+    if (!rule || today <= getOverdueAfter(invoice.month, rule)) continue;
+
+    if (!balances.has(invoice.tenant_id)) {
+      balances.set(invoice.tenant_id, await getTenantBalance(invoice.tenant_id));
+    }
+    const monthBalance = balances.get(invoice.tenant_id).months
+      .find((row) => row.invoice_id === invoice.invoice_id);
+    if (!monthBalance || monthBalance.outstanding <= 0) continue;
+
+    const fee = roundAmount(rule.late_fee_type === 'flat'
+      ? rule.late_fee_value
+      : monthBalance.outstanding * rule.late_fee_value / 100);
+    if (fee <= 0) continue;
+
+    const updated = await runDbFunction('apply_late_fee', {
+      p_invoice_id: invoice.invoice_id,
+      p_fee: fee,
+      p_description: rule.late_fee_type === 'flat' ? 'Late fee' : `Late fee (${rule.late_fee_value}%)`,
+      p_reference_id: rule.entry_id
+    });
+    // null: charged by a concurrent run in the meantime
+    if (!updated) continue;
+
+    applied.push(updated);
+    balances.delete(invoice.tenant_id);
+  }
+
+  return applied;
+}
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import { HttpError } from '../utils/httpError.js';
+import { hashPassword, validatePassword, verifyPassword } from '../utils/passwordUtil.js';
+import { sendMail } from './mailService.js';
+import { createUser, findUserByEmail } from './userService.js';
+import { revokeUserSessions } from './sessionService.js';
+import { authTokensRepository } from '../repositories/authTokensRepository.js';
+import { usersRepository } from '../repositories/usersRepository.js';
+
+const RESET_TOKEN_TTL_MS = 1000 * 60 * 60;
+const MAGIC_LINK_TTL_MS = 1000 * 60 * 15;
+const VERIFY_TOKEN_TTL_MS = 1000 * 60 * 60 * 24;
+
+// Hash checked for unknown emails, so a login takes as long whether or not the account exists
+let dummyPasswordHash;
+
+export function normalizeEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) throw new HttpError(400, 'Valid email required');
+  return normalized;
+}
+
+/**
+ * Magic-link login is opt-in (MAGIC_LINK_ENABLED=true)
+ */
+export function isMagicLinkEnabled() {
+  return process.env.MAGIC_LINK_ENABLED === 'true';
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Stores a one-time token (hashed) in auth_tokens and returns the raw token
+ */
+async function createOneTimeToken({ purpose, email, userId, ttlMs }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const { error } = await authTokensRepository.insert({
+    purpose,
+    email,
+    user_id: userId || null,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + ttlMs).toISOString(),
+    created_at: new Date()
+  });
+  if (error) throw new HttpError(500, error.message);
+  return token;
+}
+
+/**
+ * Marks a one-time token used and returns its row
+ * - Unknown, used or expired tokens → 400
+ */
+async function consumeOneTimeToken(token, purpose) {
+  if (!token) throw new HttpError(400, 'token required');
+
+  const { data, error } = await authTokensRepository.consume(hashToken(token), purpose);
+  if (error) throw new HttpError(500, error.message);
+  if (!data || data.length === 0) throw new HttpError(400, 'Invalid or expired token');
+  return data[0];
+}
+
+/**
+ * Whether the user still has to prove the email address (password account, never verified)
+ */
+export function isUnverifiedLocalUser(user) {
+  return Boolean(user?.password_hash) && !user.email_verified_at;
+}
+
+/**
+ * ✅ Refuse to attach another login (Google, invitation) to an unverified password account
+ * - Otherwise whoever registered the address first would share the real owner's account
+ */
+export function assertLinkableUser(user) {
+  if (isUnverifiedLocalUser(user)) {
+    throw new HttpError(409, 'Email registered with a password but not verified; verify it or reset the password first');
+  }
+}
+
+/**
+ * ✅ Register an email/password account
+ * - Same bootstrap rule as Google login (first user → superadmin)
+ * - An email that already has an account → 409 (use the reset flow to add a password)
+ * - Emails APP_URL/verify-email?token=... (valid 24 hours); no session until the
+ *   address is verified (verifyEmail)
+ */
+export async function registerLocalUser({ email, password }) {
+  const normalizedEmail = normalizeEmail(email);
+  const passwordError = validatePassword(password);
+  if (passwordError) throw new HttpError(400, passwordError);
+
+  if (await findUserByEmail(normalizedEmail)) throw new HttpError(409, 'Email already registered');
+  const user = await createUser({ email: normalizedEmail, password_hash: await hashPassword(password), email_verified_at: null });
+
+  const token = await createOneTimeToken({
+    purpose: 'verify_email',
+    email: normalizedEmail,
+    userId: user.user_id,
+    ttlMs: VERIFY_TOKEN_TTL_MS
+  });
+  await sendMail({
+    to: normalizedEmail,
+    subject: 'Verify your email',
+    text: [
+      'Use this link to verify your email and sign in (valid for 24 hours):',
+      `${process.env.APP_URL || 'http://localhost:3000'}/verify-email?token=${token}`
+    ].join('\n')
+  });
+  return user;
+}
+
+/**
+ * Stamps email_verified_at (plus any other changes) on a user and returns the row
+ */
+async function markEmailVerified(userId, changes = {}) {
+  const { data, error } = await usersRepository.update(userId, { ...changes, email_verified_at: new Date() });
+  if (error) throw new HttpError(500, error.message);
+  if (!data || data.length === 0) throw new HttpError(400, 'Invalid or expired token');
+  return data[0];
+}
+
+/**
+ * ✅ Verify the email of a registered account
+ * - Returns the user, now allowed to log in with the password
+ */
+export async function verifyEmail(token) {
+  const verifyToken = await consumeOneTimeToken(token, 'verify_email');
+  return markEmailVerified(verifyToken.user_id);
+}
+
+/**
+ * ✅ Email/password login
+ * - Same error for unknown email and wrong password; unknown emails still run
+ *   a password check so the response time doesn't tell them apart
+ * - Correct password on an unverified email → 403
+ */
+export async function loginWithPassword({ email, password }) {
+  const user = await findUserByEmail(normalizeEmail(email));
+  if (!user?.password_hash) {
+    dummyPasswordHash ??= hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, await dummyPasswordHash);
+    throw new HttpError(401, 'Invalid email or password');
+  }
+  if (!(await verifyPassword(password, user.password_hash))) {
+    throw new HttpError(401, 'Invalid email or password');
+  }
+  if (!user.email_verified_at) throw new HttpError(403, 'Email not verified; use the link sent at registration');
+  return user;
+}
+
+/**
+ * ✅ Start a password reset
+ * - Emails APP_URL/reset-password?token=... (valid 1 hour) when the account exists
+ * - Silent for unknown emails, so accounts can't be probed
+ */
+export async function requestPasswordReset(email) {
+  const normalizedEmail = normalizeEmail(email);
+  const user = await findUserByEmail(normalizedEmail);
+  if (!user) return;
+
+  const token = await createOneTimeToken({
+    purpose: 'password_reset',
+    email: normalizedEmail,
+    userId: user.user_id,
+    ttlMs: RESET_TOKEN_TTL_MS
+  });
+  await sendMail({
+    to: normalizedEmail,
+    subject: 'Reset your password',
+    text: [
+      'Use this link to set a new password (valid for 1 hour):',
+      `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`,
+      'If you did not ask for this, ignore this email.'
+    ].join('\n')
+  });
+}
+
+/**
+ * ✅ Finish a password reset
+ * - Sets the new password and revokes every existing session of the user
+ * - The link proves the mailbox, so the email counts as verified
+ */
+export async function resetPassword({ token, password }) {
+  const passwordError = validatePassword(password);
+  if (passwordError) throw new HttpError(400, passwordError);
+
+  const resetToken = await consumeOneTimeToken(token, 'password_reset');
+  const user = await markEmailVerified(resetToken.user_id, { password_hash: await hashPassword(password) });
+
+  await revokeUserSessions(resetToken.user_id);
+  return user;
+}
+
+/**
+ * ✅ Send a one-time login link
+ * - Emails APP_URL/magic-login?token=... (valid 15 minutes)
+ * - Works for new emails too; the account is created when the link is used
+ */
+export async function requestMagicLink(email) {
+  const normalizedEmail = normalizeEmail(email);
+  const user = await findUserByEmail(normalizedEmail);
+
+  const token = await createOneTimeToken({
+    purpose: 'magic_link',
+    email: normalizedEmail,
+    userId: user?.user_id,
+    ttlMs: MAGIC_LINK_TTL_MS
+  });
+  await sendMail({
+    to: normalizedEmail,
+    subject: 'Your login link',
+    text: [
+      'Use this link to sign in (valid for 15 minutes, works once):',
+      `${process.env.APP_URL || 'http://localhost:3000'}/magic-login?token=${token}`
+    ].join('\n')
+  });
+}
+
+/**
+ * ✅ Log in with a magic link token
+ * - Returns the user, creating it (bootstrap rule applies) on first login
+ * - The link proves the mailbox: an unverified password account becomes
+ *   verified and loses the password nobody proved (set a new one via reset)
+ */
+export async function consumeMagicLink(token) {
+  const magicToken = await consumeOneTimeToken(token, 'magic_link');
+  const user = await findUserByEmail(magicToken.email);
+  if (!user) return createUser({ email: magicToken.email, email_verified_at: new Date() });
+  if (user.email_verified_at) return user;
+
+  if (user.password_hash) await revokeUserSessions(user.user_id);
+  return markEmailVerified(user.user_id, { password_hash: null });
+}
@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { HttpError } from '../utils/httpError.js';
+
+/**
+ * ✅ Mail transports, picked with MAIL_TRANSPORT
+ * - smtp → nodemailer over SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS (SMTP_SECURE=true for TLS)
+ * - file → one JSON file per message in MAIL_DIR (default ./mail-outbox), the
+ *   default when nothing is configured
+ * - console → logs recipient and subject only; bodies carry login and invite
+ *   tokens, so they never go to the logs
+ * - A transport is async (message) => void, message = { from, to, subject, text }
+ */
+const TRANSPORTS = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return (message) => transporter.sendMail(message);
+  },
+  file: () => async (message) => {
+    const dir = process.env.MAIL_DIR || 'mail-outbox';
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  },
+  console: () => async (message) => {
+    console.log(`[mail] to=${message.to} subject="${message.subject}" (body not logged)`);
+  }
+};
+
+let transport;
+
+/**
+ * Replaces the active transport (e.g. a custom provider, or a capture in tests)
+ */
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+function getMailTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'file';
+    if (!TRANSPORTS[name]) throw new HttpError(500, `Unknown MAIL_TRANSPORT "${name}"`);
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+}
+
+/**
+ * ✅ Send a plain-text email through the configured transport
+ * - Delivery failures surface as 502
+ */
+export async function sendMail({ to, subject, text }) {
+  const send = getMailTransport();
+  try {
+    await send({ from: process.env.MAIL_FROM || 'no-reply@localhost', to, subject, text });
+  } catch (err) {
+    throw new HttpError(502, `Email could not be sent: ${err.message}`);
+  }
+}
@@ -0,0 +1,209 @@
+import { HttpError } from '../utils/httpError.js';
+import { getMonthStart, getNextMonthStart, getPreviousMonthStart } from '../utils/dateUtil.js';
+import { buildReadingColumns } from './readingService.js';
+import { buildInvoice, roundAmount } from './invoiceService.js';
+import { summarizeClosed } from './tenantExitService.js';
+import { runDbFunction } from './dbFunctions.js';
+import { metersRepository } from '../repositories/metersRepository.js';
+import { readingsRepository } from '../repositories/readingsRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+
+/**
+ * Checks the final readings cover every active meter of the tenant exactly once
+ */
+function matchFinalReadings(meters, finalReadings) {
+  const seen = new Set();
+  for (const entry of finalReadings) {
+    if (seen.has(entry.meter_id)) throw new HttpError(400, `Duplicate final reading for meter ${entry.meter_id}`);
+    seen.add(entry.meter_id);
+    if (!meters.some((meter) => meter.meter_id === entry.meter_id)) {
+      throw new HttpError(400, `Meter ${entry.meter_id} is not an active meter of this tenant`);
+    }
+  }
+  const missing = meters.filter((meter) => !seen.has(meter.meter_id)).map((meter) => meter.meter_id);
+  if (missing.length > 0) throw new HttpError(400, `Final reading required for meter(s) ${missing.join(', ')}`);
+}
+
+/**
+ * Builds the final reading rows for the move-out month (charge + anomaly columns)
+ */
+async function buildFinalReadings(tenant, meters, finalReadings, month) {
+  const prevMonth = getPreviousMonthStart(month);
+  const { data: existing, error } = await readingsRepository.list(null)
+    .in('meter_id', meters.map((meter) => meter.meter_id))
+    .in('month', [prevMonth, month]);
+  if (error) throw new HttpError(500, error.message);
+
+  const rows = [];
+  for (const { meter_id, current_reading, rate_per_unit, confirm_negative } of finalReadings) {
+    const meter = meters.find((m) => m.meter_id === meter_id);
+    if (existing.some((reading) => reading.meter_id === meter_id && reading.month === month)) {
+      throw new HttpError(400, `Meter ${meter_id} already has a reading for ${month}`);
+    }
+    const lastReading = existing.find((reading) => reading.meter_id === meter_id && reading.month === prevMonth);
+    if (!lastReading) {
+      throw new HttpError(400, `Previous month (${prevMonth}) reading not found for meter ${meter_id}. Please enter that first.`);
+    }
+
+    const charge = await buildReadingColumns({
+      meter,
+      month,
+      previous_reading: lastReading.current_reading,
+      current_reading,
+      rate_per_unit,
+      confirm_negative
+    });
+    rows.push({
+      tenant_id: tenant.tenant_id,
+      tenant_version: tenant.tenant_version,
+      organization_id: tenant.organization_id,
+      owner_id: tenant.owner_id,
+      meter_id,
+      month,
+      previous_reading: lastReading.current_reading,
+      current_reading,
+      rate_per_unit,
+      ...charge,
+      is_final_reading: true,
+      created_at: new Date(),
+      updated_at: new Date()
+    });
+  }
+  return rows;
+}
+
+/**
+ * Totals of the final invoice per item type (rent, electricity, ...)
+ */
+function summarizeCharges(invoice) {
+  const byType = {};
+  invoice.line_items.forEach((item) => {
+    byType[item.item_type] = roundAmount((byType[item.item_type] || 0) + Number(item.amount));
+  });
+  return { ...byType, total: roundAmount(invoice.total_amount) };
+}
+
+/**
+ * ✅ Settlement statement from the move_out_tenant result
+ * - Outstanding dues were covered first (an unpaid_dues deduction, which also
+ *   records a 'deposit' payment), then each deduction as far as the deposit
+ *   went, and whatever was left of the deposit was refunded
+ * - refund > 0 → owed to the tenant (deposit left plus unallocated payments);
+ *   amount_due > 0 → owed by the tenant (dues and deductions not covered)
+ */
+function summarizeSettlement({ balance, deposit }) {
+  const billed = roundAmount(balance.billed);
+  const paid = roundAmount(balance.paid);
+  const outstanding = roundAmount(Math.max(billed - paid, 0));
+  const credit = roundAmount(Math.max(paid - billed, 0));
+  const held = roundAmount(deposit.held);
+  const deductions = deposit.deductions.map(({ description, reason, amount, from_deposit }) => ({
+    description,
+    reason,
+    amount: roundAmount(amount),
+    from_deposit: roundAmount(from_deposit)
+  }));
+  const deductionsTotal = roundAmount(deductions.reduce((sum, deduction) => sum + deduction.amount, 0));
+  const net = roundAmount(held + credit - outstanding - deductionsTotal);
+
+  return {
+    dues: { billed, paid, outstanding, credit },
+    deposit: {
+      held,
+      applied_to_dues: roundAmount(deposit.applied_to_dues),
+      deductions,
+      deductions_total: deductionsTotal,
+      refunded_deposit: roundAmount(deposit.refunded_deposit),
+      refund: Math.max(net, 0),
+      amount_due: Math.max(-net, 0)
+    }
+  };
+}
+
+/**
+ * ✅ Move a tenant out with a settlement statement
+ * - Final month = move_out_date normalized to first day of month; the tenant
+ *   is billed for it and leaves at the start of the next month
+ * - The final month can't be before the tenancy start (the first version's
+ *   start_date; later versions start when the tenant changed)
+ * - One final reading per active meter (is_final_reading), charged like a
+ *   monthly reading
+ * - Final readings, final invoice, tenant exit (every component and unit
+ *   occupancy) and the deposit settlement are written in one transaction
+ *   (sql/move_out_tenant.sql): a failure (e.g. already invoiced) leaves nothing behind
+ * - The held deposit settles dues and deductions and the rest is refunded,
+ *   all recorded in the deposit ledger on move_out_date
+ * - Returns the settlement: final readings, final invoice, charges per item
+ *   type, dues across all months and the deposit refund or amount due, plus
+ *   the deposit transactions and payments it recorded
+ */
+export async function moveOutTenant(user, tenantId, { move_out_date, final_readings = [], deductions = [] }) {
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(user, tenantId);
+  if (tenantError) throw new HttpError(500, tenantError.message);
+  if (!tenant) throw new HttpError(404, 'Active tenant not found');
+
+  let month;
+  try {
+    month = getMonthStart(move_out_date);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+  const { data: firstVersion, error: versionError } = await tenantsRepository
+    .listVersions(user, tenant.tenant_id)
+    .limit(1)
+    .maybeSingle();
+  if (versionError) throw new HttpError(500, versionError.message);
+  if (month < firstVersion.start_date) {
+    throw new HttpError(400, `move_out_date must not be before the tenant start (${firstVersion.start_date})`);
+  }
+
+  const { data: meters, error: meterError } = await metersRepository.listActive(null, { tenant_id: tenant.tenant_id });
+  if (meterError) throw new HttpError(500, meterError.message);
+  matchFinalReadings(meters, final_readings);
+
+  const rows = await buildFinalReadings(tenant, meters, final_readings, month);
+  const { invoice, lineItems } = await buildInvoice(tenant.tenant_id, month, rows);
+  const endDate = getNextMonthStart(month);
+
+  const result = await runDbFunction('move_out_tenant', {
+    p_tenant_id: tenant.tenant_id,
+    p_month: month,
+    p_end_date: endDate,
+    p_readings: rows,
+    p_invoice: invoice,
+    p_line_items: lineItems,
+    p_deductions: deductions.map(({ description, amount, reason = 'damages' }) => ({
+      description,
+      reason,
+      amount: roundAmount(amount)
+    })),
+    p_settled_on: move_out_date
+  });
+
+  const exit = {
+    dry_run: false,
+    end_date: endDate,
+    tenant: result.exit.tenant,
+    closed: summarizeClosed(result.exit.closed),
+    closedRows: result.exit.closed
+  };
+  const { dues, deposit } = summarizeSettlement(result);
+
+  return {
+    before: tenant,
+    exit,
+    transactions: result.transactions,
+    settlement: {
+      tenant_id: tenant.tenant_id,
+      move_out_date,
+      final_month: month,
+      end_date: endDate,
+      final_readings: result.readings,
+      final_invoice: result.invoice,
+      final_charges: summarizeCharges(result.invoice),
+      dues,
+      deposit,
+      deposit_transactions: result.transactions.map(({ transaction }) => transaction)
+    }
+  };
+}
@@ -0,0 +1,106 @@
+import { HttpError } from '../utils/httpError.js';
+import { getMonthStart, getPreviousMonthStart, toDateString } from '../utils/dateUtil.js';
+import { resolveOwnerScope } from './scopeService.js';
+import { activeTariffExists } from './tariffService.js';
+import { assertUnitFree, checkMeterUnit, fetchScopedUnit } from './unitService.js';
+import { insertTenantWithComponents } from './tenantVersioning.js';
+
+/**
+ * Insert operation for a component row starting with the tenant
+ */
+function insertRow(table, key, row) {
+  const now = new Date();
+  return { action: 'insert', table, key, row: { ...row, created_at: now, updated_at: now } };
+}
+
+/**
+ * ✅ Onboard a tenant: tenant, meters, rent, water, maintenance, unit and deposit in one step
+ * - Everything starts on start_date (normalized to first day of month)
+ * - Each meter gets its baseline reading for the month before, like meter creation
+ * - Counters and flags (power_meter_count, rent_portion_count, water_required,
+ *   maintenance_required) are set on version 1, so no further versions are created
+ * - Tariffs, units and the unit's vacancy are checked up front; the writes run
+ *   in one transaction (insertTenantWithComponents)
+ * - deposit becomes the receipt in the deposit ledger
+ * - Returns { tenant, meters, readings, rent, water, maintenance, occupancy, deposit }
+ */
+export async function onboardTenant(user, {
+  owner_id, start_date, unit_id, meters = [], rent = [], water, maintenance, deposit, ...tenantFields
+}) {
+  let startDate;
+  try {
+    startDate = getMonthStart(start_date);
+  } catch (err) {
+    throw new HttpError(400, err.message);
+  }
+  const scope = await resolveOwnerScope(user, owner_id);
+
+  if (unit_id) {
+    const unit = await fetchScopedUnit(user, unit_id);
+    if (unit.owner_id !== scope.owner_id) throw new HttpError(400, 'Unit belongs to another owner');
+    await assertUnitFree(unit, startDate);
+  }
+  for (const meter of meters) {
+    if (meter.tariff_id && !(await activeTariffExists(meter.tariff_id, user))) {
+      throw new HttpError(400, 'Active tariff not found');
+    }
+    if (meter.unit_id) await checkMeterUnit(user, meter.unit_id, scope.owner_id);
+  }
+
+  const period = { start_date: startDate, end_date: null, status: 'active' };
+  const operations = [];
+  meters.forEach(({ initial_reading, ...meterFields }, index) => {
+    operations.push(insertRow('power_meters', `meter_${index}`, {
+      ...(unit_id && { unit_id }),
+      ...meterFields,
+      initial_reading,
+      ...period
+    }));
+    operations.push({
+      ...insertRow('monthly_readings', `reading_${index}`, {
+        month: getPreviousMonthStart(startDate),
+        previous_reading: initial_reading,
+        current_reading: initial_reading
+      }),
+      ref: { column: 'meter_id', from: `meter_${index}` }
+    });
+  });
+  rent.forEach((fields, index) => operations.push(insertRow('rent_history', `rent_${index}`, { ...fields, ...period })));
+  if (water) operations.push(insertRow('water_history', 'water', { ...water, ...period }));
+  if (maintenance) operations.push(insertRow('maintenance_history', 'maintenance', { ...maintenance, ...period }));
+  if (unit_id) operations.push(insertRow('unit_occupancies', 'occupancy', { unit_id, ...period }));
+  if (deposit) {
+    operations.push(insertRow('deposit_transactions', 'deposit', {
+      type: 'receipt',
+      amount: deposit.amount,
+      reason: null,
+      description: deposit.description ?? null,
+      transacted_on: deposit.transacted_on ? toDateString(deposit.transacted_on) : startDate,
+      payment_id: null
+    }));
+  }
+
+  const { tenant, results } = await insertTenantWithComponents({
+    tenant: {
+      ...tenantFields,
+      ...scope,
+      start_date: startDate,
+      power_meter_count: meters.length,
+      rent_portion_count: rent.length,
+      water_required: Boolean(water),
+      maintenance_required: Boolean(maintenance)
+    },
+    operations
+  });
+
+  return {
+    tenant,
+    meters: meters.map((_, index) => results[`meter_${index}`]),
+    readings: meters.map((_, index) => results[`reading_${index}`]),
+    rent: rent.map((_, index) => results[`rent_${index}`]),
+    water: results.water ?? null,
+    maintenance: results.maintenance ?? null,
+    occupancy: results.occupancy ?? null,
+    deposit: results.deposit ?? null
+  };
+}
@@ -0,0 +1,141 @@
+import { computeSlabCharge } from '../utils/tariffUtil.js';
+import { getConsumption } from '../utils/meterUtil.js';
+import { HttpError } from '../utils/httpError.js';
+import { fetchEffectiveRows } from './snapshotService.js';
+import { readingsRepository } from '../repositories/readingsRepository.js';
+import { tariffsRepository } from '../repositories/tariffsRepository.js';
+
+// Number of earlier readings averaged when looking for spikes
+const ANOMALY_WINDOW = Number(process.env.READING_ANOMALY_WINDOW) || 6;
+// Minimum history needed before spikes are flagged
+const ANOMALY_MIN_HISTORY = 3;
+// Usage above average × factor (or below average ÷ factor) is a spike
+const SPIKE_FACTOR = Number(process.env.READING_SPIKE_FACTOR) || 2;
+
+/**
+ * Billable readings carry a charge or a rate; baseline rows seeded at meter creation don't
+ */
+export function isBillableReading(reading) {
+  return reading.charge_amount != null || reading.rate_per_unit != null;
+}
+
+function getUnits(reading) {
+  return reading.units_consumed ?? reading.current_reading - reading.previous_reading;
+}
+
+/**
+ * Fetches the tariff version in effect for the month (highest version wins)
+ */
+export async function fetchTariffForMonth(tariffId, month) {
+  const tariff = (await fetchEffectiveRows(tariffsRepository, month, { tariff_id: tariffId }))
+    .sort((a, b) => b.tariff_version - a.tariff_version)[0];
+  if (!tariff) throw new HttpError(400, `No tariff ${tariffId} in effect for ${month}`);
+  return tariff;
+}
+
+/**
+ * Final reading of the meter this one replaced, when that meter was read out
+ * in the same month under the same tariff
+ */
+async function fetchReplacedFinalReading(meter, month, tariff) {
+  if (!meter.replaces_meter_id) return null;
+  const { data, error } = await readingsRepository.findForMonth(null, meter.replaces_meter_id, month);
+  if (error) throw new HttpError(500, error.message);
+  if (!data?.is_final_reading || data.charge_amount == null) return null;
+  return String(data.charge_breakdown?.tariff_id) === String(tariff.tariff_id) ? data : null;
+}
+
+/**
+ * ✅ Compute the charge columns for a monthly reading
+ * - Consumption = current_reading - previous_reading, or the wrapped
+ *   difference when the meter display rolled over (is_rollover)
+ * - Meter with tariff_id → slab tariff in effect for the month, with breakdown
+ * - A replacement meter in its first month continues the old meter's final
+ *   reading: the slabs run over both meters' units and this reading is charged
+ *   the total minus what the final reading already billed, so the month gets
+ *   one fixed_charge and no slab restart
+ * - Otherwise → flat rate_per_unit (when given)
+ * - Negative consumption (confirmed) is never charged as a credit: both paths bill 0
+ */
+export async function computeReadingCharge({ meter, month, previous_reading, current_reading, rate_per_unit }) {
+  const { units: unitsConsumed, rollover } = getConsumption(previous_reading, current_reading, meter.meter_digits);
+
+  if (meter.tariff_id) {
+    const tariff = await fetchTariffForMonth(meter.tariff_id, month);
+    const replaced = await fetchReplacedFinalReading(meter, month, tariff);
+    if (!replaced) {
+      const breakdown = computeSlabCharge(unitsConsumed, tariff);
+      return {
+        units_consumed: unitsConsumed,
+        is_rollover: rollover,
+        charge_amount: breakdown.total,
+        charge_breakdown: breakdown
+      };
+    }
+
+    const alreadyCharged = Number(replaced.charge_amount);
+    const breakdown = computeSlabCharge(Math.max(replaced.units_consumed, 0) + Math.max(unitsConsumed, 0), tariff);
+    return {
+      units_consumed: unitsConsumed,
+      is_rollover: rollover,
+      charge_amount: Math.max(Math.round((breakdown.total - alreadyCharged) * 100) / 100, 0),
+      charge_breakdown: { ...breakdown, combined_with_reading_id: replaced.reading_id, already_charged: alreadyCharged }
+    };
+  }
+
+  if (rate_per_unit == null) {
+    return { units_consumed: unitsConsumed, is_rollover: rollover, charge_amount: null, charge_breakdown: null };
+  }
+  return {
+    units_consumed: unitsConsumed,
+    is_rollover: rollover,
+    charge_amount: Math.round(Math.max(unitsConsumed, 0) * Number(rate_per_unit) * 100) / 100,
+    charge_breakdown: null
+  };
+}
+
+/**
+ * ✅ Check a reading for anomalies
+ * - Negative consumption is rejected unless confirmNegative is set (then flagged)
+ * - Spike = usage differs from the meter's rolling average of earlier months
+ *   by more than SPIKE_FACTOR in either direction
+ */
+export async function assessReading({ meterId, month, unitsConsumed, confirmNegative }) {
+  if (unitsConsumed < 0) {
+    if (!confirmNegative) {
+      throw new HttpError(400, 'current_reading is lower than previous_reading. Send confirm_negative: true to accept it.');
+    }
+    return { is_anomaly: true, anomaly_reason: `Negative consumption (${unitsConsumed}) confirmed by user`, anomaly_reviewed: false };
+  }
+
+  const { data: history, error } = await readingsRepository.listLatestBefore(meterId, month, ANOMALY_WINDOW + 1);
+  if (error) throw new HttpError(500, error.message);
+
+  const usage = history.filter(isBillableReading).slice(0, ANOMALY_WINDOW).map(getUnits);
+  if (usage.length < ANOMALY_MIN_HISTORY) return { is_anomaly: false, anomaly_reason: null, anomaly_reviewed: false };
+
+  const average = usage.reduce((sum, units) => sum + units, 0) / usage.length;
+  const roundedAverage = Math.round(average * 100) / 100;
+  if (average > 0 && (unitsConsumed > average * SPIKE_FACTOR || unitsConsumed < average / SPIKE_FACTOR)) {
+    return {
+      is_anomaly: true,
+      anomaly_reason: `Usage ${unitsConsumed} vs rolling average ${roundedAverage} over ${usage.length} months`,
+      anomaly_reviewed: false
+    };
+  }
+  return { is_anomaly: false, anomaly_reason: null, anomaly_reviewed: false };
+}
+
+/**
+ * ✅ Build the computed columns of a monthly reading: charge + anomaly flags
+ */
+export async function buildReadingColumns({ meter, month, previous_reading, current_reading, rate_per_unit, confirm_negative }) {
+  const charge = await computeReadingCharge({ meter, month, previous_reading, current_reading, rate_per_unit });
+  const anomaly = await assessReading({
+    meterId: meter.meter_id,
+    month,
+    unitsConsumed: charge.units_consumed,
+    confirmNegative: confirm_negative === true || confirm_negative === 'true'
+  });
+  return { ...charge, ...anomaly };
+}
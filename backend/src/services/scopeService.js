@@ -0,0 +1,36 @@
+import { HttpError } from '../utils/httpError.js';
+import { ownersRepository } from '../repositories/ownersRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+
+/**
+ * ✅ Resolve organization_id/owner_id to stamp on a new top-level row
+ * - owner → taken from the token, request body ignored
+ * - orgadmin → owner_id from the body, must belong to the caller's organization
+ * - superadmin → owner_id from the body, organization taken from that owner
+ */
+export async function resolveOwnerScope(user, requestedOwnerId) {
+  if (user.role === 'owner') {
+    return { organization_id: user.organization_id, owner_id: user.owner_id };
+  }
+  if (!['orgadmin', 'superadmin'].includes(user.role)) {
+    throw new HttpError(403, 'Forbidden');
+  }
+  if (!requestedOwnerId) throw new HttpError(400, 'owner_id required');
+
+  const { data: owner, error } = await ownersRepository.findById(user, requestedOwnerId);
+  if (error) throw new HttpError(500, error.message);
+  if (!owner) throw new HttpError(404, 'Owner not found');
+
+  return { organization_id: owner.organization_id, owner_id: owner.owner_id };
+}
+
+/**
+ * ✅ Ensure the stable tenant_id is visible to the caller
+ * - Returns the latest version of the tenant (any status)
+ */
+export async function fetchScopedTenant(user, tenantId) {
+  const { data, error } = await tenantsRepository.findLatest(user, tenantId);
+  if (error) throw new HttpError(500, error.message);
+  if (!data) throw new HttpError(404, 'Tenant not found');
+  return data;
+}
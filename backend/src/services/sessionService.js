@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { HttpError } from '../utils/httpError.js';
+import { refreshTokensRepository } from '../repositories/authTokensRepository.js';
+import { usersRepository } from '../repositories/usersRepository.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Refresh tokens are stored as sha256 hashes only
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Short-lived JWT with role and scope claims
+ */
+export function signAccessToken(user) {
+  return jwt.sign({
+    sub: user.user_id,
+    role: user.role,
+    email: user.email,
+    organization_id: user.organization_id || null,
+    owner_id: user.owner_id || null,
+    tenant_id: user.tenant_id || null
+  }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+/**
+ * ✅ Start a session for a user
+ * - Returns { token, refresh_token, user } (user without password_hash)
+ * - The refresh token is random; refresh_tokens keeps its hash and expiry
+ */
+export async function issueSession(user) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const { data, error } = await refreshTokensRepository.insert({
+    user_id: user.user_id,
+    token_hash: hashToken(refreshToken),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    created_at: new Date()
+  });
+  if (error) throw new HttpError(500, error.message);
+
+  const { password_hash, ...publicUser } = user;
+  return { token: signAccessToken(user), refresh_token: refreshToken, session_id: data[0].session_id, user: publicUser };
+}
+
+async function fetchRefreshToken(refreshToken) {
+  if (!refreshToken) throw new HttpError(400, 'refresh_token required');
+  const { data, error } = await refreshTokensRepository.findByHash(hashToken(refreshToken));
+  if (error) throw new HttpError(500, error.message);
+  if (!data) throw new HttpError(401, 'Invalid refresh token');
+  return data;
+}
+
+/**
+ * ✅ Exchange a refresh token for a new access + refresh token pair
+ * - The old refresh token is revoked (rotation) before the new session is
+ *   issued; the revoke only matches a still active row, so of two concurrent
+ *   refreshes with the same token exactly one wins
+ * - Claims are rebuilt from the users table, so role/scope changes apply
+ * - Reusing an already rotated token (or losing that race) revokes every
+ *   session of the user
+ */
+export async function rotateSession(refreshToken) {
+  const stored = await fetchRefreshToken(refreshToken);
+
+  if (stored.revoked_at) {
+    await revokeUserSessions(stored.user_id);
+    throw new HttpError(401, 'Refresh token reused; all sessions revoked');
+  }
+  if (new Date(stored.expires_at) < new Date()) throw new HttpError(401, 'Refresh token expired');
+
+  const { data: user, error: userError } = await usersRepository.findById(null, stored.user_id);
+  if (userError) throw new HttpError(500, userError.message);
+  if (!user) throw new HttpError(401, 'User not found');
+
+  const { data: revoked, error: revokeError } = await refreshTokensRepository.revokeActive({ session_id: stored.session_id });
+  if (revokeError) throw new HttpError(500, revokeError.message);
+  if (revoked.length !== 1) {
+    await revokeUserSessions(stored.user_id);
+    throw new HttpError(401, 'Refresh token reused; all sessions revoked');
+  }
+
+  const session = await issueSession(user);
+  const { error } = await refreshTokensRepository.update(stored.session_id, { replaced_by: session.session_id });
+  if (error) throw new HttpError(500, error.message);
+
+  return session;
+}
+
+/**
+ * ✅ Logout
+ * - Revokes the given refresh token, or every session of its user when all is true
+ */
+export async function revokeSession(refreshToken, { all = false } = {}) {
+  const stored = await fetchRefreshToken(refreshToken);
+  if (all) return revokeUserSessions(stored.user_id);
+
+  const { error } = await refreshTokensRepository.revokeActive({ session_id: stored.session_id });
+  if (error) throw new HttpError(500, error.message);
+  return 1;
+}
+
+/**
+ * Revokes all active refresh tokens of a user (role change, lost device, token reuse)
+ * - Returns the number of sessions revoked
+ */
+export async function revokeUserSessions(userId) {
+  const { data, error } = await refreshTokensRepository.revokeActive({ user_id: userId });
+  if (error) throw new HttpError(500, error.message);
+  return data.length;
+}
@@ -0,0 +1,44 @@
+import { isEffectiveOn } from '../utils/dateUtil.js';
+import { HttpError } from '../utils/httpError.js';
+import { COMPONENT_TABLES } from './tenantExitService.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+
+/**
+ * ✅ Fetch rows whose start_date/end_date range covers the date
+ * - repository: the table's repository (e.g. rentHistoryRepository)
+ * - Ignores status, so closed (inactive) rows are found for past dates
+ * - filters: extra equality filters, e.g. { tenant_id: 5 }
+ */
+export async function fetchEffectiveRows(repository, date, filters = {}) {
+  const { data, error } = await repository.list(null, filters).lte('start_date', date);
+  if (error) throw new HttpError(500, error.message);
+  return data.filter((row) => isEffectiveOn(row, date));
+}
+
+/**
+ * Fetches the tenant version in effect on the date (highest version wins)
+ */
+export async function fetchTenantAsOf(tenantId, date) {
+  const versions = await fetchEffectiveRows(tenantsRepository, date, { tenant_id: tenantId });
+  if (versions.length === 0) {
+    throw new HttpError(404, `Tenant not found on ${date}`);
+  }
+  return versions.sort((a, b) => b.tenant_version - a.tenant_version)[0];
+}
+
+/**
+ * ✅ Point-in-time snapshot of a tenant
+ * - Tenant version plus meters, rent, water, maintenance and unit occupancy rows in effect on the date
+ */
+export async function getTenantSnapshot(tenantId, date) {
+  const tenant = await fetchTenantAsOf(tenantId, date);
+  const components = await Promise.all(
+    COMPONENT_TABLES.map((repository) => fetchEffectiveRows(repository, date, { tenant_id: tenantId }))
+  );
+
+  return {
+    as_of: date,
+    tenant,
+    ...Object.fromEntries(COMPONENT_TABLES.map(({ table }, index) => [table, components[index]]))
+  };
+}
@@ -0,0 +1,12 @@
+import { tariffsRepository } from '../repositories/tariffsRepository.js';
+
+/**
+ * Checks that a tariff_id refers to an active tariff within the caller's scope
+ */
+export async function activeTariffExists(tariffId, user) {
+  const { data } = await tariffsRepository.select(user, 'tariff_id')
+    .eq('tariff_id', tariffId)
+    .eq('status', 'active')
+    .limit(1);
+  return Boolean(data && data.length > 0);
+}
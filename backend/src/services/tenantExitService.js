@@ -0,0 +1,63 @@
+import { HttpError } from '../utils/httpError.js';
+import { runDbFunction } from './dbFunctions.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+import { metersRepository } from '../repositories/metersRepository.js';
+import { occupanciesRepository } from '../repositories/unitsRepository.js';
+import {
+  maintenanceHistoryRepository,
+  rentHistoryRepository,
+  waterHistoryRepository
+} from '../repositories/historiesRepository.js';
+
+// Repositories of the tables closed with a tenant (each has table and idColumn)
+export const COMPONENT_TABLES = [
+  metersRepository,
+  rentHistoryRepository,
+  waterHistoryRepository,
+  maintenanceHistoryRepository,
+  occupanciesRepository
+];
+
+/**
+ * ✅ Exit a tenant: close the tenant and every active component
+ * - power_meters, rent_history, water_history, maintenance_history and
+ *   unit_occupancies closed with the same end_date (the units become vacant)
+ * - Components and the tenant row are closed in one transaction
+ *   (sql/exit_tenant.sql), so a failure leaves everything active
+ * - closed: { <table>: { count, ids } }; closedRows: the closed rows per table
+ * - dryRun → only report what would be closed
+ */
+export async function exitTenant(tenantId, { endDate, dryRun = false }) {
+  if (!dryRun) {
+    const result = await runDbFunction('exit_tenant', { p_tenant_id: tenantId, p_end_date: endDate });
+    return {
+      dry_run: false,
+      end_date: endDate,
+      tenant: result.tenant,
+      closed: summarizeClosed(result.closed),
+      closedRows: result.closed
+    };
+  }
+
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(null, tenantId);
+  if (tenantError || !tenant) throw new HttpError(404, 'Active tenant not found');
+
+  const components = {};
+  for (const repository of COMPONENT_TABLES) {
+    const { data, error } = await repository.listActive(null, { tenant_id: tenantId });
+    if (error) throw new HttpError(500, error.message);
+    components[repository.table] = data;
+  }
+
+  return { dry_run: true, end_date: endDate, tenant, closed: summarizeClosed(components) };
+}
+
+/**
+ * Per table { count, ids } of the rows an exit closes (or would close)
+ */
+export function summarizeClosed(rowsByTable) {
+  return Object.fromEntries(COMPONENT_TABLES.map(({ table, idColumn }) => {
+    const rows = rowsByTable[table] || [];
+    return [table, { count: rows.length, ids: rows.map((row) => row[idColumn]) }];
+  }));
+}
@@ -0,0 +1,35 @@
+import { runDbFunction } from './dbFunctions.js';
+
+/**
+ * ✅ Version a tenant and write its components in one transaction
+ * - Runs the version_tenant database function (sql/version_tenant.sql):
+ *   deactivate current version → insert next version → component inserts/closes
+ * - changes: column values for the new version (e.g. { water_required: true })
+ * - increments: counters to adjust, floored at 0 (e.g. { power_meter_count: 1 })
+ * - operations: component writes, see the SQL file for the format
+ * - Any failure rolls back, so the previous version stays active
+ * - Returns { tenant, previous, results } where results is keyed by operation key
+ */
+export async function versionTenant({ tenantId, effectiveDate, changes = {}, increments = {}, operations = [] }) {
+  return runDbFunction('version_tenant', {
+    p_tenant_id: tenantId,
+    p_effective_date: effectiveDate,
+    p_tenant_changes: changes,
+    p_increments: increments,
+    p_operations: operations
+  });
+}
+
+/**
+ * ✅ Create a tenant (version 1) and its components in one transaction
+ * - Runs the onboard_tenant database function (sql/onboard_tenant.sql)
+ * - tenant: column values of the new tenant
+ * - operations: component inserts in the version_tenant format
+ * - Returns { tenant, results } where results is keyed by operation key
+ */
+export async function insertTenantWithComponents({ tenant, operations = [] }) {
+  return runDbFunction('onboard_tenant', {
+    p_tenant: tenant,
+    p_operations: operations
+  });
+}
@@ -0,0 +1,128 @@
+import { HttpError } from '../utils/httpError.js';
+import { isEffectiveOn } from '../utils/dateUtil.js';
+import { propertiesRepository } from '../repositories/propertiesRepository.js';
+import { occupanciesRepository, unitsRepository } from '../repositories/unitsRepository.js';
+import { tenantsRepository } from '../repositories/tenantsRepository.js';
+
+/**
+ * ✅ Ensure a property is visible to the caller
+ */
+export async function fetchScopedProperty(user, propertyId) {
+  const { data, error } = await propertiesRepository.findById(user, propertyId);
+  if (error) throw new HttpError(500, error.message);
+  if (!data) throw new HttpError(404, 'Property not found');
+  return data;
+}
+
+/**
+ * ✅ Ensure a unit is visible to the caller
+ */
+export async function fetchScopedUnit(user, unitId) {
+  const { data, error } = await unitsRepository.findById(user, unitId);
+  if (error) throw new HttpError(500, error.message);
+  if (!data) throw new HttpError(404, 'Unit not found');
+  return data;
+}
+
+/**
+ * ✅ Check a unit_id given for a meter
+ * - The unit must be visible to the caller and belong to the meter's owner
+ */
+export async function checkMeterUnit(user, unitId, ownerId) {
+  const unit = await fetchScopedUnit(user, unitId);
+  if (unit.owner_id !== ownerId) throw new HttpError(400, 'Unit belongs to another owner');
+  return unit;
+}
+
+/**
+ * ✅ Ensure a unit is free from startDate on (409 otherwise)
+ * - Any occupancy still open on that date, or starting later, overlaps
+ */
+export async function assertUnitFree(unit, startDate) {
+  const { data: history, error } = await occupanciesRepository.listForUnit(null, unit.unit_id);
+  if (error) throw new HttpError(500, error.message);
+  const overlapping = history.find((occupancy) => !occupancy.end_date || occupancy.end_date > startDate);
+  if (overlapping) {
+    throw new HttpError(409, `Unit is occupied from ${overlapping.start_date} by tenant ${overlapping.tenant_id}`);
+  }
+}
+
+/**
+ * ✅ Move a tenant into a unit from startDate (a month start)
+ * - Tenant must be active and belong to the unit's owner
+ * - The unit must be free from startDate on (assertUnitFree)
+ * - A tenant may occupy several units (e.g. a flat and a shop)
+ */
+export async function occupyUnit(user, unit, { tenantId, startDate }) {
+  const { data: tenant, error: tenantError } = await tenantsRepository.findActive(user, tenantId);
+  if (tenantError) throw new HttpError(500, tenantError.message);
+  if (!tenant) throw new HttpError(404, 'Active tenant not found');
+  if (tenant.owner_id !== unit.owner_id) throw new HttpError(400, 'Tenant and unit belong to different owners');
+
+  await assertUnitFree(unit, startDate);
+
+  const { data, error } = await occupanciesRepository.insert({
+    unit_id: unit.unit_id,
+    tenant_id: tenant.tenant_id,
+    organization_id: unit.organization_id,
+    owner_id: unit.owner_id,
+    start_date: startDate,
+    end_date: null,
+    status: 'active',
+    created_at: new Date(),
+    updated_at: new Date()
+  });
+  // 23505: a concurrent move-in won the unit (unit_occupancies_active_unit_key)
+  if (error?.code === '23505') throw new HttpError(409, 'Unit is already occupied');
+  if (error) throw new HttpError(500, error.message);
+  return data[0];
+}
+
+/**
+ * ✅ End the active occupancy of a unit at endDate (a month start, exclusive)
+ */
+export async function vacateUnit(user, unit, endDate) {
+  const { data: occupancy, error: fetchError } = await occupanciesRepository
+    .listActive(user, { unit_id: unit.unit_id })
+    .maybeSingle();
+  if (fetchError) throw new HttpError(500, fetchError.message);
+  if (!occupancy) throw new HttpError(404, 'Unit is not occupied');
+  if (endDate <= occupancy.start_date) {
+    throw new HttpError(400, `end_date must be after the occupancy start (${occupancy.start_date})`);
+  }
+
+  const { data, error } = await occupanciesRepository.close(occupancy.occupancy_id, endDate);
+  if (error) throw new HttpError(500, error.message);
+  return { before: occupancy, after: data[0] };
+}
+
+/**
+ * ✅ Vacancy on a date
+ * - Units in the caller's scope (optionally of one property) without an
+ *   occupancy covering the date
+ * - Returns { as_of, total, occupied, vacant, units: vacant units }
+ */
+export async function getVacancy(user, date, { propertyId } = {}) {
+  const { data: units, error: unitsError } = await unitsRepository
+    .list(user, propertyId ? { property_id: propertyId } : {})
+    .order('unit_id', { ascending: true });
+  if (unitsError) throw new HttpError(500, unitsError.message);
+
+  const { data: occupancies, error: occupanciesError } = await occupanciesRepository
+    .select(user, 'unit_id, start_date, end_date')
+    .lte('start_date', date);
+  if (occupanciesError) throw new HttpError(500, occupanciesError.message);
+
+  const occupiedIds = new Set(
+    occupancies.filter((occupancy) => isEffectiveOn(occupancy, date)).map((occupancy) => occupancy.unit_id)
+  );
+  const vacant = units.filter((unit) => !occupiedIds.has(unit.unit_id));
+
+  return {
+    as_of: date,
+    total: units.length,
+    occupied: units.length - vacant.length,
+    vacant: vacant.length,
+    units: vacant
+  };
+}
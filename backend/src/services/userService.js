@@ -0,0 +1,35 @@
+import { HttpError } from '../utils/httpError.js';
+import { usersRepository } from '../repositories/usersRepository.js';
+
+/**
+ * Looks up a user by email, or null
+ */
+export async function findUserByEmail(email) {
+  const { data, error } = await usersRepository.findByEmail(email);
+  if (error) throw new HttpError(500, error.message);
+  return data || null;
+}
+
+/**
+ * ✅ Create a user
+ * - Bootstrap: the first user becomes superadmin
+ * - Everyone else starts with the minimal tenant role (no role escalation);
+ *   invitations grant the real role and scope
+ */
+export async function createUser(fields) {
+  const { count, error: countError } = await usersRepository.count();
+  if (countError) throw new HttpError(500, countError.message);
+
+  const { data, error } = await usersRepository.insert({ ...fields, role: count === 0 ? 'superadmin' : 'tenant' });
+  if (error) throw new HttpError(500, error.message);
+  return data[0];
+}
+
+/**
+ * Updates the user with this email and returns the row, or null
+ */
+export async function updateUserByEmail(email, fields) {
+  const { data, error } = await usersRepository.updateByEmail(email, fields);
+  if (error) throw new HttpError(500, error.message);
+  return data?.[0] || null;
+}
@@ -22,3 +22,46 @@ export function getMonthStart(dateString) {
   // Always return YYYY-MM-DD string
   return monthStart.toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" });
 }
+
+/**
+ * ✅ Check whether a date-effective row covers the given date
+ * - Rows are effective from start_date (inclusive) until end_date (exclusive)
+ * - A missing end_date means the row is still open
+ */
+export function isEffectiveOn(row, dateString) {
+  if (!row.start_date || row.start_date > dateString) return false;
+  return !row.end_date || row.end_date > dateString;
+}
+
+/**
+ * ✅ First day of the month before a YYYY-MM-DD month string
+ * - Pure string arithmetic, so the result never shifts with the server timezone
+ */
+export function getPreviousMonthStart(monthString) {
+  const [year, month] = monthString.split('-').map(Number);
+  const prevYear = month === 1 ? year - 1 : year;
+  const prevMonth = month === 1 ? 12 : month - 1;
+  return `${prevYear}-${String(prevMonth).padStart(2, '0')}-01`;
+}
+
+/**
+ * ✅ First day of the month after a YYYY-MM-DD month string
+ * - Pure string arithmetic, like getPreviousMonthStart
+ */
+export function getNextMonthStart(monthString) {
+  const [year, month] = monthString.split('-').map(Number);
+  const nextYear = month === 12 ? year + 1 : year;
+  const nextMonth = month === 12 ? 1 : month + 1;
+  return `${nextYear}-${String(nextMonth).padStart(2, '0')}-01`;
+}
+
+/**
+ * ✅ Validate a date and return it as a YYYY-MM-DD string (not normalized to month start)
+ */
+export function toDateString(dateString) {
+  const date = new Date(dateString);
+  if (!dateString || isNaN(date)) {
+    throw new Error("Invalid date format. Use YYYY-MM-DD.");
+  }
+  return date.toISOString().split('T')[0];
+}
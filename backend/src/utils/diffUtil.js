@@ -0,0 +1,12 @@
+/**
+ * ✅ Field-by-field differences between two rows
+ * - Returns [{ field, from, to }] for every column whose value changed
+ * - ignore: columns to skip (e.g. bookkeeping timestamps)
+ */
+export function diffFields(before = {}, after = {}, ignore = []) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter((field) => !ignore.includes(field))
+    .filter((field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+    .map((field) => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+}
@@ -0,0 +1,110 @@
+import PDFDocument from 'pdfkit';
+
+const BRAND_COLOR = '#1f4e79';
+const PAGE_MARGIN = 50;
+const COLUMNS = [
+  { key: 'description', label: 'Description', x: 50, width: 190 },
+  { key: 'previous_reading', label: 'Previous', x: 240, width: 70, align: 'right' },
+  { key: 'current_reading', label: 'Current', x: 310, width: 70, align: 'right' },
+  { key: 'units', label: 'Units', x: 380, width: 50, align: 'right' },
+  { key: 'rate', label: 'Rate', x: 430, width: 50, align: 'right' },
+  { key: 'amount', label: 'Amount', x: 480, width: 65, align: 'right' }
+];
+
+function formatMoney(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+function formatMonth(month) {
+  return new Date(`${month}T00:00:00`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Writes a labelled block of whichever contact fields are present
+ */
+function writePartyBlock(doc, title, party, x, y) {
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(10).text(title, x, y);
+  doc.fillColor('black').font('Helvetica').fontSize(10);
+  ['name', 'address', 'phone', 'email'].forEach((field) => {
+    if (party?.[field]) doc.text(String(party[field]), x, doc.y, { width: 230 });
+  });
+}
+
+function writeRow(doc, values, y, font = 'Helvetica') {
+  doc.font(font).fontSize(9);
+  COLUMNS.forEach((col) => {
+    doc.text(values[col.key] ?? '', col.x, y, { width: col.width, align: col.align || 'left' });
+  });
+}
+
+/**
+ * ✅ Render a printable invoice PDF into a writable stream
+ * - Header with brand name, invoice number and billing month
+ * - Owner (from) and tenant (bill to) details
+ * - Itemized rent, maintenance, water and per-meter electricity lines
+ */
+export function renderInvoicePdf({ invoice, tenant, owner }, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  doc.pipe(stream);
+
+  // Brand header band
+  doc.rect(0, 0, doc.page.width, 80).fill(BRAND_COLOR);
+  doc.fillColor('white').font('Helvetica-Bold').fontSize(20)
+    .text(process.env.INVOICE_BRAND_NAME || owner?.name || 'Invoice', PAGE_MARGIN, 28);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Invoice #${invoice.invoice_id}`, 350, 26, { width: 195, align: 'right' })
+    .text(`Billing month: ${formatMonth(invoice.month)}`, 350, 42, { width: 195, align: 'right' });
+
+  writePartyBlock(doc, 'FROM', owner, PAGE_MARGIN, 110);
+  writePartyBlock(doc, 'BILL TO', tenant, 315, 110);
+
+  // Line items table
+  let y = 200;
+  doc.fillColor(BRAND_COLOR);
+  writeRow(doc, Object.fromEntries(COLUMNS.map((col) => [col.key, col.label])), y, 'Helvetica-Bold');
+  doc.moveTo(PAGE_MARGIN, y + 14).lineTo(545, y + 14).strokeColor(BRAND_COLOR).stroke();
+  doc.fillColor('black');
+  y += 22;
+
+  invoice.line_items.forEach((item) => {
+    if (y > doc.page.height - 120) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    const isElectricity = item.item_type === 'electricity';
+    writeRow(doc, {
+      description: item.description,
+      previous_reading: isElectricity ? String(item.previous_reading) : '',
+      current_reading: isElectricity ? String(item.current_reading) : '',
+      units: isElectricity ? String(item.units) : '',
+      rate: isElectricity && item.rate != null ? formatMoney(item.rate) : '',
+      amount: formatMoney(item.amount)
+    }, y);
+    y += 18;
+
+    // Slab tariff lines under the meter row
+    (item.charge_breakdown?.slabs || []).filter((slab) => slab.units > 0).forEach((slab) => {
+      writeRow(doc, {
+        description: `   ${slab.from}-${slab.to ?? 'above'} units`,
+        units: String(slab.units),
+        rate: formatMoney(slab.rate),
+        amount: formatMoney(slab.amount)
+      }, y);
+      y += 14;
+    });
+    if (item.charge_breakdown?.fixed_charge) {
+      writeRow(doc, { description: '   Fixed meter charge', amount: formatMoney(item.charge_breakdown.fixed_charge) }, y);
+      y += 14;
+    }
+  });
+
+  doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).strokeColor('#999999').stroke();
+  y += 8;
+  writeRow(doc, { description: 'Total', amount: formatMoney(invoice.total_amount) }, y, 'Helvetica-Bold');
+
+  doc.font('Helvetica').fontSize(8).fillColor('#666666')
+    .text(`Generated on ${new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' })}`,
+      PAGE_MARGIN, doc.page.height - 70, { width: 495, align: 'center' });
+
+  doc.end();
+}
@@ -0,0 +1,72 @@
+import { HttpError } from './httpError.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+export const LIST_STATUSES = ['active', 'inactive', 'all'];
+
+/**
+ * ✅ Paged, sorted and filtered list (shared by the list endpoints)
+ * - query: scoped select with { count: 'exact' }, e.g. repository.select(req.user, '*', { count: 'exact' })
+ * - params: validated req.query (schemas/common.js listQuery)
+ * - list: { keyColumns, sortable, defaultSort?, filters: { param: column }, dateColumn, versioned? }
+ * - ?limit= (default 50, max 200) & ?offset= (default 0)
+ * - ?sort=column or ?sort=-column (descending); key columns break ties so pages are stable
+ * - ?from= / ?to= inclusive range on the list's date column
+ * - ?status=active|inactive|all on versioned rows (default active)
+ * - Resolves to { data, pagination: { total, limit, offset } }
+ */
+export async function fetchPage(query, params, list) {
+  const { limit = DEFAULT_PAGE_SIZE, offset = 0, from, to, status = 'active' } = params;
+
+  let filtered = Object.entries(list.filters ?? {})
+    .filter(([param]) => params[param] != null)
+    .reduce((scoped, [param, column]) => scoped.eq(column, params[param]), query);
+  if (list.versioned && status !== 'all') filtered = filtered.eq('status', status);
+  if (from) filtered = filtered.gte(list.dateColumn, from);
+  if (to) filtered = filtered.lte(list.dateColumn, to);
+
+  const ordered = getOrder(list, params.sort)
+    .reduce((sorted, { column, ascending }) => sorted.order(column, { ascending }), filtered);
+
+  const { data, error, count } = await ordered.range(offset, offset + limit - 1);
+  if (error) throw new HttpError(500, error.message);
+  return { data, pagination: { total: count, limit, offset } };
+}
+
+/**
+ * Same envelope for rows already fetched (e.g. ?asOf= point-in-time lists)
+ */
+export function pageRows(rows, params, list) {
+  const { limit = DEFAULT_PAGE_SIZE, offset = 0 } = params;
+  const order = getOrder(list, params.sort);
+
+  const sorted = [...rows].sort((a, b) => {
+    for (const { column, ascending } of order) {
+      const result = compareValues(a[column], b[column]);
+      if (result !== 0) return ascending ? result : -result;
+    }
+    return 0;
+  });
+  return { data: sorted.slice(offset, offset + limit), pagination: { total: rows.length, limit, offset } };
+}
+
+/**
+ * Requested sort column followed by the key columns as tie-breakers
+ */
+function getOrder(list, sort = list.defaultSort ?? list.keyColumns[0]) {
+  const ascending = !sort.startsWith('-');
+  const column = ascending ? sort : sort.slice(1);
+  return [
+    { column, ascending },
+    ...list.keyColumns.filter((key) => key !== column).map((key) => ({ column: key, ascending: true }))
+  ];
+}
+
+// NULLs sort last ascending, like Postgres
+function compareValues(left, right) {
+  if (left === right) return 0;
+  if (left == null) return 1;
+  if (right == null) return -1;
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+  return String(left).localeCompare(String(right));
+}
@@ -0,0 +1,23 @@
+/**
+ * Number of display digits assumed for meters that don't set meter_digits
+ */
+export const DEFAULT_METER_DIGITS = Number(process.env.DEFAULT_METER_DIGITS) || 5;
+
+/**
+ * ✅ Compute consumption between two readings, detecting display rollover
+ * - current >= previous → plain difference
+ * - current < previous → treated as a rollover past 10^digits - 1 when the
+ *   wrapped consumption is under half the meter range (e.g. 99950 → 00030 = 80 units)
+ * - Anything else is returned as negative consumption for the caller to reject
+ */
+export function getConsumption(previousReading, currentReading, meterDigits) {
+  const previous = Number(previousReading);
+  const current = Number(currentReading);
+  if (current >= previous) return { units: current - previous, rollover: false };
+
+  const range = 10 ** (Number(meterDigits) || DEFAULT_METER_DIGITS);
+  const wrapped = range - previous + current;
+  if (previous < range && wrapped <= range / 2) return { units: wrapped, rollover: true };
+
+  return { units: current - previous, rollover: false };
+}
@@ -0,0 +1,32 @@
+/**
+ * ✅ Equality filters that limit rows to the caller's scope (from the JWT)
+ * - superadmin → no filter
+ * - orgadmin → organization_id
+ * - owner → organization_id + owner_id
+ * - tenant → organization_id + owner_id + tenant_id
+ * - tenantColumn: column holding the tenant id, or null for tables without one
+ */
+export function getScopeFilters(user, { tenantColumn = 'tenant_id' } = {}) {
+  if (!user || user.role === 'superadmin') return {};
+
+  const filters = { organization_id: user.organization_id };
+  if (['owner', 'tenant'].includes(user.role)) filters.owner_id = user.owner_id;
+  if (user.role === 'tenant' && tenantColumn) filters[tenantColumn] = user.tenant_id;
+  return filters;
+}
+
+/**
+ * Adds the caller's scope filters to a query
+ */
+export function applyScope(query, user, options) {
+  return Object.entries(getScopeFilters(user, options))
+    .reduce((scoped, [column, value]) => scoped.eq(column, value), query);
+}
+
+/**
+ * Checks an already fetched row against the caller's scope
+ */
+export function isInScope(user, row, options) {
+  return Object.entries(getScopeFilters(user, options))
+    .every(([column, value]) => String(row?.[column]) === String(value));
+}
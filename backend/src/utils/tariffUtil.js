@@ -0,0 +1,69 @@
+/**
+ * ✅ Validate slab definitions
+ * - slabs: [{ up_to, rate }] ordered by up_to ascending
+ * - Only the last slab may leave up_to empty (unbounded)
+ * - Returns an error message, or null when valid
+ */
+export function validateSlabs(slabs) {
+  if (!Array.isArray(slabs) || slabs.length === 0) {
+    return 'slabs must be a non-empty array';
+  }
+  let previousLimit = 0;
+  for (let i = 0; i < slabs.length; i++) {
+    const { up_to, rate } = slabs[i];
+    if (!(Number(rate) >= 0)) return `slabs[${i}].rate must be a non-negative number`;
+    if (up_to == null) {
+      if (i !== slabs.length - 1) return 'Only the last slab can be unbounded';
+      continue;
+    }
+    if (!(Number(up_to) > previousLimit)) {
+      return `slabs[${i}].up_to must be greater than ${previousLimit}`;
+    }
+    previousLimit = Number(up_to);
+  }
+  return null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * ✅ Compute an electricity charge from consumed units
+ * - Each slab charges only the units that fall inside it
+ * - Units above the last bounded slab are charged at the last slab's rate
+ * - fixed_charge is added once per meter, even with zero consumption
+ */
+export function computeSlabCharge(units, tariff) {
+  const consumed = Math.max(Number(units) || 0, 0);
+  const slabs = [];
+  let from = 0;
+  let energyCharge = 0;
+
+  tariff.slabs.forEach((slab, index) => {
+    const isLast = index === tariff.slabs.length - 1;
+    const to = slab.up_to == null || isLast ? Infinity : Number(slab.up_to);
+    const slabUnits = Math.max(Math.min(consumed, to) - from, 0);
+    const amount = round(slabUnits * Number(slab.rate));
+    slabs.push({
+      from: from + 1,
+      to: to === Infinity ? null : to,
+      units: slabUnits,
+      rate: Number(slab.rate),
+      amount
+    });
+    energyCharge += amount;
+    from = to;
+  });
+
+  const fixedCharge = Number(tariff.fixed_charge) || 0;
+  return {
+    tariff_id: tariff.tariff_id,
+    tariff_version: tariff.tariff_version,
+    units: consumed,
+    slabs,
+    energy_charge: round(energyCharge),
+    fixed_charge: fixedCharge,
+    total: round(energyCharge + fixedCharge)
+  };
+}
@@ -0,0 +1,153 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PASSWORD, register, startApi, tokenFromMail } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+describe('email/password accounts', () => {
+  test('the first account is superadmin, later ones are tenants', async () => {
+    const first = await register(api, 'first@example.com');
+    const second = await register(api, 'second@example.com');
+
+    assert.equal(first.user.role, 'superadmin');
+    assert.equal(second.user.role, 'tenant');
+  });
+
+  test('an email can only be registered once', async () => {
+    await register(api, 'first@example.com');
+
+    const { status } = await api.request('POST', '/auth/register', { body: { email: 'FIRST@example.com', password: PASSWORD } });
+    assert.equal(status, 409);
+  });
+
+  test('login checks the password', async () => {
+    await register(api, 'first@example.com');
+
+    const wrong = await api.request('POST', '/auth/login', { body: { email: 'first@example.com', password: 'not-the-password' } });
+    assert.equal(wrong.status, 401);
+
+    const right = await api.request('POST', '/auth/login', { body: { email: 'first@example.com', password: PASSWORD } });
+    assert.equal(right.status, 200);
+    assert.ok(right.body.token);
+  });
+
+  test('a password login needs the verified email', async () => {
+    const registered = await api.request('POST', '/auth/register', { body: { email: 'first@example.com', password: PASSWORD } });
+    assert.equal(registered.status, 200);
+    assert.equal(registered.body.token, undefined);
+
+    const unverified = await api.request('POST', '/auth/login', { body: { email: 'first@example.com', password: PASSWORD } });
+    assert.equal(unverified.status, 403);
+
+    const token = tokenFromMail(api.outbox, 'first@example.com');
+    const verified = await api.request('POST', '/auth/verify-email', { body: { token } });
+    assert.equal(verified.status, 200);
+    assert.ok(verified.body.refresh_token);
+    assert.equal((await api.request('POST', '/auth/verify-email', { body: { token } })).status, 400);
+
+    const login = await api.request('POST', '/auth/login', { body: { email: 'first@example.com', password: PASSWORD } });
+    assert.equal(login.status, 200);
+  });
+
+  test('a magic link takes an unverified address back from whoever registered it', async () => {
+    process.env.MAGIC_LINK_ENABLED = 'true';
+    try {
+      await api.request('POST', '/auth/register', { body: { email: 'victim@example.com', password: PASSWORD } });
+
+      await api.request('POST', '/auth/magic-link', { body: { email: 'victim@example.com' } });
+      const magic = await api.request('POST', '/auth/magic-link/verify', {
+        body: { token: tokenFromMail(api.outbox, 'victim@example.com') }
+      });
+      assert.equal(magic.status, 200);
+
+      // The squatter's password no longer opens the account
+      const login = await api.request('POST', '/auth/login', { body: { email: 'victim@example.com', password: PASSWORD } });
+      assert.equal(login.status, 401);
+    } finally {
+      delete process.env.MAGIC_LINK_ENABLED;
+    }
+  });
+
+  test('protected routes need a valid access token', async () => {
+    assert.equal((await api.request('GET', '/tenants')).status, 401);
+    assert.equal((await api.request('GET', '/tenants', { token: 'garbage' })).status, 401);
+
+    const { token } = await register(api, 'first@example.com');
+    assert.equal((await api.request('GET', '/tenants', { token })).status, 200);
+  });
+
+  test('a password reset link sets a new password', async () => {
+    await register(api, 'first@example.com');
+
+    const forgot = await api.request('POST', '/auth/password/forgot', { body: { email: 'first@example.com' } });
+    assert.equal(forgot.status, 200);
+    const token = tokenFromMail(api.outbox, 'first@example.com');
+
+    const reset = await api.request('POST', '/auth/password/reset', { body: { token, password: 'a-brand-new-password' } });
+    assert.equal(reset.status, 200);
+
+    const reused = await api.request('POST', '/auth/password/reset', { body: { token, password: 'yet-another-password' } });
+    assert.equal(reused.status, 400);
+
+    const oldLogin = await api.request('POST', '/auth/login', { body: { email: 'first@example.com', password: PASSWORD } });
+    assert.equal(oldLogin.status, 401);
+    const newLogin = await api.request('POST', '/auth/login', { body: { email: 'first@example.com', password: 'a-brand-new-password' } });
+    assert.equal(newLogin.status, 200);
+  });
+
+  test('forgot password does not reveal unknown addresses', async () => {
+    const { status } = await api.request('POST', '/auth/password/forgot', { body: { email: 'nobody@example.com' } });
+    assert.equal(status, 200);
+    assert.equal(api.outbox.length, 0);
+  });
+});
+
+describe('sessions', () => {
+  test('refresh rotates the refresh token', async () => {
+    const session = await register(api, 'first@example.com');
+
+    const { status, body } = await api.request('POST', '/auth/refresh', { body: { refresh_token: session.refresh_token } });
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.notEqual(body.refresh_token, session.refresh_token);
+  });
+
+  test('reusing a rotated refresh token revokes every session', async () => {
+    const session = await register(api, 'first@example.com');
+    const { body: rotated } = await api.request('POST', '/auth/refresh', { body: { refresh_token: session.refresh_token } });
+
+    const reuse = await api.request('POST', '/auth/refresh', { body: { refresh_token: session.refresh_token } });
+    assert.equal(reuse.status, 401);
+
+    const latest = await api.request('POST', '/auth/refresh', { body: { refresh_token: rotated.refresh_token } });
+    assert.equal(latest.status, 401);
+  });
+
+  test('concurrent refreshes with one token issue a single session', async () => {
+    const session = await register(api, 'first@example.com');
+
+    // Called directly: two HTTP requests would not interleave against the in-memory store
+    const { rotateSession } = await import('../src/services/sessionService.js');
+    const results = await Promise.allSettled([rotateSession(session.refresh_token), rotateSession(session.refresh_token)]);
+    assert.deepEqual(results.map(({ status }) => status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(({ status }) => status === 'rejected').reason.status, 401);
+
+    // The loser counts as reuse, so the winner's session is revoked as well
+    const winner = results.find(({ status }) => status === 'fulfilled').value;
+    const refresh = await api.request('POST', '/auth/refresh', { body: { refresh_token: winner.refresh_token } });
+    assert.equal(refresh.status, 401);
+  });
+
+  test('logout revokes the session', async () => {
+    const session = await register(api, 'first@example.com');
+
+    const logout = await api.request('POST', '/auth/logout', { body: { refresh_token: session.refresh_token } });
+    assert.equal(logout.status, 200);
+
+    const refresh = await api.request('POST', '/auth/refresh', { body: { refresh_token: session.refresh_token } });
+    assert.equal(refresh.status, 401);
+  });
+});
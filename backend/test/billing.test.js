@@ -0,0 +1,90 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedTenant, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+/**
+ * Tenant with rent 1000 from January 2026, the January invoice and a flat
+ * late fee of 50 for bills unpaid after the 5th of the next month
+ */
+async function seedOverdueInvoice() {
+  const seeded = await seedTenant(api);
+  const { token, tenant, owner } = seeded;
+  await api.request('POST', '/rent-history', { token, body: { tenant_id: tenant.tenant_id, amount: 1000, start_date: '2026-01-01' } });
+  await api.request('POST', '/general-setup', {
+    token,
+    body: { owner_id: owner.owner_id, start_date: '2026-01-01', due_day: 5, late_fee_type: 'flat', late_fee_value: 50 }
+  });
+  const invoice = await api.request('POST', '/invoices/generate', { token, body: { tenant_id: tenant.tenant_id, month: '2026-01-01' } });
+  return { ...seeded, invoice: invoice.body };
+}
+
+function applyLateFees(token, body = { as_of: '2026-03-01' }) {
+  return api.request('POST', '/invoices/late-fees/apply', { token, body });
+}
+
+describe('late fees', () => {
+  test('reading the balance never charges a late fee', async () => {
+    const { token, tenant, invoice } = await seedOverdueInvoice();
+
+    const balance = await api.request('GET', `/tenants/${tenant.tenant_id}/balance`, { token });
+    assert.equal(balance.status, 200);
+    assert.equal(balance.body.billed, 1000);
+
+    const stored = await api.request('GET', `/invoices/${invoice.invoice_id}`, { token });
+    assert.equal(stored.body.late_fee_amount ?? null, null);
+    assert.equal(stored.body.line_items.length, 1);
+  });
+
+  test('an overdue invoice is charged once', async () => {
+    const { token, tenant, invoice } = await seedOverdueInvoice();
+
+    const first = await applyLateFees(token);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.applied, 1);
+    assert.equal(first.body.invoices[0].total_amount, 1050);
+    assert.equal((await applyLateFees(token)).body.applied, 0);
+
+    const stored = await api.request('GET', `/invoices/${invoice.invoice_id}`, { token });
+    assert.deepEqual(stored.body.line_items.map((item) => [item.item_type, item.amount]), [['rent', 1000], ['late_fee', 50]]);
+    const balance = await api.request('GET', `/tenants/${tenant.tenant_id}/balance`, { token });
+    assert.equal(balance.body.billed, 1050);
+  });
+
+  test('concurrent runs charge an invoice once', async () => {
+    const { token, invoice } = await seedOverdueInvoice();
+
+    // Called directly: two HTTP requests would not interleave against the in-memory store
+    const { applyLateFees: run } = await import('../src/services/lateFeeService.js');
+    const results = await Promise.all([run({ asOf: '2026-03-01' }), run({ asOf: '2026-03-01' })]);
+    assert.equal(results.flat().length, 1);
+
+    const stored = await api.request('GET', `/invoices/${invoice.invoice_id}`, { token });
+    assert.equal(stored.body.total_amount, 1050);
+    assert.equal(stored.body.line_items.filter((item) => item.item_type === 'late_fee').length, 1);
+  });
+});
+
+describe('invoices', () => {
+  test('concurrent generation issues one invoice for the month', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await api.request('POST', '/rent-history', { token, body: { tenant_id: tenant.tenant_id, amount: 1000, start_date: '2026-01-01' } });
+
+    // Called directly: two HTTP requests would not interleave against the in-memory store
+    const { generateInvoice } = await import('../src/services/invoiceService.js');
+    const results = await Promise.allSettled([
+      generateInvoice(tenant.tenant_id, '2026-01-01'),
+      generateInvoice(tenant.tenant_id, '2026-01-01')
+    ]);
+    assert.deepEqual(results.map((result) => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.status, 409);
+    assert.deepEqual(results[0].value.line_items.map((item) => [item.item_type, item.amount]), [['rent', 1000]]);
+
+    const invoices = await api.request('GET', `/invoices?tenantId=${tenant.tenant_id}`, { token });
+    assert.equal(invoices.body.length, 1);
+  });
+});
@@ -0,0 +1,87 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedTenant, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+const TOGGLES = [
+  { path: '/water-history', key: 'water_history', idColumn: 'water_id', flag: 'water_required', itemType: 'water' },
+  {
+    path: '/maintenance-history',
+    key: 'maintenance_history',
+    idColumn: 'maintenance_id',
+    flag: 'maintenance_required',
+    itemType: 'maintenance'
+  }
+];
+
+for (const { path, key, idColumn, flag, itemType } of TOGGLES) {
+  describe(`${path} toggle`, () => {
+    test(`creating a row sets ${flag} in a new tenant version`, async () => {
+      const { token, tenant } = await seedTenant(api);
+
+      const { status, body } = await api.request('POST', path, {
+        token,
+        body: { tenant_id: tenant.tenant_id, start_date: '2026-02-14', amount: 40 }
+      });
+      assert.equal(status, 200);
+      assert.equal(body[key].start_date, '2026-02-01');
+      assert.equal(body[key].tenant_version, 2);
+      assert.equal(body.tenant[flag], true);
+      assert.equal(body.tenant.tenant_version, 2);
+    });
+
+    test('a second row for the same tenant is rejected', async () => {
+      const { token, tenant } = await seedTenant(api);
+      const charge = { tenant_id: tenant.tenant_id, start_date: '2026-02-01', amount: 40 };
+      await api.request('POST', path, { token, body: charge });
+
+      const { status } = await api.request('POST', path, { token, body: charge });
+      assert.equal(status, 400);
+      const versions = await api.request('GET', `/tenants/${tenant.tenant_id}/versions`, { token });
+      assert.equal(versions.body.length, 2);
+    });
+
+    test(`deleting the row clears ${flag} and allows a new one`, async () => {
+      const { token, tenant } = await seedTenant(api);
+      const charge = { tenant_id: tenant.tenant_id, start_date: '2026-02-01', amount: 40 };
+      const { body: created } = await api.request('POST', path, { token, body: charge });
+
+      const removed = await api.request('DELETE', `${path}/${created[key][idColumn]}`, { token });
+      assert.equal(removed.status, 200);
+      assert.equal(removed.body[key].status, 'inactive');
+      assert.equal(removed.body.tenant[flag], false);
+
+      const again = await api.request('DELETE', `${path}/${created[key][idColumn]}`, { token });
+      assert.equal(again.status, 404);
+
+      const recreated = await api.request('POST', path, { token, body: charge });
+      assert.equal(recreated.status, 200);
+    });
+
+    test('a versioned update bills the old amount before the change and the new one after', async () => {
+      const { token, tenant } = await seedTenant(api);
+      const { body: created } = await api.request('POST', path, {
+        token,
+        body: { tenant_id: tenant.tenant_id, start_date: '2026-01-01', amount: 200 }
+      });
+
+      const updated = await api.request('PUT', `${path}/${created[key][idColumn]}`, {
+        token,
+        body: { amount: 300, start_date: '2026-03-01' }
+      });
+      assert.equal(updated.body.type, 'versioned');
+      assert.equal(updated.body[key].start_date, '2026-03-01');
+
+      const items = async (month) => {
+        const { body } = await api.request('POST', '/invoices/generate', { token, body: { tenant_id: tenant.tenant_id, month } });
+        return body.line_items.map((item) => [item.item_type, item.amount]);
+      };
+      assert.deepEqual(await items('2026-02-01'), [[itemType, 200]]);
+      assert.deepEqual(await items('2026-03-01'), [[itemType, 300]]);
+    });
+  });
+}
@@ -0,0 +1,118 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedTenant, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+function record(token, tenantId, body) {
+  return api.request('POST', '/deposits', { token, body: { tenant_id: tenantId, ...body } });
+}
+
+describe('deposit ledger', () => {
+  test('receipts, top-ups, deductions and refunds add up to the held amount', async () => {
+    const { token, tenant } = await seedTenant(api);
+    const tenantId = tenant.tenant_id;
+
+    assert.equal((await record(token, tenantId, { type: 'receipt', amount: 10000, transacted_on: '2026-01-05' })).status, 200);
+    assert.equal((await record(token, tenantId, { type: 'top_up', amount: 2000, transacted_on: '2026-03-01' })).status, 200);
+    const deduction = await record(token, tenantId, {
+      type: 'deduction',
+      amount: 1500,
+      reason: 'damages',
+      description: 'Broken tap',
+      transacted_on: '2026-04-01'
+    });
+    assert.equal(deduction.status, 200);
+    assert.equal(deduction.body.transaction.reason, 'damages');
+    assert.equal(deduction.body.payment, null);
+    await record(token, tenantId, { type: 'refund', amount: 500, transacted_on: '2026-04-02' });
+
+    const balance = await api.request('GET', `/tenants/${tenantId}/balance`, { token });
+    assert.deepEqual(balance.body.deposit, { received: 10000, topped_up: 2000, deducted: 1500, refunded: 500, held: 10000 });
+
+    const listed = await api.request('GET', `/deposits?tenantId=${tenantId}&sort=-transacted_on`, { token });
+    assert.deepEqual(listed.body.data.map((row) => row.type), ['refund', 'deduction', 'top_up', 'receipt']);
+  });
+
+  test('the ledger follows the tenant across versions', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await record(token, tenant.tenant_id, { type: 'receipt', amount: 8000 });
+
+    await api.request('POST', '/water-history', {
+      token,
+      body: { tenant_id: tenant.tenant_id, start_date: '2026-02-01', amount: 200 }
+    });
+    const versions = await api.request('GET', `/tenants/${tenant.tenant_id}/versions`, { token });
+    assert.equal(versions.body.length, 2);
+
+    const balance = await api.request('GET', `/tenants/${tenant.tenant_id}/balance`, { token });
+    assert.equal(balance.body.deposit.held, 8000);
+  });
+
+  test('deductions and refunds never take the held amount below zero', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await record(token, tenant.tenant_id, { type: 'receipt', amount: 1000 });
+
+    const deduction = await record(token, tenant.tenant_id, { type: 'deduction', amount: 1200, reason: 'damages' });
+    assert.equal(deduction.status, 400);
+    assert.match(deduction.body.error, /exceeds the held deposit \(1000\)/);
+
+    await record(token, tenant.tenant_id, { type: 'deduction', amount: 600, reason: 'other' });
+    const refund = await record(token, tenant.tenant_id, { type: 'refund', amount: 500 });
+    assert.equal(refund.status, 400);
+    assert.equal((await record(token, tenant.tenant_id, { type: 'refund', amount: 400 })).status, 200);
+  });
+
+  test('a deduction needs a reason and a receipt comes first, once', async () => {
+    const { token, tenant } = await seedTenant(api);
+
+    assert.equal((await record(token, tenant.tenant_id, { type: 'top_up', amount: 100 })).status, 400);
+    await record(token, tenant.tenant_id, { type: 'receipt', amount: 1000 });
+    assert.equal((await record(token, tenant.tenant_id, { type: 'receipt', amount: 1000 })).status, 409);
+    assert.equal((await record(token, tenant.tenant_id, { type: 'deduction', amount: 100 })).status, 400);
+  });
+
+  test('a deduction for unpaid dues pays the outstanding invoice', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await api.request('POST', '/rent-history', {
+      token,
+      body: { tenant_id: tenant.tenant_id, start_date: '2026-01-01', amount: 5000 }
+    });
+    await api.request('POST', '/invoices/generate', { token, body: { tenant_id: tenant.tenant_id, month: '2026-01-01' } });
+    await record(token, tenant.tenant_id, { type: 'receipt', amount: 6000 });
+
+    const { status, body } = await record(token, tenant.tenant_id, { type: 'deduction', amount: 5000, reason: 'unpaid_dues' });
+    assert.equal(status, 200);
+    assert.equal(body.payment.method, 'deposit');
+    assert.equal(body.transaction.payment_id, body.payment.payment_id);
+
+    const balance = await api.request('GET', `/tenants/${tenant.tenant_id}/balance`, { token });
+    assert.equal(balance.body.outstanding, 0);
+    assert.equal(balance.body.deposit.held, 1000);
+
+    const reversed = await api.request('POST', `/payments/${body.payment.payment_id}/reverse`, { token, body: { reason: 'Typo' } });
+    assert.equal(reversed.status, 409);
+    assert.match(reversed.body.error, /deposit ledger/);
+    assert.equal((await api.request('GET', `/payments/${body.payment.payment_id}`, { token })).body.status, 'received');
+  });
+
+  test('concurrent refunds never overdraw the deposit', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await record(token, tenant.tenant_id, { type: 'receipt', amount: 1000 });
+
+    // Called directly: two HTTP requests would not interleave against the in-memory store
+    const { recordDepositTransaction } = await import('../src/services/depositService.js');
+    const results = await Promise.allSettled([
+      recordDepositTransaction(tenant, { type: 'refund', amount: 800 }),
+      recordDepositTransaction(tenant, { type: 'refund', amount: 800 })
+    ]);
+    assert.deepEqual(results.map((result) => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.status, 400);
+
+    const balance = await api.request('GET', `/tenants/${tenant.tenant_id}/balance`, { token });
+    assert.equal(balance.body.deposit.held, 200);
+  });
+});
@@ -0,0 +1,91 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register, seedTenant, startApi, tokenFromMail } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+function invite(token, body) {
+  return api.request('POST', '/invitations/invite', { token, body });
+}
+
+describe('invitations', () => {
+  test('an invited owner gets the role and scope on accept', async () => {
+    const { token, owner } = await seedTenant(api);
+
+    const sent = await invite(token, { role: 'owner', email: 'owner@example.com', organization_id: 1, owner_id: owner.owner_id });
+    assert.equal(sent.status, 200);
+    const inviteToken = tokenFromMail(api.outbox, 'owner@example.com');
+
+    const invitee = await register(api, 'owner@example.com');
+    assert.equal(invitee.user.role, 'tenant');
+
+    const accepted = await api.request('POST', '/invitations/accept', { token: invitee.token, body: { token: inviteToken } });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.user.role, 'owner');
+    assert.equal(accepted.body.user.owner_id, owner.owner_id);
+    assert.equal(accepted.body.user.organization_id, 1);
+
+    const tenants = await api.request('GET', '/tenants', { token: accepted.body.token });
+    assert.equal(tenants.status, 200);
+    assert.equal(tenants.body.data.length, 1);
+
+    const again = await api.request('POST', '/invitations/accept', { token: accepted.body.token, body: { token: inviteToken } });
+    assert.equal(again.status, 400);
+  });
+
+  test('an invite can only be accepted by its addressee', async () => {
+    const { token } = await seedTenant(api);
+    await invite(token, { role: 'owner', email: 'owner@example.com', organization_id: 1 });
+    const inviteToken = tokenFromMail(api.outbox, 'owner@example.com');
+
+    const someoneElse = await register(api, 'other@example.com');
+    const { status } = await api.request('POST', '/invitations/accept', { token: someoneElse.token, body: { token: inviteToken } });
+    assert.equal(status, 403);
+  });
+
+  test('a revoked invite cannot be accepted', async () => {
+    const { token } = await seedTenant(api);
+    const { body } = await invite(token, { role: 'owner', email: 'owner@example.com', organization_id: 1 });
+    const inviteToken = tokenFromMail(api.outbox, 'owner@example.com');
+
+    const revoked = await api.request('POST', `/invitations/${body.invite.invite_id}/revoke`, { token });
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.body.invite.status, 'revoked');
+
+    const invitee = await register(api, 'owner@example.com');
+    const { status, body: error } = await api.request('POST', '/invitations/accept', { token: invitee.token, body: { token: inviteToken } });
+    assert.equal(status, 400);
+    assert.equal(error.error, 'Invite revoked');
+  });
+
+  test('resending issues a new link and retires the old one', async () => {
+    const { token } = await seedTenant(api);
+    const { body } = await invite(token, { role: 'owner', email: 'owner@example.com', organization_id: 1 });
+    const firstToken = tokenFromMail(api.outbox, 'owner@example.com');
+
+    const resent = await api.request('POST', `/invitations/${body.invite.invite_id}/resend`, { token });
+    assert.equal(resent.status, 200);
+    const secondToken = tokenFromMail(api.outbox, 'owner@example.com');
+    assert.notEqual(secondToken, firstToken);
+
+    const invitee = await register(api, 'owner@example.com');
+    const stale = await api.request('POST', '/invitations/accept', { token: invitee.token, body: { token: firstToken } });
+    assert.equal(stale.status, 400);
+    const fresh = await api.request('POST', '/invitations/accept', { token: invitee.token, body: { token: secondToken } });
+    assert.equal(fresh.status, 200);
+  });
+
+  test('tenants cannot invite or write', async () => {
+    await seedTenant(api);
+    const tenantUser = await register(api, 'tenant@example.com');
+
+    const sent = await invite(tenantUser.token, { role: 'tenant', email: 'x@example.com', organization_id: 1, owner_id: 1 });
+    assert.equal(sent.status, 403);
+
+    const write = await api.request('POST', '/owners', { token: tenantUser.token, body: { name: 'Nope', organization_id: 1 } });
+    assert.equal(write.status, 403);
+  });
+});
@@ -0,0 +1,132 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedTenant, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+/**
+ * Superadmin plus three tenants of owner 1 starting in January, February and March
+ */
+async function seedTenants() {
+  const seeded = await seedTenant(api, { startDate: '2026-01-01' });
+  const tenants = [seeded.tenant];
+  for (const [name, start_date] of [['Tenant Two', '2026-02-01'], ['Tenant Three', '2026-03-01']]) {
+    const { body } = await api.request('POST', '/tenants', {
+      token: seeded.token,
+      body: { name, owner_id: seeded.owner.owner_id, start_date }
+    });
+    tenants.push(body);
+  }
+  return { ...seeded, tenants };
+}
+
+describe('list endpoints', () => {
+  test('lists are paged with a total count', async () => {
+    const { token } = await seedTenants();
+
+    const { status, body } = await api.request('GET', '/tenants?limit=2', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.pagination, { total: 3, limit: 2, offset: 0 });
+    assert.deepEqual(body.data.map((tenant) => tenant.name), ['Tenant One', 'Tenant Two']);
+
+    const next = await api.request('GET', '/tenants?limit=2&offset=2', { token });
+    assert.deepEqual(next.body.data.map((tenant) => tenant.name), ['Tenant Three']);
+    assert.equal(next.body.pagination.total, 3);
+  });
+
+  test('sort takes a column, descending with a leading minus', async () => {
+    const { token } = await seedTenants();
+
+    const { body } = await api.request('GET', '/tenants?sort=-start_date', { token });
+    assert.deepEqual(body.data.map((tenant) => tenant.start_date), ['2026-03-01', '2026-02-01', '2026-01-01']);
+
+    const byName = await api.request('GET', '/tenants?sort=name', { token });
+    assert.deepEqual(byName.body.data.map((tenant) => tenant.name), ['Tenant One', 'Tenant Three', 'Tenant Two']);
+  });
+
+  test('from/to bound the date column', async () => {
+    const { token } = await seedTenants();
+
+    const { body } = await api.request('GET', '/tenants?from=2026-02-01&to=2026-02-28', { token });
+    assert.deepEqual(body.data.map((tenant) => tenant.name), ['Tenant Two']);
+    assert.equal(body.pagination.total, 1);
+  });
+
+  test('status selects active, inactive or all versions', async () => {
+    const { token, tenants } = await seedTenants();
+    await api.request('PUT', `/tenants/${tenants[0].tenant_id}`, { token, body: { name: 'Renamed' } });
+
+    const active = await api.request('GET', '/tenants', { token });
+    assert.equal(active.body.pagination.total, 3);
+
+    const inactive = await api.request('GET', '/tenants?status=inactive', { token });
+    assert.deepEqual(inactive.body.data.map((tenant) => tenant.name), ['Tenant One']);
+
+    const all = await api.request('GET', '/tenants?status=all&sort=tenant_id', { token });
+    assert.deepEqual(
+      all.body.data.slice(0, 2).map((tenant) => [tenant.tenant_id, tenant.tenant_version]),
+      [[tenants[0].tenant_id, 1], [tenants[0].tenant_id, 2]]
+    );
+  });
+
+  test('filters narrow component lists to a tenant', async () => {
+    const { token, tenants } = await seedTenants();
+    for (const [index, tenant] of tenants.entries()) {
+      await api.request('POST', '/rent-history', {
+        token,
+        body: { tenant_id: tenant.tenant_id, start_date: '2026-03-01', amount: 100 * (index + 1) }
+      });
+    }
+
+    const { body } = await api.request('GET', `/rent-history?tenantId=${tenants[1].tenant_id}`, { token });
+    assert.deepEqual(body.data.map((rent) => rent.amount), [200]);
+
+    const sorted = await api.request('GET', '/rent-history?sort=-amount&limit=1', { token });
+    assert.deepEqual(sorted.body.data.map((rent) => rent.amount), [300]);
+    assert.equal(sorted.body.pagination.total, 3);
+  });
+
+  test('asOf lists use the same envelope', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await api.request('POST', '/rent-history', { token, body: { tenant_id: tenant.tenant_id, start_date: '2026-01-01', amount: 500 } });
+
+    const { body } = await api.request('GET', '/rent-history?asOf=2026-02-15', { token });
+    assert.equal(body.data.length, 1);
+    assert.deepEqual(body.pagination, { total: 1, limit: 50, offset: 0 });
+  });
+
+  test('readings filter by meter and month range', async () => {
+    const { token, tenant } = await seedTenant(api);
+    const { body: created } = await api.request('POST', '/power-meters', {
+      token,
+      body: { tenant_id: tenant.tenant_id, start_date: '2026-02-01', initial_reading: 0 }
+    });
+    const meterId = created.meter.meter_id;
+    for (const [month, current_reading] of [['2026-02-01', 10], ['2026-03-01', 25]]) {
+      await api.request('POST', '/monthly-reading', {
+        token,
+        body: { tenant_id: tenant.tenant_id, meter_id: meterId, month, current_reading, rate_per_unit: 1 }
+      });
+    }
+
+    const { body } = await api.request('GET', `/monthly-reading?meterId=${meterId}&from=2026-02-01`, { token });
+    assert.deepEqual(body.data.map((reading) => reading.month), ['2026-02-01', '2026-03-01']);
+
+    const legacy = await api.request('GET', '/monthly-reading?startMonth=2026-01-01&endMonth=2026-02-01', { token });
+    assert.deepEqual(legacy.body.data.map((reading) => reading.month), ['2026-01-01', '2026-02-01']);
+  });
+
+  test('unknown sort columns and oversized pages are rejected', async () => {
+    const { token } = await seedTenant(api);
+
+    const badSort = await api.request('GET', '/tenants?sort=password', { token });
+    assert.equal(badSort.status, 400);
+    assert.equal(badSort.body.details[0].field, 'sort');
+
+    const tooBig = await api.request('GET', '/power-meters?limit=1000', { token });
+    assert.equal(tooBig.status, 400);
+  });
+});
@@ -0,0 +1,118 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedTenant, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+/**
+ * Tenant with one meter starting in March 2026 (baseline 1000 in February)
+ */
+async function seedMeter() {
+  const seeded = await seedTenant(api);
+  const { body } = await api.request('POST', '/power-meters', {
+    token: seeded.token,
+    body: { tenant_id: seeded.tenant.tenant_id, start_date: '2026-03-01', initial_reading: 1000 }
+  });
+  return { ...seeded, meter: body.meter };
+}
+
+function postReading({ token, tenant, meter }, month, currentReading) {
+  return api.request('POST', '/monthly-reading', {
+    token,
+    body: { tenant_id: tenant.tenant_id, meter_id: meter.meter_id, month, current_reading: currentReading, rate_per_unit: 8 }
+  });
+}
+
+describe('monthly readings', () => {
+  test('a reading chains from the previous month and is charged on consumption', async () => {
+    const seeded = await seedMeter();
+
+    const march = await postReading(seeded, '2026-03-01', 1150);
+    assert.equal(march.status, 200);
+    assert.equal(march.body.previous_reading, 1000);
+    assert.equal(march.body.units_consumed, 150);
+    assert.equal(march.body.charge_amount, 1200);
+
+    const april = await postReading(seeded, '2026-04-01', 1200);
+    assert.equal(april.status, 200);
+    assert.equal(april.body.previous_reading, 1150);
+  });
+
+  test('a month cannot be entered before the previous one', async () => {
+    const seeded = await seedMeter();
+
+    const { status, body } = await postReading(seeded, '2026-04-01', 1100);
+    assert.equal(status, 400);
+    assert.match(body.error, /Previous month \(2026-03-01\) reading not found/);
+  });
+
+  test('negative consumption needs confirmation', async () => {
+    const seeded = await seedMeter();
+
+    const rejected = await postReading(seeded, '2026-03-01', 900);
+    assert.equal(rejected.status, 400);
+
+    const confirmed = await api.request('POST', '/monthly-reading', {
+      token: seeded.token,
+      body: {
+        tenant_id: seeded.tenant.tenant_id,
+        meter_id: seeded.meter.meter_id,
+        month: '2026-03-01',
+        current_reading: 900,
+        rate_per_unit: 8,
+        confirm_negative: true
+      }
+    });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.is_anomaly, true);
+    assert.equal(confirmed.body.units_consumed, -100);
+    assert.equal(confirmed.body.charge_amount, 0);
+  });
+
+  test('bulk entry saves valid rows and reports the rest', async () => {
+    const seeded = await seedMeter();
+
+    const { status, body } = await api.request('POST', '/monthly-reading/bulk', {
+      token: seeded.token,
+      body: {
+        month: '2026-03-01',
+        rate_per_unit: 8,
+        readings: [
+          { meter_id: seeded.meter.meter_id, current_reading: 1100 },
+          { meter_id: 999, current_reading: 10 }
+        ]
+      }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.saved, 1);
+    assert.equal(body.rejected, 1);
+    assert.equal(body.results[1].error, 'Active meter not found');
+
+    const pending = await api.request('GET', '/monthly-reading/pending?month=2026-03-01', { token: seeded.token });
+    assert.deepEqual(pending.body.meters, []);
+  });
+
+  test('bulk meter ids given as strings match the same meter', async () => {
+    const seeded = await seedMeter();
+    const meterId = seeded.meter.meter_id;
+
+    const { status, body } = await api.request('POST', '/monthly-reading/bulk', {
+      token: seeded.token,
+      body: {
+        month: '2026-03-01',
+        rate_per_unit: 8,
+        readings: [
+          { meter_id: String(meterId), current_reading: 1100 },
+          { meter_id: meterId, current_reading: 1200 }
+        ]
+      }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.saved, 1);
+    assert.deepEqual(body.results[0], { ...body.results[0], meter_id: meterId, status: 'saved' });
+    assert.deepEqual(body.results[1], { meter_id: meterId, status: 'rejected', error: 'Duplicate meter_id in request' });
+  });
+});
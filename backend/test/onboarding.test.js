@@ -0,0 +1,247 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+/**
+ * Superadmin session, one owner and a vacant flat of that owner
+ */
+async function seedOwnerUnit() {
+  const { token } = await register(api, 'admin@example.com');
+  const owner = await api.request('POST', '/owners', { token, body: { name: 'Owner One', organization_id: 1 } });
+  const property = await api.request('POST', '/properties', {
+    token,
+    body: { name: 'Green Court', owner_id: owner.body.owner_id }
+  });
+  const unit = await api.request('POST', '/units', {
+    token,
+    body: { property_id: property.body.property_id, name: 'Flat 1' }
+  });
+  return { token, owner: owner.body, unit: unit.body };
+}
+
+function onboard(token, body) {
+  return api.request('POST', '/tenants/onboard', { token, body });
+}
+
+/**
+ * Tenant onboarded in January 2026 into the flat: one meter at 1000,
+ * rent 10000, water 300 and a deposit of 20000 (unless given)
+ */
+async function seedOnboarded({ deposit = 20000 } = {}) {
+  const seeded = await seedOwnerUnit();
+  const { body } = await onboard(seeded.token, {
+    name: 'Tenant One',
+    owner_id: seeded.owner.owner_id,
+    start_date: '2026-01-10',
+    unit_id: seeded.unit.unit_id,
+    meters: [{ meter_number: 'M-1', initial_reading: 1000 }],
+    rent: [{ amount: 10000 }],
+    water: { amount: 300 },
+    deposit: { amount: deposit }
+  });
+  return { ...seeded, ...body };
+}
+
+function moveOut(token, tenantId, body) {
+  return api.request('POST', `/tenants/${tenantId}/move-out`, { token, body });
+}
+
+describe('onboarding', () => {
+  test('creates the tenant and every component in one version', async () => {
+    const { token, tenant, meters, readings, rent, water, maintenance, occupancy, deposit, unit } = await seedOnboarded();
+
+    assert.equal(tenant.tenant_version, 1);
+    assert.equal(tenant.start_date, '2026-01-01');
+    assert.equal(tenant.power_meter_count, 1);
+    assert.equal(tenant.rent_portion_count, 1);
+    assert.equal(tenant.water_required, true);
+    assert.equal(tenant.maintenance_required, false);
+
+    assert.equal(meters[0].tenant_version, 1);
+    assert.equal(meters[0].unit_id, unit.unit_id);
+    assert.equal(readings[0].meter_id, meters[0].meter_id);
+    assert.equal(readings[0].month, '2025-12-01');
+    assert.equal(rent[0].amount, 10000);
+    assert.equal(water.start_date, '2026-01-01');
+    assert.equal(maintenance, null);
+    assert.equal(occupancy.unit_id, unit.unit_id);
+    assert.equal(occupancy.tenant_id, tenant.tenant_id);
+    assert.equal(deposit.type, 'receipt');
+    assert.equal(deposit.amount, 20000);
+    assert.equal(deposit.transacted_on, '2026-01-01');
+    assert.equal(deposit.tenant_version, undefined);
+
+    const versions = await api.request('GET', `/tenants/${tenant.tenant_id}/versions`, { token });
+    assert.equal(versions.body.length, 1);
+  });
+
+  test('nothing is created when a tariff is unknown', async () => {
+    const { token, owner } = await seedOwnerUnit();
+
+    const { status, body } = await onboard(token, {
+      name: 'Tenant One',
+      owner_id: owner.owner_id,
+      start_date: '2026-01-01',
+      meters: [{ initial_reading: 0, tariff_id: 99 }]
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Active tariff not found');
+    assert.equal((await api.request('GET', '/tenants', { token })).body.pagination.total, 0);
+  });
+
+  test('an occupied unit cannot be onboarded into', async () => {
+    const { token, owner, unit } = await seedOnboarded();
+
+    const { status } = await onboard(token, {
+      name: 'Tenant Two',
+      owner_id: owner.owner_id,
+      start_date: '2026-03-01',
+      unit_id: unit.unit_id,
+      rent: [{ amount: 9000 }]
+    });
+    assert.equal(status, 409);
+    assert.equal((await api.request('GET', '/tenants', { token })).body.pagination.total, 1);
+  });
+});
+
+describe('move-out', () => {
+  test('settles final charges and dues against the deposit', async () => {
+    const { token, tenant, meters, unit } = await seedOnboarded();
+    const tenantId = tenant.tenant_id;
+    const meterId = meters[0].meter_id;
+
+    // January: billed 10000 + 300 + 100 units × 8, paid in full
+    await api.request('POST', '/monthly-reading', {
+      token,
+      body: { tenant_id: tenantId, meter_id: meterId, month: '2026-01-01', current_reading: 1100, rate_per_unit: 8 }
+    });
+    await api.request('POST', '/invoices/generate', { token, body: { tenant_id: tenantId, month: '2026-01-01' } });
+    await api.request('POST', '/payments', { token, body: { tenant_id: tenantId, amount: 11100, paid_on: '2026-02-05' } });
+
+    const { status, body } = await moveOut(token, tenantId, {
+      move_out_date: '2026-02-20',
+      final_readings: [{ meter_id: meterId, current_reading: 1150, rate_per_unit: 8 }],
+      deductions: [{ description: 'Repainting', amount: 1500 }]
+    });
+    assert.equal(status, 200);
+    assert.equal(body.final_month, '2026-02-01');
+    assert.equal(body.end_date, '2026-03-01');
+    assert.equal(body.final_readings[0].is_final_reading, true);
+    assert.equal(body.final_readings[0].units_consumed, 50);
+    assert.deepEqual(body.final_charges, { rent: 10000, water: 300, electricity: 400, total: 10700 });
+    assert.deepEqual(body.dues, { billed: 21800, paid: 11100, outstanding: 10700, credit: 0 });
+    assert.equal(body.deposit.held, 20000);
+    assert.equal(body.deposit.applied_to_dues, 10700);
+    assert.equal(body.deposit.deductions_total, 1500);
+    assert.equal(body.deposit.refund, 7800);
+    assert.equal(body.deposit.amount_due, 0);
+    assert.deepEqual(
+      body.deposit_transactions.map((transaction) => [transaction.type, transaction.reason, transaction.amount]),
+      [['deduction', 'unpaid_dues', 10700], ['deduction', 'damages', 1500], ['refund', null, 7800]]
+    );
+
+    // Dues were paid from the deposit, which is now fully settled
+    const balance = await api.request('GET', `/tenants/${tenantId}/balance`, { token });
+    assert.equal(balance.body.outstanding, 0);
+    assert.equal(balance.body.deposit.held, 0);
+
+    const exited = await api.request('GET', `/tenants/${tenantId}`, { token });
+    assert.equal(exited.status, 404);
+    const history = await api.request('GET', `/units/${unit.unit_id}/occupancies`, { token });
+    assert.equal(history.body[0].end_date, '2026-03-01');
+
+    // The final reading, the closed meter and the closed occupancy are audited
+    const audited = async (entity, action) => (await api.request('GET', `/audit?entity=${entity}`, { token })).body
+      .filter((audit) => audit.action === action)
+      .map((audit) => audit.entity_id);
+    assert.ok((await audited('monthly_readings', 'create')).includes(String(body.final_readings[0].reading_id)));
+    assert.deepEqual(await audited('power_meters', 'delete'), [String(meterId)]);
+    assert.deepEqual(await audited('unit_occupancies', 'delete'), [String(history.body[0].occupancy_id)]);
+  });
+
+  test('dues beyond the deposit are owed by the tenant', async () => {
+    const { token, tenant, meters } = await seedOnboarded({ deposit: 5000 });
+
+    const { body } = await moveOut(token, tenant.tenant_id, {
+      move_out_date: '2026-01-01',
+      final_readings: [{ meter_id: meters[0].meter_id, current_reading: 1000 }],
+      deductions: [{ description: 'Broken window', amount: 700 }]
+    });
+    assert.equal(body.dues.outstanding, 10300);
+    assert.equal(body.deposit.applied_to_dues, 5000);
+    assert.deepEqual(body.deposit.deductions, [{ description: 'Broken window', reason: 'damages', amount: 700, from_deposit: 0 }]);
+    assert.equal(body.deposit.refund, 0);
+    assert.equal(body.deposit.amount_due, 6000);
+  });
+
+  test('the move-out date is checked against the tenancy start, not the latest version', async () => {
+    const { token, tenant, meters } = await seedOnboarded();
+    // Versions the tenant from the current month
+    await api.request('POST', '/rent-history', { token, body: { tenant_id: tenant.tenant_id, start_date: '2026-01-01', amount: 500 } });
+
+    const early = await moveOut(token, tenant.tenant_id, { move_out_date: '2025-12-15', final_readings: [] });
+    assert.equal(early.status, 400);
+    assert.match(early.body.error, /tenant start \(2026-01-01\)/);
+
+    const { status, body } = await moveOut(token, tenant.tenant_id, {
+      move_out_date: '2026-01-20',
+      final_readings: [{ meter_id: meters[0].meter_id, current_reading: 1050 }]
+    });
+    assert.equal(status, 200);
+    assert.equal(body.final_invoice.month, '2026-01-01');
+  });
+
+  test('every active meter needs a final reading', async () => {
+    const { token, tenant } = await seedOnboarded();
+
+    const { status, body } = await moveOut(token, tenant.tenant_id, { move_out_date: '2026-01-01', final_readings: [] });
+    assert.equal(status, 400);
+    assert.match(body.error, /Final reading required/);
+    assert.equal((await api.request('GET', `/tenants/${tenant.tenant_id}`, { token })).status, 200);
+  });
+
+  test('an invoiced month is rejected and leaves no final reading behind', async () => {
+    const { token, tenant, meters } = await seedOnboarded();
+    await api.request('POST', '/invoices/generate', { token, body: { tenant_id: tenant.tenant_id, month: '2026-01-01' } });
+
+    const { status } = await moveOut(token, tenant.tenant_id, {
+      move_out_date: '2026-01-01',
+      final_readings: [{ meter_id: meters[0].meter_id, current_reading: 1050 }]
+    });
+    assert.equal(status, 409);
+
+    const readings = await api.request('GET', `/monthly-reading?meterId=${meters[0].meter_id}&from=2026-01-01`, { token });
+    assert.equal(readings.body.pagination.total, 0);
+    assert.equal((await api.request('GET', `/tenants/${tenant.tenant_id}`, { token })).status, 200);
+  });
+
+  test('concurrent move-outs settle the tenant once', async () => {
+    const { token, tenant, meters } = await seedOnboarded();
+    const body = {
+      move_out_date: '2026-01-20',
+      final_readings: [{ meter_id: meters[0].meter_id, current_reading: 1050, rate_per_unit: 8 }]
+    };
+
+    // Called directly: two HTTP requests would not interleave against the in-memory store
+    const { moveOutTenant } = await import('../src/services/moveOutService.js');
+    const results = await Promise.allSettled([
+      moveOutTenant(null, tenant.tenant_id, body),
+      moveOutTenant(null, tenant.tenant_id, body)
+    ]);
+    assert.deepEqual(results.map((result) => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.status, 404);
+
+    const readings = await api.request('GET', `/monthly-reading?meterId=${meters[0].meter_id}&from=2026-01-01`, { token });
+    assert.equal(readings.body.pagination.total, 1);
+    const deposits = await api.request('GET', `/deposits?tenantId=${tenant.tenant_id}`, { token });
+    assert.deepEqual(deposits.body.data.map((row) => row.type).sort(), ['deduction', 'receipt', 'refund']);
+    const balance = await api.request('GET', `/tenants/${tenant.tenant_id}/balance`, { token });
+    assert.equal(balance.body.billed, 10700);
+    assert.equal(balance.body.deposit.held, 0);
+  });
+});
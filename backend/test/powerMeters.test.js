@@ -0,0 +1,138 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedTenant, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+async function createMeter(token, tenantId, body = {}) {
+  return api.request('POST', '/power-meters', {
+    token,
+    body: { tenant_id: tenantId, start_date: '2026-03-01', initial_reading: 1200, meter_number: 'M-1', ...body }
+  });
+}
+
+describe('power meters', () => {
+  test('creating a meter versions the tenant and seeds a baseline reading for the month before', async () => {
+    const { token, tenant } = await seedTenant(api);
+
+    const { status, body } = await createMeter(token, tenant.tenant_id);
+    assert.equal(status, 200);
+    assert.equal(body.tenant.tenant_version, 2);
+    assert.equal(body.tenant.power_meter_count, 1);
+    assert.equal(body.meter.tenant_version, 2);
+    assert.equal(body.meter.owner_id, tenant.owner_id);
+
+    const baseline = body.initialMonthlyReading;
+    assert.equal(baseline.meter_id, body.meter.meter_id);
+    assert.equal(baseline.month, '2026-02-01');
+    assert.equal(baseline.previous_reading, 1200);
+    assert.equal(baseline.current_reading, 1200);
+
+    const readings = await api.request('GET', `/monthly-reading?meterId=${body.meter.meter_id}`, { token });
+    assert.equal(readings.body.data.length, 1);
+  });
+
+  test('a January meter gets its baseline in December of the previous year', async () => {
+    const { token, tenant } = await seedTenant(api);
+
+    const { body } = await createMeter(token, tenant.tenant_id, { start_date: '2026-01-20' });
+    assert.equal(body.meter.start_date, '2026-01-01');
+    assert.equal(body.initialMonthlyReading.month, '2025-12-01');
+  });
+
+  test('deleting a meter closes it and decrements the count in a new version', async () => {
+    const { token, tenant } = await seedTenant(api);
+    const { body: created } = await createMeter(token, tenant.tenant_id);
+
+    const { status, body } = await api.request('DELETE', `/power-meters/${created.meter.meter_id}`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.updatedMeter.status, 'inactive');
+    assert.equal(body.tenant.tenant_version, 3);
+    assert.equal(body.tenant.power_meter_count, 0);
+  });
+
+  test('moving the start date re-dates the baseline while it is the only reading', async () => {
+    const { token, tenant } = await seedTenant(api);
+    const { body: created } = await createMeter(token, tenant.tenant_id);
+    const meterId = created.meter.meter_id;
+
+    const moved = await api.request('PUT', `/power-meters/${meterId}`, {
+      token,
+      body: { start_date: '2026-05-01', inPlace: true }
+    });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.monthly_reading.month, '2026-04-01');
+
+    await api.request('POST', '/monthly-reading', {
+      token,
+      body: { tenant_id: tenant.tenant_id, meter_id: meterId, month: '2026-05-01', current_reading: 1300, rate_per_unit: 8 }
+    });
+    const blocked = await api.request('PUT', `/power-meters/${meterId}`, {
+      token,
+      body: { start_date: '2026-06-01', inPlace: true }
+    });
+    assert.equal(blocked.status, 400);
+  });
+
+  test('a meter for an unknown tenant is rejected without versioning anything', async () => {
+    const { token, tenant } = await seedTenant(api);
+
+    const { status } = await createMeter(token, 999);
+    assert.equal(status, 404);
+    const versions = await api.request('GET', `/tenants/${tenant.tenant_id}/versions`, { token });
+    assert.equal(versions.body.length, 1);
+  });
+
+  test('a replaced meter and its successor are billed through the tariff once for the month', async () => {
+    const { token, tenant, owner } = await seedTenant(api);
+    const tariff = await api.request('POST', '/tariffs', {
+      token,
+      body: {
+        owner_id: owner.owner_id,
+        start_date: '2026-01-01',
+        fixed_charge: 50,
+        slabs: [{ up_to: 100, rate: 5 }, { up_to: null, rate: 10 }]
+      }
+    });
+    const { body: created } = await createMeter(token, tenant.tenant_id, { initial_reading: 1000, tariff_id: tariff.body.tariff_id });
+
+    const replaced = await api.request('POST', `/power-meters/${created.meter.meter_id}/replace`, {
+      token,
+      body: { final_reading: 1080, replaced_on: '2026-03-15', initial_reading: 0 }
+    });
+    assert.equal(replaced.status, 200);
+    assert.equal(replaced.body.oldMeter.status, 'inactive');
+    assert.equal(replaced.body.oldMeter.replaced_by_meter_id, replaced.body.meter.meter_id);
+    assert.equal(replaced.body.meter.tariff_id, tariff.body.tariff_id);
+    assert.equal(replaced.body.initialMonthlyReading.month, '2026-02-01');
+    // 80 units × 5 + fixed 50
+    assert.equal(replaced.body.finalReading.charge_amount, 450);
+
+    const reading = await api.request('POST', '/monthly-reading', {
+      token,
+      body: { tenant_id: tenant.tenant_id, meter_id: replaced.body.meter.meter_id, month: '2026-03-01', current_reading: 70 }
+    });
+    assert.equal(reading.status, 200);
+    // 150 units: 100 × 5 + 50 × 10 + fixed 50 = 1050 for the month, 450 of it already billed
+    assert.equal(reading.body.units_consumed, 70);
+    assert.equal(reading.body.charge_amount, 600);
+    assert.equal(reading.body.charge_breakdown.total, 1050);
+  });
+
+  test('a meter is replaced once', async () => {
+    const { token, tenant } = await seedTenant(api);
+    const { body: created } = await createMeter(token, tenant.tenant_id);
+    const replace = () => api.request('POST', `/power-meters/${created.meter.meter_id}/replace`, {
+      token,
+      body: { final_reading: 1250, replaced_on: '2026-03-01', initial_reading: 0 }
+    });
+
+    assert.equal((await replace()).status, 200);
+    assert.equal((await replace()).status, 404);
+    const meters = await api.request('GET', `/power-meters?tenantId=${tenant.tenant_id}`, { token });
+    assert.equal(meters.body.data.length, 1);
+  });
+});
@@ -0,0 +1,174 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedTenant, startApi } from './helpers.js';
+import { getMonthStart } from '../src/utils/dateUtil.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+describe('tenant versioning', () => {
+  test('a new tenant is active at version 1 from the start of its month', async () => {
+    const { tenant } = await seedTenant(api, { startDate: '2026-01-15' });
+
+    assert.equal(tenant.tenant_version, 1);
+    assert.equal(tenant.status, 'active');
+    assert.equal(tenant.start_date, '2026-01-01');
+    assert.equal(tenant.owner_id, 1);
+    assert.equal(tenant.organization_id, 1);
+  });
+
+  test('a versioned update closes the active version and inserts the next one', async () => {
+    const { token, tenant } = await seedTenant(api);
+    const currentMonth = getMonthStart();
+
+    const { status, body } = await api.request('PUT', `/tenants/${tenant.tenant_id}`, { token, body: { name: 'Renamed' } });
+    assert.equal(status, 200);
+    assert.equal(body.type, 'versioned');
+    assert.equal(body.tenant.tenant_version, 2);
+    assert.equal(body.tenant.name, 'Renamed');
+    assert.equal(body.tenant.start_date, currentMonth);
+
+    const versions = await api.request('GET', `/tenants/${tenant.tenant_id}/versions`, { token });
+    assert.deepEqual(versions.body.map((version) => [version.tenant_version, version.status, version.end_date]), [
+      [1, 'inactive', currentMonth],
+      [2, 'active', null]
+    ]);
+
+    const active = await api.request('GET', `/tenants/${tenant.tenant_id}`, { token });
+    assert.equal(active.body.tenant_version, 2);
+  });
+
+  test('an in-place update keeps the version', async () => {
+    const { token, tenant } = await seedTenant(api);
+
+    const { body } = await api.request('PUT', `/tenants/${tenant.tenant_id}`, {
+      token,
+      body: { phone: '555-0100', inPlace: true }
+    });
+    assert.equal(body.type, 'inPlace');
+    assert.equal(body.tenant.tenant_version, 1);
+    assert.equal(body.tenant.phone, '555-0100');
+
+    const versions = await api.request('GET', `/tenants/${tenant.tenant_id}/versions`, { token });
+    assert.equal(versions.body.length, 1);
+  });
+
+  test('the version diff lists changed fields only', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await api.request('PUT', `/tenants/${tenant.tenant_id}`, { token, body: { name: 'Renamed' } });
+
+    const { status, body } = await api.request('GET', `/tenants/${tenant.tenant_id}/versions/diff`, { token });
+    assert.equal(status, 200);
+    assert.equal(body.from.tenant_version, 1);
+    assert.equal(body.to.tenant_version, 2);
+    assert.deepEqual(body.changes, [{ field: 'name', from: 'Tenant One', to: 'Renamed' }]);
+  });
+
+  test('asOf returns the version in effect on that day', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await api.request('PUT', `/tenants/${tenant.tenant_id}`, { token, body: { name: 'Renamed' } });
+
+    const { body } = await api.request('GET', `/tenants/${tenant.tenant_id}?asOf=2026-02-10`, { token });
+    assert.equal(body.tenant.tenant_version, 1);
+    assert.equal(body.tenant.name, 'Tenant One');
+  });
+
+  test('asOf answers 400 for a bad date and 500 when storage fails', async () => {
+    const { token, tenant } = await seedTenant(api);
+
+    const invalid = await api.request('GET', `/tenants/${tenant.tenant_id}?asOf=2026-02-30`, { token });
+    assert.equal(invalid.status, 400);
+
+    const { from } = api.db;
+    api.db.from = (table) => {
+      if (table === 'power_meters') throw new Error('connection lost');
+      return from(table);
+    };
+    try {
+      const failed = await api.request('GET', `/tenants/${tenant.tenant_id}?asOf=2026-02-10`, { token });
+      assert.equal(failed.status, 500);
+      assert.equal(failed.body.error, 'connection lost');
+    } finally {
+      api.db.from = from;
+    }
+  });
+
+  test('dates must be plain calendar days', async () => {
+    const { token, owner } = await seedTenant(api);
+
+    for (const start_date of ['2026-01-01garbage', '2026-01-01T10:00:00Z', '2026-02-30']) {
+      const { status, body } = await api.request('POST', '/tenants', {
+        token,
+        body: { name: 'Tenant Two', owner_id: owner.owner_id, start_date }
+      });
+      assert.equal(status, 400, start_date);
+      assert.deepEqual(body.details, [{ field: 'start_date', message: 'must be a date (YYYY-MM-DD)' }]);
+    }
+  });
+
+  test('an invoice is only generated for a given month', async () => {
+    const { token, tenant } = await seedTenant(api);
+
+    const { status, body } = await api.request('POST', '/invoices/generate', { token, body: { tenant_id: tenant.tenant_id } });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, [{ field: 'month', message: 'is required' }]);
+  });
+
+  test('an update of an unknown tenant is a 404', async () => {
+    const { token } = await seedTenant(api);
+
+    const { status } = await api.request('PUT', '/tenants/999', { token, body: { name: 'Ghost' } });
+    assert.equal(status, 404);
+  });
+
+  test('exit closes the tenant; dryRun only reports', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await api.request('POST', '/rent-history', { token, body: { tenant_id: tenant.tenant_id, start_date: '2026-01-01', amount: 500 } });
+
+    const dryRun = await api.request('DELETE', `/tenants/${tenant.tenant_id}?dryRun=true`, { token });
+    assert.equal(dryRun.body.dry_run, true);
+    assert.equal(dryRun.body.closed.rent_history.count, 1);
+    assert.equal((await api.request('GET', `/tenants/${tenant.tenant_id}`, { token })).status, 200);
+
+    const exit = await api.request('DELETE', `/tenants/${tenant.tenant_id}`, { token });
+    assert.equal(exit.status, 200);
+    assert.equal(exit.body.tenant.status, 'inactive');
+    assert.equal((await api.request('GET', `/tenants/${tenant.tenant_id}`, { token })).status, 404);
+    assert.deepEqual((await api.request('GET', '/rent-history', { token })).body.data, []);
+  });
+
+  test('exit audits every closed component', async () => {
+    const { token, tenant } = await seedTenant(api);
+    const rent = await api.request('POST', '/rent-history', { token, body: { tenant_id: tenant.tenant_id, start_date: '2026-01-01', amount: 500 } });
+
+    const exit = await api.request('DELETE', `/tenants/${tenant.tenant_id}`, { token });
+    assert.equal(exit.body.closedRows, undefined);
+
+    const audits = await api.request('GET', '/audit?entity=rent_history', { token });
+    const closed = audits.body.find((audit) => audit.action === 'delete');
+    assert.equal(closed.entity_id, String(exit.body.closed.rent_history.ids[0]));
+    assert.equal(closed.entity_id, String(rent.body.rent_history.rent_id));
+    assert.equal(closed.after.status, 'inactive');
+  });
+
+  test('concurrent exits close the tenant once', async () => {
+    const { token, tenant } = await seedTenant(api);
+    await api.request('POST', '/rent-history', { token, body: { tenant_id: tenant.tenant_id, start_date: '2026-01-01', amount: 500 } });
+
+    // Called directly: two HTTP requests would not interleave against the in-memory store
+    const { exitTenant } = await import('../src/services/tenantExitService.js');
+    const results = await Promise.allSettled([
+      exitTenant(tenant.tenant_id, { endDate: '2026-03-01' }),
+      exitTenant(tenant.tenant_id, { endDate: '2026-04-01' })
+    ]);
+    assert.deepEqual(results.map((result) => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[0].value.closed.rent_history.count, 1);
+    assert.equal(results[1].reason.status, 404);
+
+    const versions = await api.request('GET', `/tenants/${tenant.tenant_id}/versions`, { token });
+    assert.equal(versions.body.length, 2);
+    assert.equal(versions.body.find((version) => version.tenant_version === 2).end_date, '2026-03-01');
+  });
+});
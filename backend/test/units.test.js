@@ -0,0 +1,175 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { seedTenant, startApi } from './helpers.js';
+
+let api;
+before(async () => { api = await startApi(); });
+after(() => api.close());
+beforeEach(() => api.reset());
+
+/**
+ * Seeded tenant plus one property of its owner with two flats
+ */
+async function seedUnits() {
+  const seeded = await seedTenant(api);
+  const { token, owner } = seeded;
+
+  const property = await api.request('POST', '/properties', {
+    token,
+    body: { name: 'Green Court', address: '1 Main St', owner_id: owner.owner_id }
+  });
+  const units = [];
+  for (const name of ['Flat 1', 'Flat 2']) {
+    const { body } = await api.request('POST', '/units', {
+      token,
+      body: { property_id: property.body.property_id, name, unit_type: 'flat', floor: 1 }
+    });
+    units.push(body);
+  }
+  return { ...seeded, property: property.body, units };
+}
+
+function occupy(token, unitId, tenantId, startDate) {
+  return api.request('POST', `/units/${unitId}/occupancies`, { token, body: { tenant_id: tenantId, start_date: startDate } });
+}
+
+describe('properties and units', () => {
+  test('units take the owner and organization of their property', async () => {
+    const { token, property, units } = await seedUnits();
+
+    assert.equal(property.owner_id, 1);
+    assert.equal(units[0].owner_id, property.owner_id);
+    assert.equal(units[0].organization_id, property.organization_id);
+
+    const listed = await api.request('GET', `/units?propertyId=${property.property_id}&sort=-name`, { token });
+    assert.deepEqual(listed.body.data.map((unit) => unit.name), ['Flat 2', 'Flat 1']);
+    assert.equal(listed.body.pagination.total, 2);
+  });
+
+  test('a unit needs a visible property', async () => {
+    const { token } = await seedTenant(api);
+
+    const { status } = await api.request('POST', '/units', { token, body: { property_id: 999, name: 'Nowhere' } });
+    assert.equal(status, 404);
+  });
+
+  test('a property with units cannot be deleted', async () => {
+    const { token, property, units } = await seedUnits();
+
+    const blocked = await api.request('DELETE', `/properties/${property.property_id}`, { token });
+    assert.equal(blocked.status, 409);
+
+    for (const unit of units) {
+      assert.equal((await api.request('DELETE', `/units/${unit.unit_id}`, { token })).status, 200);
+    }
+    const removed = await api.request('DELETE', `/properties/${property.property_id}`, { token });
+    assert.equal(removed.status, 200);
+  });
+});
+
+describe('occupancies', () => {
+  test('moving in and out builds the unit history', async () => {
+    const { token, tenant, units } = await seedUnits();
+    const unitId = units[0].unit_id;
+
+    const moveIn = await occupy(token, unitId, tenant.tenant_id, '2026-02-10');
+    assert.equal(moveIn.status, 200);
+    assert.equal(moveIn.body.start_date, '2026-02-01');
+    assert.equal(moveIn.body.status, 'active');
+
+    const moveOut = await api.request('POST', `/units/${unitId}/vacate`, { token, body: { end_date: '2026-06-01' } });
+    assert.equal(moveOut.status, 200);
+    assert.equal(moveOut.body.end_date, '2026-06-01');
+    assert.equal(moveOut.body.status, 'inactive');
+
+    const second = await api.request('POST', '/tenants', {
+      token,
+      body: { name: 'Tenant Two', owner_id: tenant.owner_id, start_date: '2026-06-01' }
+    });
+    assert.equal((await occupy(token, unitId, second.body.tenant_id, '2026-06-01')).status, 200);
+
+    const history = await api.request('GET', `/units/${unitId}/occupancies`, { token });
+    assert.deepEqual(
+      history.body.map((occupancy) => [occupancy.tenant_id, occupancy.start_date, occupancy.end_date]),
+      [[tenant.tenant_id, '2026-02-01', '2026-06-01'], [second.body.tenant_id, '2026-06-01', null]]
+    );
+  });
+
+  test('an occupied unit cannot be let twice', async () => {
+    const { token, tenant, units } = await seedUnits();
+    await occupy(token, units[0].unit_id, tenant.tenant_id, '2026-02-01');
+
+    const { status } = await occupy(token, units[0].unit_id, tenant.tenant_id, '2026-05-01');
+    assert.equal(status, 409);
+  });
+
+  test('vacate needs an end after the move-in', async () => {
+    const { token, tenant, units } = await seedUnits();
+    await occupy(token, units[0].unit_id, tenant.tenant_id, '2026-02-01');
+
+    const early = await api.request('POST', `/units/${units[0].unit_id}/vacate`, { token, body: { end_date: '2026-02-15' } });
+    assert.equal(early.status, 400);
+
+    const empty = await api.request('POST', `/units/${units[1].unit_id}/vacate`, { token, body: { end_date: '2026-05-01' } });
+    assert.equal(empty.status, 404);
+  });
+
+  test('vacancy lists the units free on the date', async () => {
+    const { token, tenant, units } = await seedUnits();
+    await occupy(token, units[0].unit_id, tenant.tenant_id, '2026-02-01');
+    await api.request('POST', `/units/${units[0].unit_id}/vacate`, { token, body: { end_date: '2026-06-01' } });
+
+    const during = await api.request('GET', '/units/vacancy?asOf=2026-03-15', { token });
+    assert.equal(during.status, 200);
+    assert.equal(during.body.occupied, 1);
+    assert.deepEqual(during.body.units.map((unit) => unit.name), ['Flat 2']);
+
+    const afterwards = await api.request('GET', '/units/vacancy?asOf=2026-06-01', { token });
+    assert.equal(afterwards.body.vacant, 2);
+  });
+
+  test('an exiting tenant leaves the unit vacant', async () => {
+    const { token, tenant, units } = await seedUnits();
+    await occupy(token, units[0].unit_id, tenant.tenant_id, '2026-02-01');
+
+    const exit = await api.request('DELETE', `/tenants/${tenant.tenant_id}`, { token });
+    assert.equal(exit.body.closed.unit_occupancies.count, 1);
+
+    const history = await api.request('GET', `/units/${units[0].unit_id}/occupancies`, { token });
+    assert.equal(history.body[0].status, 'inactive');
+    assert.equal((await api.request('DELETE', `/units/${units[0].unit_id}`, { token })).status, 409);
+  });
+});
+
+describe('unit meters', () => {
+  test('meters can be placed in a unit and listed by it', async () => {
+    const { token, tenant, units } = await seedUnits();
+
+    const { status, body } = await api.request('POST', '/power-meters', {
+      token,
+      body: { tenant_id: tenant.tenant_id, start_date: '2026-02-01', initial_reading: 0, unit_id: units[1].unit_id }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.meter.unit_id, units[1].unit_id);
+
+    const listed = await api.request('GET', `/power-meters?unitId=${units[1].unit_id}`, { token });
+    assert.deepEqual(listed.body.data.map((meter) => meter.meter_id), [body.meter.meter_id]);
+    assert.equal((await api.request('GET', `/power-meters?unitId=${units[0].unit_id}`, { token })).body.pagination.total, 0);
+  });
+
+  test('a meter cannot be placed in another owner\'s unit', async () => {
+    const { token, tenant } = await seedUnits();
+    const otherOwner = await api.request('POST', '/owners', { token, body: { name: 'Owner Two', organization_id: 1 } });
+    const property = await api.request('POST', '/properties', {
+      token,
+      body: { name: 'Elsewhere', owner_id: otherOwner.body.owner_id }
+    });
+    const unit = await api.request('POST', '/units', { token, body: { property_id: property.body.property_id, name: 'Shop' } });
+
+    const { status } = await api.request('POST', '/power-meters', {
+      token,
+      body: { tenant_id: tenant.tenant_id, start_date: '2026-02-01', initial_reading: 0, unit_id: unit.body.unit_id }
+    });
+    assert.equal(status, 400);
+  });
+});